@@ -4,6 +4,7 @@ const blessed = require('blessed');
 const fs = require('fs');
 const pathModule = require('path');
 const os = require('os');
+const { StringDecoder } = require('string_decoder');
 const { JSONPath } = require('jsonpath-plus');
 const chalk = require('chalk');
 
@@ -14,12 +15,25 @@ const { Formatter, TextUtils } = require('./lib/formatter');
 const { FileManager } = require('./lib/file');
 const { SearchEngine } = require('./lib/search');
 const { QueryExecutor } = require('./lib/query');
+const { QueryPipeline } = require('./lib/pipeline');
+const { WhereParser } = require('./lib/where');
+const { InputParser } = require('./lib/input');
+const { InputSyntaxError } = require('./lib/syntax');
+const { StreamingJSONParser } = require('./lib/stream');
+const { CONSTANTS } = require('./lib/constants');
 const { CommandHandler } = require('./lib/commands');
 const { ConfigManager } = require('./lib/config');
 const { ProxyServer } = require('./lib/proxy');
 const { ClipboardManager } = require('./lib/clipboard');
 const { KeybindingsManager } = require('./lib/keybindings');
 const { DisplayManager, TUI_COLORS } = require('./lib/tui/display');
+const { ResultViewport } = require('./lib/tui/viewport');
+const { JSONDiff } = require('./lib/diff');
+const { SchemaInference } = require('./lib/schema');
+const { SchemaValidator, SchemaError } = require('./lib/validate');
+const { TypeGenerator, TYPE_LANGUAGES } = require('./lib/types');
+const { AccessorCode, ACCESSOR_LANGUAGES } = require('./lib/accessor');
+const { Exporter, EXPORT_FORMATS } = require('./lib/export');
 
 // Initialize state
 const appState = new AppState();
@@ -29,7 +43,7 @@ keybindingsManager.loadKeybindings();
 
 // Create TUI Application
 class JojqTUI {
-  constructor(preloadedJSON = null, proxyMode = false) {
+  constructor(preloadedJSON = null, proxyMode = false, proxyServer = null, inputSource = null) {
     this.screen = null;
     this.infoBox = null;
     this.resultsBox = null;
@@ -42,11 +56,12 @@ class JojqTUI {
     this.focusedPanel = 'input'; // 'input', 'results', or 'suggestions'
     this.resultsSelectedIndex = 0;
     this.preloadedJSON = preloadedJSON;
+    this.inputSource = inputSource; // Raw input the path worker parses again, handed over by loadJSON
     this.proxyMode = proxyMode; // If true, don't exit on Escape, let proxy handle it
-    this.lastDisplayedType = null; // 'result', 'wildcard', 'search'
+    this.proxyServer = proxyServer; // Captured responses, for :diff <n> <m> in proxy mode
+    this.lastDisplayedType = null; // 'result', 'wildcard', 'search', 'tree'
     this.lastWildcardResults = null; // Store wildcard results for copying
     this.lastQuery = null; // Store the last executed query
-    this.lastDisplayedLabels = null; // Store the displayed labels for copy-results
     
     // Interactive prompt state for decode/parse
     this.waitingForPrompt = false;
@@ -62,6 +77,7 @@ class JojqTUI {
     // Initialize search engine first, then query executor
     this.searchEngine = new SearchEngine(appState, CommandHandler);
     this.queryExecutor = new QueryExecutor(appState, this.searchEngine);
+    this.pipeline = new QueryPipeline(appState, this.queryExecutor);
     
     // Initialize display manager
     this.displayManager = new DisplayManager(this, appState);
@@ -71,6 +87,9 @@ class JojqTUI {
     this.MAX_CACHE_SIZE = 100; // Prevent unbounded cache growth (100 entries ≈ 100-500KB total)
     this.lastSuggestionInput = null; // Use null instead of '' to allow initial empty suggestions
     this.suggestionDebounceTimer = null;
+    this.sizeInfo = null; // Set by loadJSON / loadJSONStream
+    this.showingLoadProgress = false; // Results box shows load/indexing progress until the user runs something
+    this.pathExtraction = null; // Background path extraction ({promise, cancel}), see loadJSON
   }
   
   // Helper to wrap text with blessed color tag
@@ -82,384 +101,6 @@ class JojqTUI {
     return `{${colorTag}}${text}{/${colorTag}}`;
   }
   
-  /**
-   * Parse a JSONPath string back into an array
-   * @param {string} pathString - Path like "$['field1']['field2'][0]['field3']"
-   * @returns {Array} - Path array like ['$', 'field1', 'field2', 0, 'field3']
-   */
-  parsePathString(pathString) {
-    const pathArray = ['$'];
-    
-    // Remove the leading $
-    let remaining = pathString.substring(1);
-    
-    // Match patterns like ['field'], [0], .field
-    const pattern = /\['([^']+)'\]|\[(\d+)\]|\.([a-zA-Z_$][\w$]*)/g;
-    let match;
-    
-    while ((match = pattern.exec(remaining)) !== null) {
-      if (match[1] !== undefined) {
-        // Bracket notation with quotes: ['field']
-        pathArray.push(match[1]);
-      } else if (match[2] !== undefined) {
-        // Array index: [0]
-        pathArray.push(parseInt(match[2], 10));
-      } else if (match[3] !== undefined) {
-        // Dot notation: .field
-        pathArray.push(match[3]);
-      }
-    }
-    
-    return pathArray;
-  }
-  
-  /**
-   * Parse query with optional pipe syntax for labels and filters
-   * @param {string} query - Full query string (may contain | @label=... | @where=...)
-   * @returns {object} - { mainQuery, labelQuery, whereFilter }
-   */
-  parseQueryWithLabel(query) {
-    const pipeIndex = query.indexOf('|');
-    if (pipeIndex === -1) {
-      return { mainQuery: query.trim(), labelQuery: null, whereFilter: null };
-    }
-    
-    const mainQuery = query.substring(0, pipeIndex).trim();
-    const pipeParts = query.substring(pipeIndex + 1).trim();
-    
-    // Parse multiple pipe operators: | @label=... | @where=...
-    let labelQuery = null;
-    let whereFilter = null;
-    
-    // Split by pipe but handle escaped pipes or pipes in quotes
-    const parts = pipeParts.split('|').map(p => p.trim());
-    
-    for (const part of parts) {
-      // Check for @label
-      const labelMatch = part.match(/^@label\s*=\s*(.+)$/);
-      if (labelMatch) {
-        labelQuery = labelMatch[1].trim();
-        continue;
-      }
-      
-      // Check for @where
-      const whereMatch = part.match(/^@where\s*=\s*(.+)$/);
-      if (whereMatch) {
-        whereFilter = whereMatch[1].trim();
-        continue;
-      }
-      
-      // If no @ prefix, assume it's a label query (for backwards compatibility)
-      if (!part.startsWith('@') && !labelQuery) {
-        labelQuery = part;
-      }
-    }
-    
-    return { mainQuery, labelQuery, whereFilter };
-  }
-  
-  /**
-   * Evaluate a single condition (no AND/OR)
-   * @param {*} itemValue - The result item value
-   * @param {Array} itemPath - The JSONPath array for this item
-   * @param {string} condition - Single condition (e.g., "status=active")
-   * @returns {boolean} - True if condition matches
-   */
-  evaluateSingleCondition(itemValue, itemPath, condition) {
-    if (!condition) {
-      return true;
-    }
-    
-    // Parse condition: field operator value
-    const operators = ['>=', '<=', '!=', '=', '>', '<', 'contains'];
-    let operator = null;
-    let field = null;
-    let value = null;
-    
-    for (const op of operators) {
-      if (condition.includes(op)) {
-        const parts = condition.split(op);
-        if (parts.length === 2) {
-          field = parts[0].trim();
-          value = parts[1].trim();
-          operator = op;
-          break;
-        }
-      }
-    }
-    
-    if (!field || !operator || value === null) {
-      return true; // Invalid condition, don't filter
-    }
-    
-    // Get field value from item
-    let fieldValue;
-    
-    // Check if field is a relative path (starts with ../)
-    if (field.startsWith('../') || field.startsWith('../../')) {
-      // Resolve relative path and query for the value
-      if (!itemPath || !Array.isArray(itemPath)) {
-        return false; // Can't resolve relative path without itemPath
-      }
-      
-      const absolutePath = this.resolveRelativePath(itemPath, field);
-      const result = this.queryExecutor.execute(absolutePath);
-      
-      if (!result.success || result.data === undefined) {
-        return false; // Relative path didn't resolve
-      }
-      
-      fieldValue = result.data;
-    } else if (itemValue && typeof itemValue === 'object') {
-      // Direct field access on current object
-      fieldValue = itemValue[field];
-      if (fieldValue === undefined) {
-        return false; // Field doesn't exist
-      }
-    } else {
-      // Item is not an object and field is not relative - can't filter
-      return false;
-    }
-    
-    // Remove quotes from value if present
-    if ((value.startsWith('"') && value.endsWith('"')) || 
-        (value.startsWith("'") && value.endsWith("'"))) {
-      value = value.slice(1, -1);
-    }
-    
-    // Try to parse value as number if possible
-    const numValue = parseFloat(value);
-    const isNumber = !isNaN(numValue);
-    
-    // Evaluate condition
-    switch (operator) {
-      case '=':
-      case '==':
-        return isNumber ? fieldValue == numValue : String(fieldValue) === value;
-      case '!=':
-        return isNumber ? fieldValue != numValue : String(fieldValue) !== value;
-      case '>':
-        return isNumber && fieldValue > numValue;
-      case '<':
-        return isNumber && fieldValue < numValue;
-      case '>=':
-        return isNumber && fieldValue >= numValue;
-      case '<=':
-        return isNumber && fieldValue <= numValue;
-      case 'contains':
-        return String(fieldValue).toLowerCase().includes(value.toLowerCase());
-      default:
-        return true;
-    }
-  }
-  
-  /**
-   * Evaluate a where filter condition with AND/OR support
-   * @param {*} itemValue - The result item value (object or primitive)
-   * @param {Array} itemPath - The JSONPath array for this item
-   * @param {string} condition - The where condition (e.g., "status=active AND age>25")
-   * @returns {boolean} - True if item matches condition
-   */
-  evaluateWhereCondition(itemValue, itemPath, condition) {
-    if (!condition) {
-      return true; // No filter
-    }
-    
-    // Check for OR operator first (lower precedence)
-    // Split by OR, then each part can have AND conditions
-    if (condition.includes(' OR ')) {
-      const orParts = condition.split(' OR ').map(p => p.trim());
-      // Any OR part can be true
-      return orParts.some(orPart => this.evaluateWhereCondition(itemValue, itemPath, orPart));
-    }
-    
-    // Check for AND operator (higher precedence)
-    if (condition.includes(' AND ')) {
-      const andParts = condition.split(' AND ').map(p => p.trim());
-      // All AND parts must be true
-      return andParts.every(andPart => this.evaluateSingleCondition(itemValue, itemPath, andPart));
-    }
-    
-    // Single condition, no AND/OR
-    return this.evaluateSingleCondition(itemValue, itemPath, condition);
-  }
-  
-  /**
-   * Resolve relative path from a base path
-   * @param {Array} basePath - JSONPath array (e.g., ['$', 'users', 0, 'address'])
-   * @param {string} relativePath - Relative path (e.g., '../email' or '../../name')
-   * @returns {string} - Resolved absolute JSONPath
-   */
-  resolveRelativePath(basePath, relativePath) {
-    if (!relativePath.startsWith('../') && !relativePath.startsWith('./')) {
-      // Already absolute or simple field name
-      return relativePath;
-    }
-    
-    // Count how many levels to go up
-    const upLevels = (relativePath.match(/\.\.\//g) || []).length;
-    const fieldPath = relativePath.replace(/^(\.\.\/)+/, '').replace(/^\.\//, '');
-    
-    // Navigate up the base path
-    // Each "../" removes one path segment from the end
-    // For ../../id from rate_data[0].source:
-    //   Start: ['$', 'hotel_data', 0, 'room_data', 0, 'rate_data', 0, 'source']
-    //   After ../: ['$', 'hotel_data', 0, 'room_data', 0, 'rate_data', 0]
-    //   After ../: ['$', 'hotel_data', 0, 'room_data', 0, 'rate_data']
-    //   Hmm, that gives rate_data.id, not room_data[0].id
-    //
-    // Actually, ../ should go to the parent OBJECT, so:
-    //   ../ from rate_data[0].source → rate_data[0]
-    //   ../ from rate_data[0] → room_data[0] (skip over rate_data field AND its index)
-    // 
-    // So we need to skip backwards more intelligently:
-    // - If current is a field name, remove it and any index before it
-    // - If current is an index, remove it and the field before it
-    
-    let newPath = [...basePath];
-    
-    for (let i = 0; i < upLevels; i++) {
-      if (newPath.length <= 1) break; // Don't go past '$'
-      
-      const last = newPath[newPath.length - 1];
-      
-      if (typeof last === 'string' && last !== '$') {
-        // Last element is a field name - remove it
-        newPath.pop();
-        // If the element before it is an index, we're done (we're now at parent[index])
-        // If the element before it is NOT an index, remove it too (go up another level)
-        if (newPath.length > 1 && typeof newPath[newPath.length - 1] !== 'number') {
-          // No index, so remove the parent field too to go up to grandparent
-          newPath.pop();
-        }
-      } else if (typeof last === 'number') {
-        // Last element is an index - remove it and the field before it
-        newPath.pop();
-        if (newPath.length > 1 && typeof newPath[newPath.length - 1] === 'string') {
-          newPath.pop();
-        }
-      }
-    }
-    
-    // Build the resolved path string
-    let resolved = QueryExecutor.pathArrayToString(newPath);
-    
-    // Append the field path
-    if (fieldPath) {
-      if (fieldPath.startsWith('[')) {
-        resolved += fieldPath;
-      } else {
-        resolved += '.' + fieldPath;
-      }
-    }
-    
-    return resolved;
-  }
-  
-  /**
-   * Resolve wildcards in label query by matching indices from result path
-   * @param {Array} resultPath - Actual result path with indices (e.g., ['$', 'parents', 0, 'child', 1, 'name'])
-   * @param {string} labelQuery - Label query with wildcards (e.g., '$.parents[*].name')
-   * @returns {string} - Label query with wildcards replaced by actual indices
-   */
-  resolveWildcardIndices(resultPath, labelQuery) {
-    // If no wildcards in label query, return as-is
-    if (!labelQuery.includes('[*]')) {
-      return labelQuery;
-    }
-    
-    // Build a list of (fieldName, index) pairs in order from the result path
-    const pathIndices = [];
-    for (let i = 0; i < resultPath.length; i++) {
-      const part = resultPath[i];
-      if (typeof part === 'number' && i > 0) {
-        // This is an array index, map it to the previous field name
-        const fieldName = resultPath[i - 1];
-        if (typeof fieldName === 'string') {
-          pathIndices.push({ field: fieldName, index: part });
-        }
-      }
-    }
-    
-    // Now replace wildcards in the label query in order
-    let resolved = labelQuery;
-    let pathIndexPos = 0; // Track position in pathIndices
-    
-    // Process wildcards one at a time, left to right
-    while (resolved.includes('[*]') && pathIndexPos < pathIndices.length) {
-      // Find the next [*] wildcard
-      const wildcardPos = resolved.indexOf('[*]');
-      if (wildcardPos === -1) break;
-      
-      // Find the field name before [*]
-      // Work backwards from wildcardPos to find the field name
-      // Handle both dot notation (.field[*]) and bracket notation (['field'][*])
-      let fieldStart = wildcardPos - 1;
-      let inBracket = false;
-      let inQuote = false;
-      let quoteChar = null;
-      
-      while (fieldStart >= 0) {
-        const char = resolved[fieldStart];
-        
-        // Track if we're inside quotes
-        if ((char === '"' || char === "'") && (fieldStart === 0 || resolved[fieldStart - 1] !== '\\')) {
-          if (!inQuote) {
-            inQuote = true;
-            quoteChar = char;
-          } else if (char === quoteChar) {
-            inQuote = false;
-            quoteChar = null;
-          }
-        }
-        
-        // If we hit an opening bracket and we're not in a quote, we're done
-        if (char === '[' && !inQuote) {
-          inBracket = true;
-          fieldStart++;
-          break;
-        }
-        
-        // If we hit a dot and we're not in bracket/quote, we're done
-        if (char === '.' && !inQuote && !inBracket) {
-          fieldStart++;
-          break;
-        }
-        
-        fieldStart--;
-      }
-      
-      if (fieldStart < 0) fieldStart = 0;
-      
-      let fieldName = resolved.substring(fieldStart, wildcardPos);
-      
-      // Clean up the field name - remove quotes and brackets
-      fieldName = fieldName.replace(/^\[['"]?/, '').replace(/['"]?\]?$/, '').trim();
-      
-      // Find matching index from pathIndices
-      let matchingIndex = null;
-      for (let i = pathIndexPos; i < pathIndices.length; i++) {
-        if (pathIndices[i].field === fieldName) {
-          matchingIndex = pathIndices[i].index;
-          pathIndexPos = i + 1; // Move to next index for next wildcard
-          break;
-        }
-      }
-      
-      // Replace [*] with actual index
-      if (matchingIndex !== null) {
-        resolved = resolved.substring(0, wildcardPos) + 
-                   `[${matchingIndex}]` + 
-                   resolved.substring(wildcardPos + 3); // 3 = length of "[*]"
-      } else {
-        // No matching index found, leave as is and break to avoid infinite loop
-        break;
-      }
-    }
-    
-    return resolved;
-  }
-  
   // Get blessed style object for borders
   getBoxStyle(borderColor) {
     return {
@@ -494,6 +135,9 @@ class JojqTUI {
       output: output
     });
 
+    // Background indexing has nothing to update once the screen is gone
+    this.screen.on('destroy', () => this.cancelPathExtraction());
+
     // Top-left: Info/Help box (50% width, hidden by default)
     // Press F1 to toggle help visibility
     this.infoBox = blessed.box({
@@ -552,6 +196,9 @@ class JojqTUI {
       // Increase child limit for large content
       childLimit: 1000000
     });
+    
+    // Long results are rendered a window at a time
+    this.resultsViewport = new ResultViewport(this.resultsBox);
 
     // Left: Suggestions box (50% width, full height minus input)
     this.suggestionsBox = blessed.box({
@@ -692,12 +339,20 @@ ${w(':help', 'highlight')}     Show help
 ${w(':show', 'highlight')}     Show full JSON
 ${w(':paths', 'highlight')}    List all paths
 ${w(':save', 'highlight')}     Save last result
-${w(':dump', 'highlight')}     Save full JSON
+${w(':dump', 'highlight')}     Save full document (in its input format)
+${w(':export', 'highlight')}   Export as CSV/TSV/YAML/Markdown (:export out.csv)
 ${w(':saveline', 'highlight')} Save with line#
 ${w(':copy', 'highlight')}          Copy result to clipboard
 ${w(':copy-query', 'highlight')}   Copy the last query
 ${w(':copy-results', 'highlight')} Copy displayed results (labels → values)
+${w(':copy-path', 'highlight')}    Copy code for the selected path (js|python|jq|pointer)
 ${w(':raw', 'highlight')}      Raw mode (select text)
+${w(':table', 'highlight')}    Toggle table view (arrays of objects)
+${w(':tree', 'highlight')}     Browse result as a collapsible tree
+${w(':diff', 'highlight')}     Compare with a file (:diff new.json --key id)
+${w(':schema', 'highlight')}   Infer a JSON Schema from the document
+${w(':validate', 'highlight')} Check against a schema (:validate contract.json)
+${w(':types', 'highlight')}    Generate types (:types ts|jsdoc|python [Name])
 ${w(':keys', 'highlight')}     Show/manage keybindings
 ${w(':exit', 'highlight')}     Exit (or Ctrl+C)
 
@@ -718,6 +373,10 @@ ${w('→ or Ctrl+D', 'highlight')} Switch to results panel
 ${w('← or Ctrl+I', 'highlight')} Switch to input panel
 ${w('↑/↓', 'highlight')}         Navigate results
 ${w('Enter', 'highlight')}       Copy selected result
+${w('y', 'highlight')}           Copy accessor code (JavaScript)
+${w('t', 'highlight')}           Toggle table view
+${w('h/l', 'highlight')}         Scroll table columns
+${w('→/Space ←', 'highlight')}   Expand / collapse (tree view)
 ${w('Esc', 'highlight')}         Back to input
 
 ${w('Input Panel:', 'info')}
@@ -736,6 +395,8 @@ ${w('Copy/Paste:', 'info')}
 ${w(':copy', 'highlight')}          Copy result JSON to clipboard
 ${w(':copy-query', 'highlight')}   Copy the last query
 ${w(':copy-results', 'highlight')} Copy displayed results (labels → values)
+${w(':copy-path', 'highlight')}    Copy accessor code for the selected row
+               (:copy-path python 3 - row 3 as Python)
 ${w(':raw', 'highlight')}          Enter raw mode to select & copy text
 
 ${w('Wildcards with Labels & Filters:', 'info')}
@@ -743,12 +404,25 @@ ${w('[*]', 'highlight')}       Match all items
   Ex: $.data[*].id
 ${w('| @label=', 'highlight')} Add contextual labels
   Ex: $.data[*].people | @label=../name
+  Ex: $.orders[*] | @label=customer.name (field of each item)
 ${w('| @where=', 'highlight')}  Filter results
   Ex: $.users[*] | @where=status=active
-  Operators: ${w('=, !=, >, <, >=, <=, contains', 'dim')}
+  Operators: ${w('=, !=, >, <, >=, <=, contains, startswith, endswith', 'dim')}
+  More: ${w('matches /re/i, in [a,b], is string|number|array|..., exists, missing', 'dim')}
+  Nested: ${w("address.city=Paris, ['content-type']=json, tags[0]=x", 'dim')}
   Relative: ${w('@where=../field=value', 'dim')} (parent field)
-  Logic: ${w('AND, OR', 'dim')} (e.g., status=active AND age>25)
-  Combine: ${w('| @label=... | @where=...', 'dim')}`;
+  Logic: ${w('AND, OR, NOT, ( )', 'dim')} (e.g., status=active AND (age>25 OR NOT vip=true))
+  Quote values with spaces: ${w('name="Jane Doe"', 'dim')}
+${w('| @sort=', 'highlight')}   Order results by a field
+  Ex: $.products[*] | @sort=price desc | @limit=10
+  Paging: ${w('@limit=N, @offset=N', 'dim')} (applied after @where and @sort)
+${w('| @select=', 'highlight')} Reshape results into objects
+  Ex: $.orders[*] | @select=id,total,customer.name as customer,../region
+${w('| @count', 'highlight')}   Aggregate results (:save/:copy use the aggregate)
+  Ex: $.orders[*] | @where=status=paid | @sum=total
+  Also: ${w('@avg=f, @min=f, @max=f, @distinct=f', 'dim')}
+  Groups: ${w('@group=status', 'dim')} (counts) or ${w('@group=status | @sum=total', 'dim')}
+  Combine: ${w('| @label=... | @where=... | @sort=...', 'dim')}`;
   }
 
   setupEventHandlers() {
@@ -833,9 +507,9 @@ ${w('| @where=', 'highlight')}  Filter results
       }
     });
     
-    // Left arrow - switch back to input panel
+    // Left arrow - switch back to input panel (the tree view handles it in switchFocus)
     this.screen.key(['left'], () => {
-      if (this.focusedPanel === 'results') {
+      if (this.focusedPanel === 'results' && this.lastDisplayedType !== 'tree') {
         this.switchFocus('input');
       }
     });
@@ -846,8 +520,11 @@ ${w('| @where=', 'highlight')}  Filter results
     this.commandInput.on('submit', (value) => {
       const trimmedValue = value ? value.trim() : '';
       
+      // A number picks from the numbered list on display, even if it also fuzzy-matches some paths
+      const picksListed = /^\d+$/.test(trimmedValue) && (this.lastDisplayedType === 'wildcard' || this.lastDisplayedType === 'search');
+      
       // If there are suggestions and one is selected, use the selected suggestion
-      if (this.suggestions.length > 0 && this.selectedIndex >= 0 && this.selectedIndex < this.suggestions.length) {
+      if (!picksListed && this.suggestions.length > 0 && this.selectedIndex >= 0 && this.selectedIndex < this.suggestions.length) {
         const selected = this.suggestions[this.selectedIndex];
         // Execute the selected suggestion (could be a command, path, or search)
         this.executeQuery(selected.path);
@@ -1086,8 +763,8 @@ ${w('| @where=', 'highlight')}  Filter results
             this.updateSuggestions(currentValue);
           } else {
             // For regular queries, use debounce for performance
-            const sizeInfo = appState.jsonData ? PathExtractor.estimateSize(appState.jsonData) : { isLarge: false };
-            const debounceMs = sizeInfo.isLarge ? 200 : 150;
+            // Size is estimated once on load - re-serializing large JSON on every keypress stalls typing
+            const debounceMs = this.sizeInfo && this.sizeInfo.isLarge ? 200 : 150;
             
             this.suggestionDebounceTimer = setTimeout(() => {
               this.updateSuggestions(this.commandInput.getValue());
@@ -1175,6 +852,7 @@ ${w('| @where=', 'highlight')}  Filter results
     // Check if there's any content to view in the results box
     return (this.lastDisplayedType === 'wildcard' && this.lastWildcardResults && this.lastWildcardResults.length > 0) ||
            (this.lastDisplayedType === 'search' && appState.lastSearchResults.length > 0) ||
+           (this.lastDisplayedType === 'tree') ||
            (this.lastDisplayedType === 'result'); // For results, help, paths, etc - just check if display type is set
   }
   
@@ -1187,7 +865,7 @@ ${w('| @where=', 'highlight')}  Filter results
       this.resultsBox.style.border.fg = 'green';
       
       // Detach all key handlers from screen when in input mode
-      this.screen.unkey(['up', 'down', 'left', 'right', 'enter', 'n', 'p']);
+      this.screen.unkey(['up', 'down', 'left', 'right', 'space', 'enter', 'n', 'p', 't', 'h', 'l', 'S-left', 'S-right', 'y']);
       
       this.commandInput.focus();
     } else if (panel === 'results') {
@@ -1222,12 +900,26 @@ ${w('| @where=', 'highlight')}  Filter results
         }
       });
       
-      this.screen.key(['left', 'escape'], () => {
+      this.screen.key(['left', 'escape'], (ch, key) => {
         if (this.focusedPanel === 'results') {
+          // In the tree, ← collapses first and only leaves the panel at the collapsed root
+          if (key.name === 'left' && this.lastDisplayedType === 'tree' && this.displayManager.treeState.collapse()) {
+            this.displayManager.renderTree();
+            return;
+          }
           this.switchFocus('input');
         }
       });
       
+      // Tree view: expand the focused node
+      this.screen.key(['right', 'space'], () => {
+        if (this.focusedPanel === 'results' && this.lastDisplayedType === 'tree') {
+          if (this.displayManager.treeState.expand()) {
+            this.displayManager.renderTree();
+          }
+        }
+      });
+      
       // Add n/p handlers for navigating search matches
       this.screen.key(['n'], () => {
         if (this.focusedPanel === 'results' && this.searchMatches.length > 0) {
@@ -1247,11 +939,43 @@ ${w('| @where=', 'highlight')}  Filter results
         }
       });
       
+      // Copy code that reads the selected value
+      this.screen.key(['y'], () => {
+        if (this.focusedPanel === 'results') {
+          this.copyAccessorToClipboard(null).catch(err => {
+            const w = this.wrapColor.bind(this);
+            this.resultsBox.setContent(w(`❌ Error: ${err.message}`, 'error'));
+            this.screen.render();
+          });
+        }
+      });
+      
+      // Table view: toggle, and scroll columns sideways
+      this.screen.key(['t'], () => {
+        if (this.focusedPanel === 'results') {
+          this.toggleTableView();
+        }
+      });
+      
+      this.screen.key(['h', 'S-left'], () => {
+        if (this.focusedPanel === 'results') {
+          this.displayManager.scrollTable(-1);
+        }
+      });
+      
+      this.screen.key(['l', 'S-right'], () => {
+        if (this.focusedPanel === 'results') {
+          this.displayManager.scrollTable(1);
+        }
+      });
+      
       // Refresh display based on result type
       if (this.lastDisplayedType === 'wildcard' && this.lastWildcardResults) {
         this.highlightWildcardResult();
       } else if (this.lastDisplayedType === 'search' && appState.lastSearchResults.length > 0) {
         this.displayManager.displaySearchResults(); // Refresh to show selection
+      } else if (this.lastDisplayedType === 'tree') {
+        this.displayManager.renderTree();
       }
       this.resultsBox.focus(); // Focus the results box for scrolling
     }
@@ -1282,108 +1006,69 @@ ${w('| @where=', 'highlight')}  Filter results
         this.resultsSelectedIndex++;
         this.displaySearchResults();
       }
+    } else if (this.lastDisplayedType === 'tree') {
+      this.displayManager.treeState.moveSelection(direction === 'up' ? -1 : 1);
+      this.displayManager.renderTree();
     }
   }
   
   highlightWildcardResult() {
     if (!this.lastWildcardResults || this.lastWildcardResults.length === 0) return;
     
-    const w = this.wrapColor.bind(this);
-    
-    // Rebuild the display with highlighting
-    const allLines = [];
-    
-    // Add header
-    const labelQuery = this.lastQuery && this.lastQuery.includes('| @label=');
-    const headerText = labelQuery 
-      ? `✓ Found ${this.lastWildcardResults.length} matches (with labels)`
-      : `✓ Found ${this.lastWildcardResults.length} matches`;
-    
-    let fullContent = w(headerText, 'success') + '\n' + w('(Scroll to view all)', 'dim') + '\n';
-    
-    // Rebuild all lines with highlighting for selected item
-    for (let idx = 0; idx < this.lastWildcardResults.length; idx++) {
-      const item = this.lastWildcardResults[idx];
-      
-      // Get display path (label or short path)
-      let displayPath;
-      if (this.lastDisplayedLabels && this.lastDisplayedLabels[idx]) {
-        displayPath = this.lastDisplayedLabels[idx].label;
-      } else {
-        // Fallback to short path
-        displayPath = QueryExecutor.formatWildcardPath(
-          QueryExecutor.pathArrayToString(item.path),
-          ''
-        );
-      }
-      
-      let valuePreview = '';
-      if (typeof item.value === 'string') {
-        valuePreview = `"${item.value.substring(0, 40)}"`;
-      } else if (typeof item.value === 'number' || typeof item.value === 'boolean') {
-        valuePreview = String(item.value);
-      } else if (item.value === null) {
-        valuePreview = 'null';
-      } else {
-        valuePreview = JSON.stringify(item.value).substring(0, 40);
-      }
-      
-      const lineNumber = w(`[${idx + 1}]`, 'dim');
-      
-      // Highlight selected line with a unique marker for scroll tracking
-      if (idx === this.resultsSelectedIndex) {
-        allLines.push(`{#SELECTED#}${w('►', 'highlight')} ${lineNumber} ${w(displayPath, 'highlight')} → ${w(valuePreview, 'highlight')}`);
-      } else {
-        allLines.push(`  ${lineNumber} ${w(displayPath, 'path')} → ${valuePreview}`);
-      }
+    // Table view highlights the row in place
+    if (this.displayManager.tableState) {
+      this.displayManager.renderTable(this.resultsSelectedIndex);
+      this.screen.render();
+      return;
     }
     
-    fullContent += allLines.join('\n');
+    // Redraw the list with the selected result marked and centered
+    this.displayManager.renderWildcardList(this.resultsSelectedIndex);
+    this.screen.render();
+  }
+  
+  /**
+   * Toggle the table view for arrays of objects and redraw the current results
+   */
+  toggleTableView() {
+    const enabled = this.displayManager.toggleTableView();
     
-    // Add scrolling tip
-    if (this.lastWildcardResults.length > 10) {
-      fullContent += '\n\n' + w(`Showing all ${this.lastWildcardResults.length} results - use ↑/↓ to navigate, Enter to copy`, 'dim');
+    // Row selection restarts in the redrawn view
+    this.resultsSelectedIndex = 0;
+    if (this.focusedPanel === 'results' && this.lastDisplayedType === 'wildcard') {
+      this.highlightWildcardResult();
     }
     
-    // Set content
-    this.resultsBox.setContent(fullContent);
-    
-    // Scroll to keep selected item visible
-    // Search for our unique marker {#SELECTED#} in the rendered content
-    const contentLines = this.resultsBox.getContent().split('\n');
-    let markerLineIndex = -1;
-    
-    for (let i = 0; i < contentLines.length; i++) {
-      if (contentLines[i].includes('{#SELECTED#}')) {
-        markerLineIndex = i;
-        break;
-      }
+    this.screen.render();
+    return enabled;
+  }
+  
+  /**
+   * Show the last result (or the whole document) as a tree, or go back to the JSON view
+   */
+  toggleTreeView() {
+    if (this.lastDisplayedType === 'tree') {
+      this.displayManager.displayResult(appState.lastDisplayedResult, appState.lastDisplayedPath);
+      return;
     }
     
-    if (markerLineIndex >= 0) {
-      // Found the selected line, scroll to keep it visible
-      const viewportHeight = this.resultsBox.height - 2;
-      const currentScroll = this.resultsBox.getScroll();
-      const topVisible = currentScroll;
-      const bottomVisible = currentScroll + viewportHeight - 1;
-      
-      // Always scroll to center the selected line
-      const targetScroll = Math.max(0, markerLineIndex - Math.floor(viewportHeight / 2));
-      this.resultsBox.setScroll(targetScroll);
-    }
+    // Wildcard and search lists hold {path, value} pairs rather than a value, so browse the document instead
+    const hasResult = this.lastDisplayedType === 'result' && appState.lastDisplayedResult !== null && appState.lastDisplayedResult !== undefined;
+    const data = hasResult ? appState.lastDisplayedResult : appState.jsonData;
+    const path = hasResult ? (appState.lastDisplayedPath || '$') : '$';
     
-    this.screen.render();
+    this.displayManager.displayTree(data, path);
   }
   
   copySelectedResult() {
     if (this.lastDisplayedType === 'wildcard' && this.lastWildcardResults) {
       const selectedItem = this.lastWildcardResults[this.resultsSelectedIndex];
       
-      // Get the parent path (remove the last field from the path)
+      // Get the parent path (remove the last field from the path) - schema violations open the offending value itself
       const pathArray = selectedItem.path;
-      if (pathArray && pathArray.length > 1) {
+      if (pathArray && (pathArray.length > 1 || selectedItem.violation)) {
         // Remove the last element to get the parent path
-        const parentPathArray = pathArray.slice(0, -1);
+        const parentPathArray = selectedItem.violation ? pathArray : pathArray.slice(0, -1);
         const parentPathString = QueryExecutor.pathArrayToString(parentPathArray);
         
         // Execute the parent path query to get the parent object
@@ -1402,6 +1087,14 @@ ${w('| @where=', 'highlight')}  Filter results
           this.screen.render();
         }
       }
+    } else if (this.lastDisplayedType === 'tree') {
+      // Load the focused node's path into the query input
+      const node = this.displayManager.treeState.getSelectedNode();
+      const path = node.more ? node.parent : node.path;
+      this.commandInput.setValue(path);
+      this.switchFocus('input');
+      this.updateSuggestions(path);
+      this.screen.render();
     } else if (this.lastDisplayedType === 'result') {
       // Copy the full result
       this.copyToClipboard().catch(err => {
@@ -1564,6 +1257,7 @@ ${w('| @where=', 'highlight')}  Filter results
     let searchQuery = input;
     let isLabelPart = false;
     let isWherePart = false;
+    let isOrderingPart = false;
     let mainQuery = '';
     
     if (pipeIndex !== -1) {
@@ -1585,7 +1279,7 @@ ${w('| @where=', 'highlight')}  Filter results
           
           // Check if we have a complete field=value pair using regex
           let hasCompleteCondition = false;
-          const fieldPattern = /^(\.\.\/)*[\w$.'\[\]]+\s*(>=|<=|!=|=|>|<|contains)\s*(.+)$/;
+          const fieldPattern = /^(\.\.\/)*[\w$.'\[\]]+\s*(>=|<=|!=|=|>|<|\s(?:contains|matches|startswith|endswith|in|is)\b)\s*(.+)$/i;
           const match = whereContent.match(fieldPattern);
           
           if (match && match[3] && match[3].trim() !== '') {
@@ -1603,6 +1297,8 @@ ${w('| @where=', 'highlight')}  Filter results
         } else if (lastPipePart.startsWith('@label')) {
           searchQuery = lastPipePart.replace(/^@label\s*=?\s*/, '');
           isLabelPart = true;
+        } else if (/^@(sort|limit|offset|select|count|sum|avg|min|max|distinct|group)\b/.test(lastPipePart)) {
+          isOrderingPart = true;
         }
       } else if (pipePart === '' || pipePart === '@') {
         // Show available pipe operators
@@ -1626,7 +1322,7 @@ ${w('| @where=', 'highlight')}  Filter results
         // - "../board_type=\"BREAKFAST\"" -> has value
         
         // Check if there's a field followed by operator followed by value
-        const fieldPattern = /^(\.\.\/)*[\w$.'\[\]]+\s*(>=|<=|!=|=|>|<|contains)\s*(.+)$/;
+        const fieldPattern = /^(\.\.\/)*[\w$.'\[\]]+\s*(>=|<=|!=|=|>|<|\s(?:contains|matches|startswith|endswith|in|is)\b)\s*(.+)$/i;
         const match = whereContent.match(fieldPattern);
         
         if (match && match[3] && match[3].trim() !== '') {
@@ -1648,6 +1344,9 @@ ${w('| @where=', 'highlight')}  Filter results
         // Typing label path
         searchQuery = pipePart.replace(/^@label\s*=?\s*/, '');
         isLabelPart = true;
+      } else if (/^@(sort|limit|offset|select|count|sum|avg|min|max|distinct|group)\b/.test(pipePart)) {
+        // Typing sort/select/aggregate fields or a count - nothing useful to suggest
+        isOrderingPart = true;
       } else {
         // Backwards compatibility: assume label if no @ prefix
         searchQuery = pipePart;
@@ -1668,12 +1367,20 @@ ${w('| @where=', 'highlight')}  Filter results
         { cmd: ':show', aliases: [], desc: 'Show full JSON' },
         { cmd: ':paths', aliases: [], desc: 'List all paths' },
         { cmd: ':save', aliases: [], desc: 'Save last result' },
-        { cmd: ':dump', aliases: [':export'], desc: 'Save full JSON' },
+        { cmd: ':dump', aliases: [], desc: 'Save full document (input format)' },
+        { cmd: ':export', aliases: [], desc: 'Export as .csv/.tsv/.yaml/.md' },
         { cmd: ':saveline', aliases: [':sl'], desc: 'Save with line number' },
         { cmd: ':copy', aliases: [':c'], desc: 'Copy result to clipboard' },
         { cmd: ':copy-query', aliases: [':cq'], desc: 'Copy last query' },
         { cmd: ':copy-results', aliases: [':cr'], desc: 'Copy displayed results' },
+        { cmd: ':copy-path', aliases: [':cp'], desc: 'Copy accessor code (js/python/jq/pointer)' },
         { cmd: ':raw', aliases: [], desc: 'Raw mode (select text)' },
+        { cmd: ':table', aliases: [], desc: 'Toggle table view' },
+        { cmd: ':tree', aliases: [], desc: 'Browse result as a tree' },
+        { cmd: ':diff', aliases: [], desc: 'Compare with a file (--key id)' },
+        { cmd: ':schema', aliases: [], desc: 'Infer a JSON Schema' },
+        { cmd: ':validate', aliases: [], desc: 'Check against a JSON Schema' },
+        { cmd: ':types', aliases: [], desc: 'Generate TypeScript/JSDoc/Python types' },
         { cmd: ':keys', aliases: [':keybindings'], desc: 'Show/manage keybindings' },
         { cmd: ':bind', aliases: [], desc: 'Add keybinding' },
         { cmd: ':unbind', aliases: [], desc: 'Remove keybinding' },
@@ -1791,13 +1498,23 @@ ${w('| @where=', 'highlight')}  Filter results
     
     // Add path suggestions
     let pathSuggestions = [];
-    if (!cleanSearchQuery || cleanSearchQuery.trim() === '') {
+    if (isOrderingPart) {
+      // No path suggestions for @sort/@limit/@offset, @select and aggregate values
+    } else if (!cleanSearchQuery || cleanSearchQuery.trim() === '') {
       if (isLabelPart) {
         // Check if we're suggesting @ operators
         if (searchQuery === '@') {
           pathSuggestions = [
             { path: '@label=', preview: 'Add labels to wildcard results' },
-            { path: '@where=', preview: 'Filter results by condition' }
+            { path: '@where=', preview: 'Filter results by condition' },
+            { path: '@sort=', preview: 'Sort results by a field (asc/desc)' },
+            { path: '@limit=', preview: 'Keep the first N results' },
+            { path: '@offset=', preview: 'Skip the first N results' },
+            { path: '@select=', preview: 'Keep only some fields (a,b.c as c,../d)' },
+            { path: '@count', preview: 'Count results' },
+            { path: '@sum=', preview: 'Sum a field (also @avg=, @min=, @max=)' },
+            { path: '@distinct=', preview: 'Distinct values of a field' },
+            { path: '@group=', preview: 'Count (or @sum=...) per group' }
           ];
         } else if (hasWildcardShortcut) {
           // User wants wildcard suggestions - show wildcard versions
@@ -2053,6 +1770,9 @@ ${w('| @where=', 'highlight')}  Filter results
     if (!query || query.trim() === '') return;
 
     this.addToHistory(query);
+    
+    // Output replaces the load progress; it stays visible in the results label
+    this.showingLoadProgress = false;
 
     // Handle commands
     if (query.startsWith(':')) {
@@ -2112,11 +1832,51 @@ ${w('| @where=', 'highlight')}  Filter results
         return;
       }
       
+      if (cmd === 'copy-path' || cmd === 'cp') {
+        this.copyAccessorToClipboard(args).catch(err => {
+          const w = this.wrapColor.bind(this);
+          this.resultsBox.setContent(w(`❌ Error: ${err.message}`, 'error'));
+          this.screen.render();
+        });
+        return;
+      }
+      
       if (cmd === 'raw') {
         this.enterRawMode();
         return;
       }
       
+      if (cmd === 'table') {
+        this.toggleTableView();
+        return;
+      }
+      
+      if (cmd === 'tree') {
+        this.toggleTreeView();
+        return;
+      }
+      
+      if (cmd === 'diff') {
+        this.handleDiffCommand(args);
+        return;
+      }
+      
+      if (cmd === 'schema') {
+        // Shown as a regular result, so :save and :copy keep the schema
+        this.displayManager.displayResult(SchemaInference.infer(appState.jsonData), ':schema');
+        return;
+      }
+      
+      if (cmd === 'validate') {
+        this.handleValidateCommand(args);
+        return;
+      }
+      
+      if (cmd === 'types') {
+        this.handleTypesCommand(args);
+        return;
+      }
+      
       if (cmd === 'decode') {
         this.decodeResult();
         return;
@@ -2137,11 +1897,16 @@ ${w('| @where=', 'highlight')}  Filter results
         return;
       }
       
-      if (cmd === 'dump' || cmd === 'export') {
+      if (cmd === 'dump') {
         this.handleDumpCommand(args);
         return;
       }
       
+      if (cmd === 'export') {
+        this.handleExportCommand(args);
+        return;
+      }
+      
       // Keybinding commands
       if (cmd === 'keybindings' || cmd === 'keys') {
         this.handleKeybindingsCommand(args);
@@ -2260,59 +2025,32 @@ ${w('| @where=', 'highlight')}  Filter results
     // Store the last query for :copy-query command (only for actual queries, not commands)
     this.lastQuery = query;
     
-    // Parse query for label syntax and where filter
-    const { mainQuery, labelQuery, whereFilter } = this.parseQueryWithLabel(query);
+    // Parse query for label syntax, where filter and ordering
+    const parsed = QueryPipeline.parseQueryWithLabel(query);
+    const { mainQuery, labelQuery, whereFilter } = parsed;
+    
+    // A malformed filter or later stage is an error, not a reason to show everything
+    let stages;
+    try {
+      if (whereFilter) {
+        WhereParser.parse(whereFilter);
+      }
+      stages = QueryPipeline.parseStages(parsed);
+    } catch (error) {
+      this.displayManager.displayFilterError(error);
+      return;
+    }
 
     // Execute JSONPath query
     const result = this.queryExecutor.execute(mainQuery);
     if (result.success) {
       appState.setLastResult(result.data, mainQuery);
       if (result.isWildcard && Array.isArray(result.data)) {
-        // Smart filtering: if user is filtering on a field but queried the field itself,
-        // automatically query the parent object and filter on that
-        let actualResults = result.data;
-        let actualQuery = mainQuery;
-        let displayFieldName = null;
-        
-        if (whereFilter && result.data.length > 0) {
-          // Check if results are primitives (not objects)
-          const firstResult = result.data[0];
-          const isPrimitive = typeof firstResult.value !== 'object' || firstResult.value === null;
-          
-          if (isPrimitive) {
-            // Extract the field name from the where filter
-            const fieldMatch = whereFilter.match(/^([a-zA-Z_$][\w]*)/);
-            if (fieldMatch) {
-              const fieldName = fieldMatch[1];
-              
-              // Try to construct parent query by removing the last field access
-              // Handle both $.path.to.field and $.path.to[*].field patterns
-              let parentQuery = mainQuery;
-              
-              // Remove the field from the end
-              if (parentQuery.endsWith(`.${fieldName}`)) {
-                parentQuery = parentQuery.substring(0, parentQuery.length - fieldName.length - 1);
-              } else if (parentQuery.endsWith(`['${fieldName}']`)) {
-                parentQuery = parentQuery.substring(0, parentQuery.length - fieldName.length - 4);
-              } else if (parentQuery.endsWith(`["${fieldName}"]`)) {
-                parentQuery = parentQuery.substring(0, parentQuery.length - fieldName.length - 4);
-              }
-              
-              // Re-execute with parent query
-              const parentResult = this.queryExecutor.execute(parentQuery);
-              if (parentResult.success && parentResult.isWildcard && Array.isArray(parentResult.data)) {
-                // Check if first result is now an object
-                if (parentResult.data.length > 0 && typeof parentResult.data[0].value === 'object') {
-                  actualResults = parentResult.data;
-                  actualQuery = parentQuery;
-                  displayFieldName = fieldName; // Remember to extract this field after filtering
-                }
-              }
-            }
-          }
-        }
+        const target = this.pipeline.resolveFilterTarget(mainQuery, result.data, whereFilter, stages.ordering && stages.ordering.sort);
         
-        this.displayManager.displayWildcardResults(actualResults, actualQuery, labelQuery, whereFilter, displayFieldName);
+        this.displayManager.displayWildcardResults(target.results, target.query, labelQuery, whereFilter, target.displayFieldName, null, stages);
+      } else if (stages.aggregation) {
+        this.displayManager.displayFilterError(new Error('Aggregates need wildcard results (e.g. $.orders[*] | @count)'));
       } else {
         this.displayManager.displayResult(result.data, mainQuery);
       }
@@ -2337,20 +2075,15 @@ ${w('| @where=', 'highlight')}  Filter results
     const total = this.searchMatches.length;
     
     // Update the header to show current match
-    const currentContent = this.resultsBox.getContent();
-    const lines = currentContent.split('\n');
-    if (lines.length > 0) {
-      lines[0] = lines[0].replace(/\(Press.*?\)|Match \d+\/\d+ - .*?\)/, 
-        `(Match ${this.currentMatchIndex + 1}/${total} - 'n' next, 'p' prev)`);
-      this.resultsBox.setContent(lines.join('\n'));
-    }
+    this.resultsViewport.replaceLine(0, this.resultsViewport.getLine(0).replace(/\(Press.*?\)|Match \d+\/\d+ - .*?\)/, 
+      `(Match ${this.currentMatchIndex + 1}/${total} - 'n' next, 'p' prev)`));
     
     // Calculate scroll position to center the match in view
     // matchLine is the index in the formatted JSON (0-based)
     // We need to add 2 for the header lines we prepend
     const lineInDisplay = matchLine + 2;
     const boxHeight = this.resultsBox.height - 2; // Subtract borders
-    const currentScroll = this.resultsBox.getScroll();
+    const currentScroll = this.resultsViewport.getScroll();
     
     // Calculate if match is outside visible area
     const topOfView = currentScroll;
@@ -2369,7 +2102,7 @@ ${w('| @where=', 'highlight')}  Filter results
       newScroll = Math.max(0, lineInDisplay - Math.floor(boxHeight / 2));
     }
     
-    this.resultsBox.setScroll(newScroll);
+    this.resultsViewport.scrollTo(newScroll);
     this.screen.render();
   }
 
@@ -2387,20 +2120,15 @@ ${w('| @where=', 'highlight')}  Filter results
     const total = this.searchMatches.length;
     
     // Update the header to show current match
-    const currentContent = this.resultsBox.getContent();
-    const lines = currentContent.split('\n');
-    if (lines.length > 0) {
-      lines[0] = lines[0].replace(/\(Press.*?\)|Match \d+\/\d+ - .*?\)/, 
-        `(Match ${this.currentMatchIndex + 1}/${total} - 'n' next, 'p' prev)`);
-      this.resultsBox.setContent(lines.join('\n'));
-    }
+    this.resultsViewport.replaceLine(0, this.resultsViewport.getLine(0).replace(/\(Press.*?\)|Match \d+\/\d+ - .*?\)/, 
+      `(Match ${this.currentMatchIndex + 1}/${total} - 'n' next, 'p' prev)`));
     
     // Calculate scroll position to center the match in view
     // matchLine is the index in the formatted JSON (0-based)
     // We need to add 2 for the header lines we prepend
     const lineInDisplay = matchLine + 2;
     const boxHeight = this.resultsBox.height - 2; // Subtract borders
-    const currentScroll = this.resultsBox.getScroll();
+    const currentScroll = this.resultsViewport.getScroll();
     
     // Calculate if match is outside visible area
     const topOfView = currentScroll;
@@ -2419,7 +2147,7 @@ ${w('| @where=', 'highlight')}  Filter results
       newScroll = Math.max(0, lineInDisplay - Math.floor(boxHeight / 2));
     }
     
-    this.resultsBox.setScroll(newScroll);
+    this.resultsViewport.scrollTo(newScroll);
     this.screen.render();
   }
 
@@ -2464,29 +2192,19 @@ ${w('| @where=', 'highlight')}  Filter results
       // We're viewing a selected item - search and highlight within it
       const basePath = appState.lastDisplayedPath || '$';
       
-      // Format the result with highlighting
-      const formatted = Formatter.prettyPrint(appState.lastDisplayedResult);
-      const lines = formatted.split('\n');
+      // Find the matching lines in the plain JSON - only the lines in view get colorized and highlighted
+      const lines = JSON.stringify(appState.lastDisplayedResult, null, 2).split('\n');
       
-      // Search for the term in the formatted output (case-insensitive)
+      // Search for the term (case-insensitive)
       const searchLower = searchTerm.toLowerCase();
       const matchLines = []; // Track which lines have matches
-      let matchCount = 0;
-      
-      const highlightedLines = lines.map((line, index) => {
-        const lineLower = line.toLowerCase();
-        if (lineLower.includes(searchLower)) {
+      lines.forEach((line, index) => {
+        if (line.toLowerCase().includes(searchLower)) {
           matchLines.push(index);
-          matchCount++;
-          
-          // Highlight the search term in the line
-          // Use a case-insensitive replace
-          const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
-          return line.replace(regex, `{yellow-bg}{black-fg}$1{/black-fg}{/yellow-bg}`);
         }
-        return line;
       });
-
+      const matchCount = matchLines.length;
+      
       if (matchCount === 0) {
         this.resultsBox.setContent(
           w(`❌ No matches found for: "${searchTerm}" in current result`, 'error') + '\n\n' +
@@ -2507,15 +2225,21 @@ ${w('| @where=', 'highlight')}  Filter results
       if (matchCount > 1) {
         content += ` ${w(`(Press 'n' for next, 'p' for previous)`, 'dim')}`;
       }
-      content += '\n\n';
-      content += highlightedLines.join('\n');
-
-      this.resultsBox.setContent(content);
+      
+      // Highlight the search term in matching lines (case-insensitive replace)
+      const matchSet = new Set(matchLines);
+      const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+      const header = [content, ''];
+      const formatLine = index => {
+        if (index < header.length) return header[index];
+        const line = Formatter.colorizeJSON(lines[index - header.length]);
+        return matchSet.has(index - header.length) ? line.replace(regex, `{yellow-bg}{black-fg}$1{/black-fg}{/yellow-bg}`) : line;
+      };
       
       // Scroll to the first match
       // Add 2 for the header lines
       const scrollToLine = this.searchMatches[0] + 2;
-      this.resultsBox.setScroll(Math.max(0, scrollToLine - 2)); // Show a couple lines of context above
+      this.resultsViewport.show(header.length + lines.length, formatLine, Math.max(0, scrollToLine - 2)); // Show a couple lines of context above
       
       this.screen.render();
     } 
@@ -2576,6 +2300,9 @@ ${w('| @where=', 'highlight')}  Filter results
       this.suggestionsBox.height = '100%-3';
     }
     
+    // The results window depends on the box height
+    this.resultsViewport.refresh();
+    
     // Re-render the screen
     this.screen.render();
   }
@@ -2692,7 +2419,7 @@ ${w('| @where=', 'highlight')}  Filter results
   async copyResultsToClipboard() {
     const w = this.wrapColor.bind(this);
     
-    if (this.lastDisplayedType !== 'wildcard' || !this.lastDisplayedLabels || this.lastDisplayedLabels.length === 0) {
+    if (this.lastDisplayedType !== 'wildcard' || !this.displayManager.wildcardRows || this.displayManager.wildcardRows.count === 0) {
       this.resultsBox.setContent(w('⚠️  No wildcard results to copy. This command only works with wildcard queries.', 'warning'));
       this.screen.render();
       return;
@@ -2704,15 +2431,16 @@ ${w('| @where=', 'highlight')}  Filter results
       return;
     }
     
-    // Use the stored displayed labels (exactly what user sees in TUI)
-    const lines = this.lastDisplayedLabels.map(item => `${item.label} → ${item.value}`);
+    // Labels and previews as listed in the TUI (rows not scrolled to yet are resolved now)
+    const rows = this.displayManager.getWildcardRows();
+    const lines = rows.map(item => `${item.label} → ${item.value}`);
     const copyString = lines.join('\n');
     
     try {
       await ClipboardManager.copyToClipboard(copyString);
       this.resultsBox.setContent(
         `${w('✓ Results copied to clipboard!', 'success')}\n\n` +
-        `${w(`Copied: ${this.lastDisplayedLabels.length} results (labels → values)`, 'info')}\n` +
+        `${w(`Copied: ${rows.length} results (labels → values)`, 'info')}\n` +
         `${w(`Size: ${copyString.length} bytes`, 'dim')}\n\n` +
         `${w('Format: label → value (one per line)', 'dim')}\n` +
         `${w('You can now paste with Cmd+V (Mac) or Ctrl+V', 'dim')}`
@@ -2723,36 +2451,113 @@ ${w('| @where=', 'highlight')}  Filter results
     this.screen.render();
   }
   
-  enterRawMode() {
-    let dataToDisplay = null;
-    let description = '';
+  /**
+   * Copy code that reads the selected value: :copy-path [js|python|jq|pointer] [row]
+   * The path is the selected wildcard/search row (or row N of the wildcard list), the focused
+   * tree node, or the path of the displayed result
+   * @param {string|null} args - Language and/or 1-based row number
+   */
+  async copyAccessorToClipboard(args) {
+    const w = this.wrapColor.bind(this);
+    const parts = args ? args.split(/\s+/) : [];
+    const language = ACCESSOR_LANGUAGES.includes(parts[0]) ? parts.shift() : 'js';
+    const row = parts.length === 1 && /^\d+$/.test(parts[0]) ? parseInt(parts.shift(), 10) : null;
     
-    // Determine what to display based on display type
+    if (parts.length > 0) {
+      this.resultsBox.setContent(
+        w(`Usage: :copy-path [${ACCESSOR_LANGUAGES.join('|')}] [row]`, 'error') + '\n\n' +
+        w('Copies code that reads the selected value, e.g. data["a-b"]?.items?.[3]?.id', 'dim')
+      );
+      this.screen.render();
+      return;
+    }
+    
+    let path = null;
     if (this.lastDisplayedType === 'wildcard' && this.lastWildcardResults) {
-      dataToDisplay = this.lastWildcardResults.map(item => ({
-        path: QueryExecutor.pathArrayToString(item.path),
-        value: item.value
-      }));
-      description = `${this.lastWildcardResults.length} wildcard results`;
+      const item = this.lastWildcardResults[row !== null ? row - 1 : this.resultsSelectedIndex];
+      if (!item) {
+        this.resultsBox.setContent(w(`❌ No row ${row}. Available: 1-${this.lastWildcardResults.length}`, 'error'));
+        this.screen.render();
+        return;
+      }
+      path = item.path;
     } else if (this.lastDisplayedType === 'search' && appState.lastSearchResults.length > 0) {
-      dataToDisplay = appState.lastSearchResults.map(match => ({
-        path: match.path,
-        value: match.value
-      }));
-      description = `${appState.lastSearchResults.length} search results`;
-    } else if (appState.lastDisplayedResult) {
-      dataToDisplay = appState.lastDisplayedResult;
-      description = 'result';
-    } else {
-      const w = this.wrapColor.bind(this);
-      this.resultsBox.setContent(w('⚠️  No result to display. Run a query first.', 'warning'));
+      const match = appState.getPagedSearchResults()[this.resultsSelectedIndex];
+      path = match ? match.pathArray : null;
+    } else if (this.lastDisplayedType === 'tree') {
+      // Keys below the tree root are kept as they are; only the root (a query) is parsed
+      const tree = this.displayManager.treeState;
+      const node = tree.getSelectedNode();
+      const rootSegments = AccessorCode.toSegments(tree.rootPath);
+      path = rootSegments ? ['$', ...rootSegments, ...(node.more ? node.parentKeys : node.keys)] : null;
+    } else if (this.lastDisplayedType === 'result') {
+      path = appState.lastDisplayedPath;
+    }
+    
+    const code = path !== null ? AccessorCode.generate(path, language) : null;
+    if (code === null) {
+      this.resultsBox.setContent(w('⚠️  No single path to copy. Select a result, wildcard row or tree node first.', 'warning'));
       this.screen.render();
       return;
     }
     
-    // Destroy the screen to restore terminal
-    this.screen.destroy();
-    
+    if (!ClipboardManager.isSupported()) {
+      this.resultsBox.setContent(w('❌ Clipboard copy not supported on this platform', 'error'));
+      this.screen.render();
+      return;
+    }
+    
+    // Show the other languages too, so they can be copied by name next time
+    const names = { js: 'JavaScript', python: 'Python', jq: 'jq', pointer: 'JSON Pointer' };
+    const others = ACCESSOR_LANGUAGES.map(other => {
+      const text = AccessorCode.generate(path, other) || '""';
+      return `${w(`${names[other]}:`.padEnd(14), 'dim')}${other === language ? w(text, 'highlight') : text}`;
+    });
+    
+    try {
+      await ClipboardManager.copyToClipboard(code);
+      this.resultsBox.setContent(
+        `${w(`✓ Copied ${names[language]} accessor to clipboard!`, 'success')}\n\n` +
+        `${w('Path:', 'info')} ${w(Array.isArray(path) ? QueryExecutor.pathArrayToString(path) : path, 'path')}\n\n` +
+        `${others.join('\n')}\n\n` +
+        `${w(`Other languages: :copy-path ${ACCESSOR_LANGUAGES.join('|')}`, 'dim')}`
+      );
+    } catch (error) {
+      this.resultsBox.setContent(w(`❌ Failed to copy: ${error.message}`, 'error'));
+    }
+    this.screen.render();
+  }
+  
+  enterRawMode() {
+    let dataToDisplay = null;
+    let description = '';
+    
+    // Determine what to display based on display type
+    if (this.lastDisplayedType === 'wildcard' && this.lastWildcardResults) {
+      dataToDisplay = this.lastWildcardResults.map(item => ({
+        path: QueryExecutor.pathArrayToString(item.path),
+        value: item.value
+      }));
+      description = `${this.lastWildcardResults.length} wildcard results`;
+    } else if (this.lastDisplayedType === 'search' && appState.lastSearchResults.length > 0) {
+      dataToDisplay = appState.lastSearchResults.map(match => ({
+        path: match.path,
+        value: match.value
+      }));
+      description = `${appState.lastSearchResults.length} search results`;
+    } else if (appState.lastDisplayedResult) {
+      dataToDisplay = appState.lastDisplayedResult;
+      description = 'result';
+    } else {
+      const w = this.wrapColor.bind(this);
+      this.resultsBox.setContent(w('⚠️  No result to display. Run a query first.', 'warning'));
+      this.screen.render();
+      return;
+    }
+    
+    // Destroy the screen to restore terminal
+    this.screen.destroy();
+    
     // Print the result in plain text
     const jsonString = JSON.stringify(dataToDisplay, null, 2);
     console.log('\n' + '='.repeat(80));
@@ -2891,53 +2696,155 @@ ${w('| @where=', 'highlight')}  Filter results
     
     const w = this.wrapColor.bind(this);
     
+    // Show which file(s) we're exploring, and their format if it isn't JSON
+    const sourceName = appState.getSourceName();
+    this.resultsBox.setLabel(this.getResultsLabel());
+    if (sourceName) {
+      this.screen.title = `jojq - ${sourceName}`;
+    }
+    
     // Estimate size and choose extraction strategy
-    const sizeInfo = PathExtractor.estimateSize(jsonData);
-    let extractionMessage = '';
-    let paths = [];
+    const sizeInfo = PathExtractor.estimateSize(jsonData, appState.inputBytes);
+    this.sizeInfo = sizeInfo;
+    const extractionMessage = sizeInfo.isVeryLarge
+      ? `\n${w('⚠️  Large file detected - showing limited paths', 'warning')}\n${w('   Type a query to explore deeper paths or use wildcards', 'dim')}`
+      : '';
+    
+    // A previous extraction (e.g. another proxy response) no longer applies
+    this.cancelPathExtraction();
+    
+    if (sizeInfo.sizeBytes < CONSTANTS.WORKER_EXTRACTION_THRESHOLD_BYTES || !this.inputSource) {
+      // Small documents index faster than a worker starts up (and the worker needs the raw input)
+      const paths = PathExtractor.extractPathsForStrategy(jsonData, sizeInfo.strategy);
+      appState.setAllPaths(paths);
+      
+      // Show initial suggestions IMMEDIATELY (before showing success message)
+      // This ensures users see suggestions right away
+      this.updateSuggestions('');
+      
+      this.showLoadSummary(jsonData, paths.length, sizeInfo, extractionMessage);
+      return;
+    }
     
-    if (sizeInfo.isVeryLarge) {
-      // For very large files (25+ MB), use optimized extraction for suggestions
-      this.resultsBox.setContent(
-        `${w('⏳ Loading large JSON file...', 'warning')}\n\n` +
-        `${w(`Size: ${sizeInfo.sizeMB.toFixed(2)} MB`, 'info')}\n` +
-        `${w('Extracting paths for suggestions (this may take a moment)...', 'dim')}`
-      );
-      this.screen.render();
+    // Larger documents are indexed in a worker - suggestions fill in as batches arrive
+    // (in document order; the list is sorted once when extraction finishes)
+    const found = new Set();
+    const paths = [];
+    let lastRefresh = 0;
+    
+    const refresh = (indexing) => {
+      if (!indexing) paths.sort();
+      appState.setAllPaths(paths);
+      this.suggestionCache.clear();
+      this.updateSuggestions(this.commandInput.getValue(), true);
+      if (this.showingLoadProgress) {
+        this.showLoadSummary(jsonData, paths.length, sizeInfo, extractionMessage, indexing);
+      }
+      lastRefresh = Date.now();
+    };
+    
+    appState.setAllPaths(paths);
+    this.showingLoadProgress = true;
+    this.showLoadSummary(jsonData, 0, sizeInfo, extractionMessage, true);
+    
+    const extraction = PathExtractor.extractPathsInWorker(this.inputSource, sizeInfo.strategy, (batch) => {
+      for (const path of batch) {
+        if (found.has(path)) continue;
+        found.add(path);
+        paths.push(path);
+      }
+      if (Date.now() - lastRefresh >= CONSTANTS.LOAD_PROGRESS_INTERVAL_MS) {
+        refresh(true);
+      }
+    });
+    this.pathExtraction = extraction;
+    // The worker owns the raw input now (stdin text was moved, not copied) - don't hold it for the session
+    this.inputSource = null;
+    
+    extraction.promise.then(() => {
+      if (this.pathExtraction !== extraction) return;
+      this.pathExtraction = null;
+      refresh(false);
+      this.showingLoadProgress = false;
+    }).catch((error) => {
+      if (this.pathExtraction !== extraction) return;
+      this.pathExtraction = null;
+      // Keep the paths found so far - indexing again on the UI thread would freeze it
+      // (the worker most likely ran out of memory on a huge document)
+      refresh(false);
+      this.showingLoadProgress = false;
       
-      // Extract enough paths for useful suggestions (depth 3, min 200 paths)
-      paths = PathExtractor.extractPathsLazy(jsonData, 3, 200);
-      extractionMessage = `\n${w('⚠️  Large file detected - showing limited paths', 'warning')}\n${w('   Type a query to explore deeper paths or use wildcards', 'dim')}`;
-    } else if (sizeInfo.isLarge) {
-      // For large files (5-25 MB), use limited extraction
       this.resultsBox.setContent(
-        `${w('⏳ Loading JSON file...', 'info')}\n\n` +
-        `${w(`Size: ${sizeInfo.sizeMB.toFixed(2)} MB`, 'info')}\n` +
-        `${w('Extracting paths (this may take a moment)...', 'dim')}`
+        `${w(`❌ Path indexing stopped: ${error.message}`, 'error')}\n\n` +
+        `${w(`Suggestions only cover the ${paths.length} paths found before that - queries still run against the whole document.`, 'warning')}`
       );
       this.screen.render();
-      
-      paths = PathExtractor.extractPaths(jsonData, '$', { 
-        maxDepth: 4, 
-        maxArrayItems: 10,
-        maxPaths: 50000 // Limit to 50k paths
-      });
-    } else {
-      // Small files, extract all paths
-      paths = PathExtractor.extractPaths(jsonData);
+    });
+  }
+  
+  /**
+   * Stop a running background path extraction, if any
+   */
+  cancelPathExtraction() {
+    if (this.pathExtraction) {
+      this.pathExtraction.cancel();
+      this.pathExtraction = null;
     }
+  }
+  
+  /**
+   * Show the "JSON loaded" summary in the results box
+   * @param {*} jsonData - Loaded JSON data
+   * @param {number} pathCount - Number of paths indexed for suggestions
+   * @param {object} sizeInfo - Result of PathExtractor.estimateSize
+   * @param {string} extractionMessage - Extra note about limited path extraction
+   * @param {boolean} [indexing=false] - Paths are still being extracted in the background
+   */
+  showLoadSummary(jsonData, pathCount, sizeInfo, extractionMessage, indexing = false) {
+    const w = this.wrapColor.bind(this);
     
-    appState.setAllPaths(paths);
-    
-    // Show initial suggestions IMMEDIATELY (before showing success message)
-    // This ensures users see suggestions right away
-    this.updateSuggestions('');
+    const loadedFrom = appState.sourceFiles.length > 0
+      ? `${w('Loaded from:', 'info')} ${appState.sourceFiles.join(', ')}\n`
+      : '';
+    
+    // JSON Lines, CSV and YAML streams are loaded as arrays ($[0], $[1], ...)
+    let formatInfo = '';
+    if (appState.inputFormat === 'ndjson' && Array.isArray(jsonData)) {
+      formatInfo = `${w('Format:', 'info')} JSON Lines (${jsonData.length} records, query with $[*])\n`;
+    } else if (['csv', 'tsv'].includes(appState.inputFormat) && Array.isArray(jsonData)) {
+      formatInfo = `${w('Format:', 'info')} ${InputParser.formatName(appState.inputFormat)} (${jsonData.length} records, query with $[*])\n`;
+    } else if (appState.inputFormat === 'yaml-stream' && Array.isArray(jsonData)) {
+      formatInfo = `${w('Format:', 'info')} YAML (${jsonData.length} documents, query with $[*])\n`;
+    } else if (!['json', 'mixed'].includes(appState.inputFormat)) {
+      formatInfo = `${w('Format:', 'info')} ${InputParser.formatName(appState.inputFormat)} (:dump writes it back in this format)\n`;
+    }
+    const loadedName = ['json', 'mixed'].includes(appState.inputFormat) ? 'JSON' : InputParser.formatName(appState.inputFormat);
+    
+    let warningInfo = '';
+    if (appState.loadWarnings.length > 0) {
+      const shown = appState.loadWarnings.slice(0, 5);
+      // JSON only has warnings when --lenient repaired it; JSON Lines skips malformed lines;
+      // YAML, TOML and JSON5 report NaN and infinities, which JSON shows as null
+      const heading = appState.inputFormat === 'json'
+        ? `Repaired ${appState.loadWarnings.length} problem(s) in the input:`
+        : appState.inputFormat === 'ndjson'
+          ? `Skipped ${appState.loadWarnings.length} malformed line(s):`
+          : `${appState.loadWarnings.length} warning(s) about the input:`;
+      warningInfo = `\n${w(`⚠️  ${heading}`, 'warning')}\n` +
+        shown.map(warning => w(`   ${warning}`, 'dim')).join('\n') +
+        (appState.loadWarnings.length > shown.length
+          ? `\n${w(`   ... and ${appState.loadWarnings.length - shown.length} more`, 'dim')}`
+          : '');
+    }
     
     this.resultsBox.setContent(
-      `${w('✓ JSON loaded successfully!', 'success')}\n\n` +
-      `${w('Paths extracted:', 'info')} ${paths.length}${sizeInfo.isLarge ? ' (limited)' : ''}\n` +
+      `${w(`✓ ${loadedName} loaded successfully!`, 'success')}\n\n` +
+      loadedFrom +
+      formatInfo +
+      `${w('Paths extracted:', 'info')} ${pathCount}${indexing ? ` ${w('(indexing...)', 'dim')}` : sizeInfo.isLarge ? ' (limited)' : ''}\n` +
       `${w(`Size: ${sizeInfo.sizeMB.toFixed(2)} MB`, 'dim')}` +
       extractionMessage +
+      warningInfo +
       `\n\n${w('Type a query to start exploring...', 'dim')}\n` +
       `${w('💡 Suggestions are shown on the left - start typing to filter!', 'info')}`
     );
@@ -2945,6 +2852,202 @@ ${w('| @where=', 'highlight')}  Filter results
     this.screen.render();
   }
   
+  /**
+   * Load JSON from a stream while keeping the TUI usable
+   * The document is built in place, so queries run against the data loaded so far,
+   * and paths are added to the suggestions as they are parsed
+   * @param {stream.Readable} stream - JSON bytes (file or stdin)
+   * @param {object} [options] - Load options
+   * @param {number|null} [options.totalBytes] - Input size if known (shows a percentage)
+   * @param {Buffer[]} [options.initialChunks] - Data already read from the stream
+   * @returns {Promise<void>} - Resolves once the whole input is loaded
+   */
+  loadJSONStream(stream, options = {}) {
+    const { totalBytes = null, initialChunks = [] } = options;
+    const parser = new StreamingJSONParser({
+      maxArrayItems: CONSTANTS.MAX_ARRAY_ITEMS_INDEX,
+      maxPaths: CONSTANTS.MAX_PATHS_EXTRACT
+    });
+    const decoder = new StringDecoder('utf8');
+    // Paths in document order while loading, sorted once at the end
+    const found = new Set();
+    const paths = [];
+    let bytesRead = 0;
+    let lastRefresh = 0;
+    
+    const refresh = (done = false) => {
+      if (parser.hasRoot && appState.jsonData !== parser.root) {
+        appState.setJsonData(parser.root);
+      }
+      for (const path of parser.takePaths()) {
+        if (found.has(path)) continue;
+        found.add(path);
+        paths.push(path);
+      }
+      if (done) paths.sort();
+      appState.setAllPaths(paths);
+      appState.setLoadProgress({ bytesRead, totalBytes });
+      this.sizeInfo = PathExtractor.estimateSize(null, totalBytes || bytesRead);
+      
+      // New paths invalidate cached suggestions
+      this.suggestionCache.clear();
+      this.updateSuggestions(this.commandInput.getValue(), true);
+      this.showLoadProgress();
+      lastRefresh = Date.now();
+    };
+    
+    const handleChunk = (chunk) => {
+      bytesRead += chunk.length;
+      parser.write(decoder.write(chunk));
+      if (Date.now() - lastRefresh >= CONSTANTS.LOAD_PROGRESS_INTERVAL_MS) {
+        refresh();
+      }
+    };
+    
+    this.showingLoadProgress = true;
+    appState.setInputSize(totalBytes);
+    
+    return new Promise((resolve) => {
+      let failed = false;
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stream.destroy();
+        refresh(true);
+        this.finishStreamLoad(error);
+        resolve();
+      };
+      
+      try {
+        initialChunks.forEach(handleChunk);
+        refresh();
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      
+      stream.on('data', (chunk) => {
+        try {
+          handleChunk(chunk);
+        } catch (error) {
+          stream.removeAllListeners('data');
+          fail(error);
+        }
+      });
+      stream.on('end', () => {
+        try {
+          parser.write(decoder.end());
+          parser.end();
+        } catch (error) {
+          fail(error);
+          return;
+        }
+        refresh(true);
+        appState.setInputSize(bytesRead);
+        this.finishStreamLoad(null);
+        resolve();
+      });
+      stream.on('error', fail);
+      
+      // stdin was paused after reading the initial chunks
+      stream.resume();
+    });
+  }
+  
+  /**
+   * Show streaming load progress in the results box (label only once the user has run a query)
+   */
+  showLoadProgress() {
+    const progress = appState.loadProgress;
+    if (!progress) return;
+    
+    const w = this.wrapColor.bind(this);
+    const readMB = (progress.bytesRead / (1024 * 1024)).toFixed(1);
+    const sourceName = appState.getSourceName();
+    let status = `${readMB} MB`;
+    let bar = '';
+    
+    if (progress.totalBytes) {
+      const ratio = Math.min(progress.bytesRead / progress.totalBytes, 1);
+      const filled = Math.round(ratio * 30);
+      status = `${Math.floor(ratio * 100)}%`;
+      bar = `[${'█'.repeat(filled)}${'░'.repeat(30 - filled)}] ` +
+        `${readMB} / ${(progress.totalBytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    this.resultsBox.setLabel(` Results: ${sourceName ? `${sourceName} ` : ''}(loading ${status}) `);
+    
+    if (this.showingLoadProgress) {
+      this.resultsBox.setContent(
+        `${w('⏳ Loading JSON...', 'info')}\n\n` +
+        `${bar ? w(bar, 'info') : w(`${readMB} MB read`, 'info')}\n` +
+        `${w('Paths indexed:', 'info')} ${appState.allPaths.length}\n\n` +
+        `${w('You can start typing queries now - results cover the data loaded so far.', 'dim')}`
+      );
+    }
+    
+    this.screen.render();
+  }
+  
+  /**
+   * Wrap up a streaming load
+   * @param {Error|null} error - Parse/read error, or null on success
+   */
+  finishStreamLoad(error) {
+    const w = this.wrapColor.bind(this);
+    
+    appState.setLoadProgress(null);
+    this.resultsBox.setLabel(this.getResultsLabel());
+    
+    if (error) {
+      this.showingLoadProgress = false;
+      this.resultsBox.setContent(
+        `${w(`❌ Error loading JSON: ${error.message}`, 'error')}\n\n` +
+        `${w('Only the data before the error was loaded - query results may be incomplete.', 'warning')}`
+      );
+      this.screen.render();
+      return;
+    }
+    
+    if (this.showingLoadProgress) {
+      this.showingLoadProgress = false;
+      this.showLoadSummary(appState.jsonData, appState.allPaths.length, this.sizeInfo,
+        `\n${w('⚠️  Large file - paths were indexed while streaming (first array items only)', 'warning')}`);
+      return;
+    }
+    
+    this.screen.render();
+  }
+  
+  /**
+   * Label of the results panel: " Results: data.yaml (YAML) "
+   * The format is only named when the input wasn't plain JSON
+   * @returns {string} - Panel label
+   */
+  getResultsLabel() {
+    const sourceName = appState.getSourceName();
+    const format = ['json', 'mixed'].includes(appState.inputFormat)
+      ? null
+      : InputParser.formatName(appState.inputFormat);
+    
+    if (!sourceName) {
+      return format ? ` Results (${format}) ` : ' Results ';
+    }
+    return format ? ` Results: ${sourceName} (${format}) ` : ` Results: ${sourceName} `;
+  }
+  
+  /**
+   * Get the default file name prefix for saved files
+   * When a single file was loaded, its name is reused (data.json -> data-result-...)
+   * @param {string} fallback - Prefix used for stdin input or several files
+   * @param {string} suffix - Appended to the source file's base name
+   * @returns {string} - File name prefix
+   */
+  getSavePrefix(fallback, suffix) {
+    const baseName = appState.getSourceBaseName();
+    return baseName ? `${baseName}${suffix}` : fallback;
+  }
+  
   handleSaveCommand(filename) {
     const w = this.wrapColor.bind(this);
     
@@ -2955,7 +3058,7 @@ ${w('| @where=', 'highlight')}  Filter results
     }
     
     try {
-      const fullPath = FileManager.saveToFile(appState.lastDisplayedResult, filename, 'jojq-result');
+      const fullPath = FileManager.saveToFile(appState.lastDisplayedResult, filename, this.getSavePrefix('jojq-result', '-result'));
       this.resultsBox.setContent(
         w('✓ Saved result to: ', 'success') + w(fullPath, 'info')
       );
@@ -2980,7 +3083,7 @@ ${w('| @where=', 'highlight')}  Filter results
         path: appState.lastDisplayedPath,
         data: appState.lastDisplayedResult
       };
-      const fullPath = FileManager.saveToFile(dataWithLine, filename, 'jojq-result-line');
+      const fullPath = FileManager.saveToFile(dataWithLine, filename, this.getSavePrefix('jojq-result-line', '-result-line'));
       this.resultsBox.setContent(
         w('✓ Saved result with line number to: ', 'success') + w(fullPath, 'info')
       );
@@ -2991,13 +3094,102 @@ ${w('| @where=', 'highlight')}  Filter results
     }
   }
   
+  /**
+   * Write the whole document to a file, in the format it was loaded from (:dump, :dump config.yaml)
+   * A file name with a known extension picks that format instead, a name without an extension gets
+   * the format's, and other names are kept as given; several files of different formats are dumped as JSON
+   * @param {string|null} filename - Target file (null = generated name)
+   */
   handleDumpCommand(filename) {
     const w = this.wrapColor.bind(this);
     
     try {
-      const fullPath = FileManager.saveToFile(appState.jsonData, filename, 'jojq-dump');
+      const requested = filename ? InputParser.formatFromFileName(filename) : 'auto';
+      let format = requested === 'auto' ? appState.inputFormat : requested;
+      if (format === 'mixed') {
+        format = 'json';
+      } else if (format === 'yaml' && appState.inputFormat === 'yaml-stream') {
+        format = 'yaml-stream'; // Keep the documents apart
+      }
+      
+      const extension = InputParser.formatExtension(format);
+      const prefix = this.getSavePrefix('jojq-dump', '');
+      const fullPath = format === 'json'
+        ? FileManager.saveToFile(appState.jsonData, filename, prefix)
+        : FileManager.saveTextToFile(
+          InputParser.serialize(appState.jsonData, format),
+          filename && !pathModule.extname(filename) ? `${filename}${extension}` : filename,
+          prefix,
+          extension
+        );
+      this.resultsBox.setContent(
+        w(`✓ Dumped full ${InputParser.formatName(format)} to: `, 'success') + w(fullPath, 'info')
+      );
+      this.screen.render();
+    } catch (error) {
+      this.resultsBox.setContent(w(`❌ Error saving file: ${error.message}`, 'error'));
+      this.screen.render();
+    }
+  }
+  
+  /**
+   * Export the displayed results for spreadsheets: :export <file>.csv|.tsv|.yaml|.md (or just the format)
+   * Wildcard and search rows get a first column with their @label or path
+   * @param {string} args - File name, or csv/tsv/yaml/md for a generated name
+   */
+  handleExportCommand(args) {
+    const w = this.wrapColor.bind(this);
+    const extensions = Object.keys(EXPORT_FORMATS);
+    
+    let filename = args;
+    let format = args ? Exporter.formatForFile(args) : null;
+    if (args && !format && EXPORT_FORMATS[`.${args.toLowerCase()}`]) {
+      format = EXPORT_FORMATS[`.${args.toLowerCase()}`];
+      filename = null;
+    }
+    
+    if (!format) {
+      this.resultsBox.setContent(
+        w(`Usage: :export <file>${extensions.join('|')}`, 'error') + '\n\n' +
+        w('Arrays of objects become one row per element, nested keys become columns (customer.name)', 'dim') + '\n' +
+        w('For JSON, use :save', 'dim')
+      );
+      this.screen.render();
+      return;
+    }
+    
+    let data;
+    let labels = null;
+    let labelColumn = 'path';
+    if (this.lastDisplayedType === 'wildcard' && this.lastWildcardResults) {
+      data = this.lastWildcardResults.map(item => item.value);
+      const labeled = this.displayManager.wildcardRows && this.displayManager.wildcardRows.labeled;
+      labels = labeled
+        ? this.displayManager.getWildcardRows().map(row => row.label)
+        : this.lastWildcardResults.map(item => QueryExecutor.pathArrayToString(item.path));
+      labelColumn = labeled ? 'label' : 'path';
+    } else if (this.lastDisplayedType === 'search' && appState.lastSearchResults.length > 0) {
+      data = appState.lastSearchResults.map(match => match.value);
+      labels = appState.lastSearchResults.map(match => match.path);
+    } else if (appState.lastDisplayedResult !== null && appState.lastDisplayedResult !== undefined) {
+      data = appState.lastDisplayedResult;
+    } else {
+      this.resultsBox.setContent(w('❌ No result to export. Query something first.', 'error'));
+      this.screen.render();
+      return;
+    }
+    
+    try {
+      const extension = filename ? null : `.${args.toLowerCase()}`;
+      const fullPath = FileManager.saveTextToFile(
+        Exporter.serialize(format, data, { labels, labelColumn }),
+        filename,
+        this.getSavePrefix('jojq-export', '-export'),
+        extension
+      );
+      const rows = Array.isArray(data) ? data.length : 1;
       this.resultsBox.setContent(
-        w('✓ Dumped full JSON to: ', 'success') + w(fullPath, 'info')
+        w(`✓ Exported ${rows} row${rows === 1 ? '' : 's'} as ${format === 'markdown' ? 'Markdown' : format.toUpperCase()} to: `, 'success') + w(fullPath, 'info')
       );
       this.screen.render();
     } catch (error) {
@@ -3006,6 +3198,144 @@ ${w('| @where=', 'highlight')}  Filter results
     }
   }
   
+  /**
+   * Compare the loaded document with a file: :diff <file> [--key <field>]
+   * In proxy mode, :diff <n> <m> compares two captured responses instead
+   * @param {string} args - File path (~ allowed), optionally with --key to pair array elements by a field
+   */
+  handleDiffCommand(args) {
+    const w = this.wrapColor.bind(this);
+    
+    const keyPattern = /(?:^|\s)--key\s+(\S+)/;
+    const keyMatch = (args || '').match(keyPattern);
+    const file = (args || '').replace(keyPattern, '').trim();
+    const arrayKey = keyMatch ? keyMatch[1] : null;
+    
+    if (!file) {
+      const proxyUsage = this.proxyServer
+        ? '\n' + w(':diff <n> <m> compares two captured responses (see the numbers in the proxy list)', 'dim')
+        : '';
+      this.resultsBox.setContent(
+        w('Usage: :diff <file> [--key <field>]', 'error') + '\n\n' +
+        w('Shows what changed from the loaded JSON to the file', 'dim') + '\n' +
+        w('--key pairs array elements by a field (e.g. --key id) instead of by index', 'dim') +
+        proxyUsage
+      );
+      this.screen.render();
+      return;
+    }
+    
+    const responseNumbers = file.match(/^(\d+)\s+(\d+)$/);
+    if (this.proxyServer && responseNumbers) {
+      const [first, second] = [parseInt(responseNumbers[1], 10), parseInt(responseNumbers[2], 10)];
+      try {
+        const changes = this.proxyServer.diffResponses(first, second, { arrayKey });
+        this.displayManager.displayDiff(changes, `diff #${first} #${second}${arrayKey ? ` by ${arrayKey}` : ''}`);
+      } catch (error) {
+        this.resultsBox.setContent(w(`❌ ${error.message}`, 'error'));
+        this.screen.render();
+      }
+      return;
+    }
+    
+    const filePath = file.startsWith('~/') ? pathModule.join(os.homedir(), file.slice(2)) : file;
+    
+    let other;
+    try {
+      other = FileManager.loadInputFiles([filePath]).data;
+    } catch (error) {
+      this.resultsBox.setContent(w(`❌ ${error.message}`, 'error'));
+      this.screen.render();
+      return;
+    }
+    
+    const changes = JSONDiff.compare(appState.jsonData, other, { arrayKey });
+    this.displayManager.displayDiff(changes, `diff ${file}${arrayKey ? ` by ${arrayKey}` : ''}`);
+  }
+  
+  /**
+   * Check the loaded document against a JSON Schema: :validate <schema file>
+   * In proxy mode the schema applies to the response body, and the file can be left out
+   * to use the contract given for the response's host (--schema host=file)
+   * @param {string} file - Schema file path (~ allowed)
+   */
+  handleValidateCommand(file) {
+    const w = this.wrapColor.bind(this);
+    const captured = this.proxyServer && appState.jsonData && appState.jsonData.request && appState.jsonData.response
+      ? appState.jsonData
+      : null;
+    
+    let validator;
+    let name = file;
+    if (file) {
+      const filePath = file.startsWith('~/') ? pathModule.join(os.homedir(), file.slice(2)) : file;
+      try {
+        validator = new SchemaValidator(FileManager.loadInputFiles([filePath]).data);
+      } catch (error) {
+        this.resultsBox.setContent(w(`❌ ${error instanceof SchemaError ? `Invalid schema ${file}: ` : ''}${error.message}`, 'error'));
+        this.screen.render();
+        return;
+      }
+    } else {
+      const contract = captured ? this.proxyServer.findContract(captured.request.url) : null;
+      if (!contract) {
+        this.resultsBox.setContent(
+          w('Usage: :validate <schema file>', 'error') + '\n\n' +
+          w('Lists every value that breaks the JSON Schema - type its number to jump to it', 'dim')
+        );
+        this.screen.render();
+        return;
+      }
+      validator = contract.validator;
+      name = contract.name;
+    }
+    
+    let violations;
+    try {
+      violations = captured
+        ? validator.validate(captured.response.body, ['$', 'response', 'body'])
+        : validator.validate(appState.jsonData);
+    } catch (error) {
+      this.resultsBox.setContent(w(`❌ Invalid schema ${name}: ${error.message}`, 'error'));
+      this.screen.render();
+      return;
+    }
+    
+    this.displayManager.displayViolations(violations, `validate ${name}`);
+  }
+  
+  /**
+   * Generate type definitions for the last result (or the whole document): :types [ts|jsdoc|python] [RootName]
+   * Run again on generated types, it switches language for the same value
+   * @param {string|null} args - Language and/or root type name
+   */
+  handleTypesCommand(args) {
+    const w = this.wrapColor.bind(this);
+    const parts = args ? args.split(/\s+/) : [];
+    const language = TYPE_LANGUAGES.includes(parts[0]) ? parts.shift() : 'ts';
+    
+    if (parts.length > 1 || (parts.length === 1 && !TypeGenerator.toTypeName(parts[0]))) {
+      this.resultsBox.setContent(
+        w(`Usage: :types [${TYPE_LANGUAGES.join('|')}] [RootName]`, 'error') + '\n\n' +
+        w('Interfaces for the last result, or the whole document (e.g. :types python Order)', 'dim')
+      );
+      this.screen.render();
+      return;
+    }
+    
+    // Wildcard results keep the array of matched values as the last result; after a search, describe the document
+    let source = { data: appState.jsonData, path: '$' };
+    if (this.lastDisplayedType === 'types') {
+      source = this.displayManager.typesSource;
+    } else if (['result', 'wildcard'].includes(this.lastDisplayedType) && appState.lastDisplayedResult !== null && appState.lastDisplayedResult !== undefined) {
+      source = { data: appState.lastDisplayedResult, path: appState.lastDisplayedPath || '$' };
+    }
+    
+    const rootName = TypeGenerator.toTypeName(parts[0] || 'Root');
+    const code = TypeGenerator.generate(source.data, language, rootName);
+    this.displayManager.displayTypes(code, source, `types ${language} ${rootName} of ${source.path}`);
+  }
+  
   handleKeybindingsCommand(args) {
     const w = this.wrapColor.bind(this);
     
@@ -3158,26 +3488,410 @@ ${w('| @where=', 'highlight')}  Filter results
   }
 }
 
-// Main execution
-async function main() {
-  // Check if we're in proxy mode
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the node binary and script
+ * @returns {object} - Parsed flags, positional file arguments and any unrecognized options
+ */
+function parseArgs(argv) {
   const args = {
-    proxy: process.argv.includes('--proxy'),
+    proxy: false,
     proxyPort: 8888,
-    insecure: process.argv.includes('--insecure'),
-    cli: process.argv.includes('--cli')
+    insecure: false,
+    cli: false,
+    query: null,
+    diff: false,
+    diffKey: null,
+    schemas: [],
+    output: null,
+    format: 'auto',
+    delimiter: null,
+    inferTypes: true,
+    lenient: false,
+    files: [],
+    unknownOptions: [] // Reported by main as a usage error
   };
 
-  // Find port if specified
-  const portIndex = process.argv.indexOf('--proxy');
-  if (portIndex !== -1 && process.argv[portIndex + 1] && !process.argv[portIndex + 1].startsWith('--')) {
-    args.proxyPort = parseInt(process.argv[portIndex + 1], 10);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--proxy') {
+      args.proxy = true;
+      // Port is optional
+      if (argv[i + 1] && /^\d+$/.test(argv[i + 1])) {
+        args.proxyPort = parseInt(argv[++i], 10);
+      }
+    } else if (arg === '--insecure') {
+      args.insecure = true;
+    } else if (arg === '--cli') {
+      args.cli = true;
+    } else if (arg === '-q' || arg === '--query') {
+      args.query = argv[++i] !== undefined ? argv[i] : '';
+    } else if (arg === '--diff') {
+      args.diff = true;
+    } else if (arg === '--key') {
+      args.diffKey = argv[++i] || null;
+    } else if (arg === '--schema') {
+      if (argv[i + 1] !== undefined) {
+        args.schemas.push(argv[++i]);
+      }
+    } else if (arg === '-o' || arg === '--output') {
+      args.output = argv[++i];
+    } else if (arg === '-f' || arg === '--format') {
+      args.format = argv[++i];
+    } else if (arg === '--ndjson' || arg === '--jsonl') {
+      args.format = 'ndjson';
+    } else if (arg === '--delimiter') {
+      const delimiter = argv[++i];
+      args.delimiter = delimiter === 'tab' || delimiter === '\\t' ? '\t' : delimiter || null;
+    } else if (arg === '--no-infer') {
+      args.inferTypes = false;
+    } else if (arg === '--lenient') {
+      args.lenient = true;
+    } else if (arg === '--') {
+      args.files.push(...argv.slice(i + 1));
+      break;
+    } else if (!arg.startsWith('-') || arg === '-') {
+      args.files.push(arg);
+    } else {
+      args.unknownOptions.push(arg);
+    }
+  }
+
+  // A delimiter only makes sense for CSV
+  if (args.delimiter && args.format === 'auto') {
+    args.format = 'csv';
+  }
+
+  return args;
+}
+
+/**
+ * Print usage to stderr
+ * @returns {void}
+ */
+function printUsage() {
+  console.error('Modes:');
+  console.error('  jojq data.json              # TUI mode, load a file');
+  console.error('  jojq logs/*.json            # TUI mode, load several files');
+  console.error('  cat file.json | jojq        # TUI mode, read stdin');
+  console.error('  cat file.json | jojq --cli  # CLI mode (legacy)');
+  console.error("  jojq -q '$.users[*]' f.json # Headless query, prints to stdout");
+  console.error('                              (-o json|raw|lines, exit 1 = no match, 2 = bad query)');
+  console.error('  jojq --diff old.json new.json  # Structural diff (--key id pairs array elements by id,');
+  console.error('                                 -o lines|json|raw, exit 1 = differences)');
+  console.error('  jojq --ndjson events.log    # JSON Lines input (auto-detected when possible)');
+  console.error('  jojq -f yaml manifest.txt   # Also yaml, toml, json5, jsonc, csv, tsv (detected from the extension or content)');
+  console.error("  jojq --delimiter ';' d.csv  # CSV with another delimiter (--no-infer keeps every cell a string)");
+  console.error('  jojq --lenient broken.json  # Load what can be recovered from malformed or truncated JSON');
+  console.error('  jojq --schema contract.json data.json  # TUI mode, open on the schema violations');
+  console.error('  jojq --proxy 8888           # Proxy mode');
+  console.error("                              (--schema 'api.example.com=contract.json' checks each response from the host)");
+}
+
+/**
+ * Read stdin as raw chunks
+ * @param {number} [limit] - Stop reading (and pause stdin) once this many bytes arrived
+ * @returns {Promise<object>} - { chunks, bytes, ended } where ended is false if the limit was hit
+ */
+function readStdinChunks(limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let bytes = 0;
+    
+    const cleanup = () => {
+      process.stdin.removeListener('data', onData);
+      process.stdin.removeListener('end', onEnd);
+      process.stdin.removeListener('error', onError);
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      bytes += chunk.length;
+      if (bytes >= limit) {
+        cleanup();
+        process.stdin.pause();
+        resolve({ chunks, bytes, ended: false });
+      }
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve({ chunks, bytes, ended: true });
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    
+    process.stdin.on('data', onData);
+    process.stdin.on('end', onEnd);
+    process.stdin.on('error', onError);
+  });
+}
+
+/**
+ * Check if a single input file should be streamed instead of read into one string
+ * @param {object} args - Parsed command line arguments
+ * @param {string[]} files - Expanded input files
+ * @returns {number|null} - File size in bytes if it should be streamed, otherwise null
+ */
+function getStreamableFileSize(args, files) {
+  // Repairing malformed JSON needs the whole text
+  if (files.length !== 1 || args.lenient) return null;
+  
+  const format = args.format === 'auto' ? InputParser.formatFromFileName(files[0]) : args.format;
+  if (format !== 'auto' && format !== 'json') return null;
+  
+  try {
+    const size = fs.statSync(files[0]).size;
+    return size >= CONSTANTS.LARGE_JSON_THRESHOLD_BYTES ? size : null;
+  } catch (e) {
+    return null; // loadInputFiles reports the error
+  }
+}
+
+/**
+ * Load and parse the input from files or stdin
+ * @param {object} args - Parsed command line arguments
+ * @param {string[]} fileArgs - File arguments (stdin is read when empty)
+ * @param {object} [prefix] - Chunks already read from stdin by readStdinChunks
+ * @returns {Promise<object>} - { data, format, warnings, files, bytes, source } where source is
+ *   what PathExtractor.extractPathsInWorker needs to parse the input again
+ */
+async function loadInput(args, fileArgs, prefix = null) {
+  const parseOptions = { delimiter: args.delimiter, inferTypes: args.inferTypes, lenient: args.lenient };
+  
+  if (fileArgs.length > 0) {
+    const files = FileManager.expandFilePatterns(fileArgs);
+    const size = getStreamableFileSize(args, files);
+    
+    // Large JSON files are parsed from a stream so the raw text never has to fit in one string
+    if (size !== null) {
+      try {
+        const data = await StreamingJSONParser.parseStream(
+          fs.createReadStream(files[0], { highWaterMark: CONSTANTS.STREAM_CHUNK_SIZE_BYTES })
+        );
+        return { data, format: 'json', warnings: [], files, bytes: size };
+      } catch (e) {
+        throw new Error(`Invalid input in ${files[0]}: ${e.message}`);
+      }
+    }
+    
+    const source = { files, format: args.format, options: parseOptions };
+    return { ...FileManager.loadInputFiles(files, args.format, parseOptions), files, source };
+  }
+  
+  const head = prefix || { chunks: [], ended: false };
+  const rest = head.ended ? { chunks: [] } : await readStdinChunks();
+  const input = Buffer.concat([...head.chunks, ...rest.chunks]);
+  const parsed = InputParser.parse(input.toString('utf8'), { ...parseOptions, format: args.format });
+  const source = { text: input, format: args.format, options: parseOptions };
+  return { ...parsed, files: [], bytes: input.length, source };
+}
+
+/**
+ * Open the TUI input - large JSON is streamed so the TUI is usable while it loads
+ * @param {object} args - Parsed command line arguments
+ * @param {string[]} fileArgs - File arguments (stdin is read when empty)
+ * @returns {Promise<object>} - { stream, totalBytes, initialChunks, files } when streaming, otherwise loadInput's result
+ */
+async function openInput(args, fileArgs) {
+  if (fileArgs.length > 0) {
+    const files = FileManager.expandFilePatterns(fileArgs);
+    const size = getStreamableFileSize(args, files);
+    if (size !== null) {
+      const stream = fs.createReadStream(files[0], { highWaterMark: CONSTANTS.STREAM_CHUNK_SIZE_BYTES });
+      return { stream, totalBytes: size, initialChunks: [], files };
+    }
+    return loadInput(args, fileArgs);
+  }
+  
+  // Piped input has no known size - buffer up to the threshold before deciding
+  const prefix = await readStdinChunks(CONSTANTS.LARGE_JSON_THRESHOLD_BYTES);
+  const head = Buffer.concat(prefix.chunks).toString('utf8');
+  const canStream = !args.lenient && (args.format === 'json' ||
+    (args.format === 'auto' && /^\s*[{[]/.test(head) && !InputParser.looksLikeJSONLines(head)));
+  
+  if (!prefix.ended && canStream) {
+    return { stream: process.stdin, totalBytes: null, initialChunks: prefix.chunks, files: [] };
+  }
+  return loadInput(args, fileArgs, prefix);
+}
+
+/**
+ * Print why the input couldn't be loaded, with the lines around the problem when its position is known
+ * @param {Error} error - Error from loadInput or openInput
+ * @param {object} args - Parsed command line arguments
+ * @returns {void}
+ */
+function printInputError(error, args) {
+  const formatName = InputParser.formatName(args.format === 'auto' ? 'json' : args.format);
+  console.error(`Error: ${error instanceof SyntaxError ? `Invalid ${formatName} input: ` : ''}${error.message}`);
+  
+  // FileManager wraps parse errors to name the file
+  const syntaxError = [error, error.cause].find(e => e instanceof InputSyntaxError);
+  if (!syntaxError) return;
+  console.error('');
+  console.error(syntaxError.codeFrame());
+  
+  if (!args.lenient && ['auto', 'json'].includes(args.format) && /^\s*[{[]/.test(syntaxError.source)) {
+    console.error('');
+    console.error('Tip: --lenient loads what can be recovered (trailing commas, single quotes, unquoted keys,');
+    console.error('     NaN/Infinity, truncated documents)');
+  }
+}
+
+/**
+ * Print warnings about the loaded input - repairs made by --lenient, skipped JSON Lines records,
+ * or NaN and infinities read from YAML, TOML or JSON5
+ * @param {object} input - Result of loadInput
+ * @returns {void}
+ */
+function printLoadWarnings(input) {
+  const prefix = input.format === 'ndjson' ? 'skipped ' : '';
+  input.warnings.forEach(warning => console.error(`Warning: ${prefix}${warning}`));
+}
+
+/**
+ * Run a one-shot query without opening the TUI and exit with its status
+ * @param {object} args - Parsed command line arguments
+ * @param {string[]} fileArgs - File arguments (stdin is read when empty)
+ * @returns {Promise<void>}
+ */
+async function runHeadless(args, fileArgs) {
+  const { HeadlessRunner, EXIT_CODES } = require('./lib/headless');
+  
+  if (fileArgs.length === 0 && process.stdin.isTTY) {
+    console.error('Error: No JSON input provided. Pass a file or pipe JSON data into jojq.');
+    process.exit(EXIT_CODES.INPUT_ERROR);
+  }
+  
+  let input;
+  try {
+    input = await loadInput(args, fileArgs);
+  } catch (error) {
+    printInputError(error, args);
+    process.exit(EXIT_CODES.INPUT_ERROR);
+  }
+  
+  // Skipped records and repairs shouldn't go unnoticed in scripts, but they don't fail the run
+  printLoadWarnings(input);
+  
+  const runner = new HeadlessRunner(input.data);
+  const { exitCode, output, error } = runner.run(args.query, args.output || 'json');
+  
+  if (error) {
+    console.error(`Error: ${error}`);
+  }
+  if (output) {
+    process.stdout.write(output + '\n');
+  }
+  process.exitCode = exitCode;
+}
+
+/**
+ * Compare two files without opening the TUI and exit with diff(1)-style status
+ * @param {object} args - Parsed command line arguments
+ * @param {string[]} fileArgs - The old and new file
+ * @returns {Promise<void>}
+ */
+async function runDiff(args, fileArgs) {
+  const { JSONDiff, DIFF_EXIT_CODES, DIFF_OUTPUT_FORMATS } = require('./lib/diff');
+  const { getColor } = require('./lib/config');
+  const format = args.output || 'lines';
+  
+  if (fileArgs.length !== 2) {
+    console.error('Error: --diff needs exactly two files (jojq --diff old.json new.json)');
+    process.exit(DIFF_EXIT_CODES.BAD_USAGE);
+  }
+  if (!DIFF_OUTPUT_FORMATS.includes(format)) {
+    console.error(`Error: Unknown output format: ${format} (expected ${DIFF_OUTPUT_FORMATS.join(', ')})`);
+    process.exit(DIFF_EXIT_CODES.BAD_USAGE);
+  }
+  
+  const documents = [];
+  for (const file of fileArgs) {
+    try {
+      const input = await loadInput(args, [file]);
+      printLoadWarnings(input);
+      documents.push(input.data);
+    } catch (error) {
+      printInputError(error, args);
+      process.exit(DIFF_EXIT_CODES.INPUT_ERROR);
+    }
+  }
+  
+  const changes = JSONDiff.compare(documents[0], documents[1], { arrayKey: args.diffKey });
+  const output = JSONDiff.format(changes, format, (text, type) => getColor(type)(text));
+  if (output) {
+    process.stdout.write(output + '\n');
+  }
+  process.exitCode = changes.length > 0 ? DIFF_EXIT_CODES.DIFFERENT : DIFF_EXIT_CODES.IDENTICAL;
+}
+
+/**
+ * Load JSON into a new TUI session
+ * @param {object} input - Result of openInput
+ * @param {string|null} [schemaFile] - Schema to validate against once loaded (--schema)
+ * @returns {void}
+ */
+function startTUI(input, schemaFile = null) {
+  // Now that we have the JSON, initialize TUI with /dev/tty
+  const tui = new JojqTUI(input.stream ? null : input.data, false, null, input.source || null);
+  tui.init();
+  let loaded = Promise.resolve();
+  if (input.stream) {
+    loaded = tui.loadJSONStream(input.stream, { totalBytes: input.totalBytes, initialChunks: input.initialChunks });
+  } else if (!tui.preloadedJSON) {
+    tui.loadJSON(input.data);
+  }
+  
+  // Open on the list of violations, once the whole document is there
+  if (schemaFile) {
+    loaded.then(() => {
+      tui.showingLoadProgress = false;
+      tui.handleValidateCommand(schemaFile);
+    });
+  }
+}
+
+/**
+ * Set up the proxy's contracts from --schema [host-pattern=]file arguments
+ * @param {ProxyServer} proxyServer - Proxy to configure
+ * @param {string[]} specs - Arguments of --schema (no host pattern = every host)
+ * @returns {void}
+ */
+function addProxyContracts(proxyServer, specs) {
+  for (const spec of specs) {
+    const separator = spec.indexOf('=');
+    const hostPattern = separator > 0 ? spec.substring(0, separator) : '*';
+    const file = separator > 0 ? spec.substring(separator + 1) : spec;
+    
+    try {
+      proxyServer.addContract(hostPattern, new SchemaValidator(FileManager.loadInputFiles([file]).data), file);
+    } catch (error) {
+      console.error(`Error: ${error instanceof SchemaError ? `Invalid schema ${file}: ` : ''}${error.message}`);
+      process.exit(1);
+    }
+  }
+}
+
+// Main execution
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  // A mistyped option would otherwise be dropped and the query or file after it misread
+  if (args.unknownOptions.length > 0) {
+    console.error(`Error: Unknown option${args.unknownOptions.length === 1 ? '' : 's'}: ${args.unknownOptions.join(', ')}`);
+    console.error('');
+    printUsage();
+    process.exit(2);
   }
 
   // Proxy mode
   if (args.proxy) {
     const ProxyServer = require('./lib/proxy').ProxyServer;
     const proxyServer = new ProxyServer(args.proxyPort, args.insecure);
+    addProxyContracts(proxyServer, args.schemas);
     await proxyServer.initialize();
     proxyServer.start(true);
     return;
@@ -3189,49 +3903,51 @@ async function main() {
     return;
   }
 
+  // Files given as arguments take precedence over stdin ('-' means stdin)
+  const fileArgs = args.files.filter(f => f !== '-');
+  
+  // Diff mode - compares two files, never opens the TUI
+  if (args.diff) {
+    await runDiff(args, fileArgs);
+    return;
+  }
+  
+  // Headless mode - one-shot query, never opens the TUI
+  if (args.query !== null) {
+    await runHeadless(args, fileArgs);
+    return;
+  }
+
   // TUI mode (default)
-  // Check if we have piped input
-  const hasInput = !process.stdin.isTTY;
+  // Check if we have a file or piped input
+  const hasInput = fileArgs.length > 0 || !process.stdin.isTTY;
   
   if (!hasInput) {
-    console.error('Error: No JSON input provided. Pipe JSON data into jojq.');
+    console.error('Error: No JSON input provided. Pass a file or pipe JSON data into jojq.');
+    console.error('Example: jojq data.json');
     console.error('Example: curl https://api.example.com/data | jojq');
     console.error('');
-    console.error('Modes:');
-    console.error('  cat file.json | jojq        # TUI mode (default)');
-    console.error('  cat file.json | jojq --cli  # CLI mode (legacy)');
-    console.error('  jojq --proxy 8888           # Proxy mode');
+    printUsage();
     process.exit(1);
   }
 
-  // Read JSON from stdin first
-  let jsonInput = '';
-  process.stdin.setEncoding('utf8');
+  // Read and parse the input first (large JSON is streamed after the TUI opens)
+  let input;
+  try {
+    input = await openInput(args, fileArgs);
+  } catch (error) {
+    printInputError(error, args);
+    process.exit(1);
+  }
   
-  process.stdin.on('data', (chunk) => {
-    jsonInput += chunk;
-  });
-
-  process.stdin.on('end', () => {
-    try {
-      const jsonData = JSON.parse(jsonInput);
-      
-      // Load config
-      const loadedConfig = ConfigManager.loadConfig();
-      
-      // Now that we have the JSON, initialize TUI with /dev/tty
-      const tui = new JojqTUI(jsonData);
-      tui.init();
-      if (!tui.preloadedJSON) {
-        tui.loadJSON(jsonData);
-      }
-    } catch (error) {
-      console.error('Error: Invalid JSON input');
-      console.error(error.message);
-      console.error(error.stack);
-      process.exit(1);
-    }
-  });
+  appState.setSourceFiles(input.files);
+  if (input.stream) {
+    appState.setInputInfo('json', []);
+  } else {
+    appState.setInputInfo(input.format, input.warnings);
+    appState.setInputSize(input.bytes);
+  }
+  startTUI(input, args.schemas.length > 0 ? args.schemas[args.schemas.length - 1] : null);
 }
 
 // Always run main when this file is loaded
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+const { PathExtractor } = require('./path');
+
+// ============= ACCESSOR CODE =============
+
+const ACCESSOR_LANGUAGES = ['js', 'python', 'jq', 'pointer'];
+
+/**
+ * AccessorCode - Code that reads the value at a path, in the syntax of another tool
+ *
+ * @class
+ * @description Turns a path array (['$', 'a-b', 'items', 3, 'id'], as kept for wildcard results)
+ * or a single-value JSONPath ($['a-b'].items[3].id) into a JavaScript expression with optional
+ * chaining (data["a-b"]?.items?.[3]?.id), Python dict access, a jq filter or a JSON Pointer (RFC 6901)
+ */
+class AccessorCode {
+  /**
+   * Build the accessor for a path
+   *
+   * @static
+   * @param {Array<string|number>|string} path - Path array starting with '$', or a JSONPath string
+   * @param {string} [language='js'] - js, python, jq or pointer
+   * @param {string} [variable='data'] - Name of the variable holding the document (js and python)
+   * @returns {string|null} Code, or null if the path doesn't point at a single value (e.g. $.users[*])
+   */
+  static generate(path, language = 'js', variable = 'data') {
+    const segments = AccessorCode.toSegments(path);
+    if (!segments) return null;
+
+    if (language === 'python') {
+      return variable + segments.map(segment => `[${JSON.stringify(segment)}]`).join('');
+    }
+    if (language === 'jq') {
+      const filter = segments.map(segment => {
+        if (typeof segment === 'number') return `[${segment}]`;
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment) ? `.${segment}` : `[${JSON.stringify(segment)}]`;
+      }).join('');
+      // Bracket steps need a leading dot: .["a-b"], .[0]
+      return filter.startsWith('.') ? filter : `.${filter}`;
+    }
+    if (language === 'pointer') {
+      return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+    }
+    // The document itself is there, so only the steps below its top level are optional
+    return variable + segments.map((segment, index) => {
+      const chain = index === 0 ? '' : '?.';
+      if (typeof segment === 'number') return `${chain}[${segment}]`;
+      return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${index === 0 ? '.' : chain}${segment}` : `${chain}[${JSON.stringify(segment)}]`;
+    }).join('');
+  }
+
+  /**
+   * Keys and indexes below the root
+   *
+   * @static
+   * @param {Array<string|number>|string} path - Path array starting with '$' (used as is), or a JSONPath
+   *   string such as a typed query (parsed)
+   * @returns {Array<string|number>|null} Segments ([] for the root), or null for wildcards, filters
+   *   and recursive descent
+   */
+  static toSegments(path) {
+    if (Array.isArray(path)) {
+      return path[0] === '$' ? path.slice(1) : path.slice();
+    }
+    if (typeof path !== 'string' || !path.startsWith('$')) return null;
+    if (path === '$') return [];
+
+    const rest = path.startsWith('$.') ? path.substring(2) : path.substring(1);
+    if (rest.startsWith('.')) return null; // $..key
+    const segments = PathExtractor.parseFieldPath(rest);
+    return segments && segments.every(segment => segment !== '*') ? segments : null;
+  }
+}
+
+module.exports = { AccessorCode, ACCESSOR_LANGUAGES };
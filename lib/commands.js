@@ -13,7 +13,7 @@ class CommandHandler {
     show: ['show', 's', 'raw', 'json'],
     save: ['save'],
     saveline: ['saveline', 'sl'],
-    dump: ['dump', 'export'],
+    dump: ['dump'],
     decode: ['decode', 'd'],
     parse: ['parse', 'pj'],
     copy: ['copy', 'c'],
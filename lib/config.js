@@ -31,7 +31,8 @@ class ConfigManager {
     const defaultConfig = {
       historySize: 50,
       maxSuggestions: 15,
-      previewLines: 3
+      previewLines: 3,
+      saveDirectory: null // :save/:dump/:export target for plain file names (null = ~/Desktop, or the current directory)
     };
 
     // Try current directory first, then home directory
@@ -29,7 +29,11 @@ const CONSTANTS = {
   // UI and rendering
   SCROLL_THROTTLE_MS: 100,
   NAVIGATION_THROTTLE_MS: 50,
-  WILDCARD_BATCH_SIZE: 50,
+  RESULTS_VIEWPORT_MARGIN: 100, // Lines formatted above and below the visible part of the results
+  TABLE_MAX_CELL_WIDTH: 30, // Longer cell values are truncated with …
+  TABLE_MAX_LABEL_WIDTH: 24,
+  TABLE_WIDTH_SAMPLE_ROWS: 200, // Rows measured for the table column widths
+  TREE_CHILD_PAGE_SIZE: 100, // Tree view lists big containers 100 children at a time
   
   // History
   DEFAULT_HISTORY_SIZE: 50,
@@ -48,8 +52,12 @@ const CONSTANTS = {
   // Path extraction limits
   MAX_PATHS_EXTRACT: 50000,
   MAX_ARRAY_ITEMS_INDEX: 10,
-  MAX_EXTRACTION_TIME_MS: 5000,
-  LAZY_EXTRACTION_DEPTH: 2
+  WORKER_EXTRACTION_THRESHOLD_BYTES: 1024 * 1024, // Smaller documents are indexed synchronously
+  LAZY_EXTRACTION_DEPTH: 2,
+  
+  // Streaming load (large files and stdin)
+  STREAM_CHUNK_SIZE_BYTES: 1024 * 1024,
+  LOAD_PROGRESS_INTERVAL_MS: 250
 };
 
 module.exports = { CONSTANTS };
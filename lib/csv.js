@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+const { InputSyntaxError } = require('./syntax');
+
+// ============= CSV PARSER =============
+
+/**
+ * Delimiters tried when none is given, most common first
+ */
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * CSVParser - Read CSV/TSV into an array of records keyed by the header row
+ *
+ * @class
+ * @description RFC 4180 fields: quoted fields may hold the delimiter, "" for a quote and line
+ * breaks. Cell types are inferred by default (12 -> number, true -> boolean, empty -> null);
+ * numbers with leading zeros (zip codes, IDs) and integers too big for a double stay strings
+ */
+class CSVParser {
+  /**
+   * Parse delimited text
+   *
+   * @static
+   * @param {string} text - Input, header row first
+   * @param {Object} [options] - Parse options
+   * @param {string|null} [options.delimiter=null] - Field delimiter (null = detect from the header row)
+   * @param {boolean} [options.inferTypes=true] - Turn numbers, booleans and empty cells into JSON types
+   * @returns {Array<Object>} One record per data row
+   * @throws {InputSyntaxError} For an unterminated quoted field
+   */
+  static parse(text, options = {}) {
+    const { delimiter = null, inferTypes = true } = options;
+    const content = text.replace(/^\uFEFF/, '');
+    const rows = CSVParser.parseRows(content, delimiter || CSVParser.detectDelimiter(content) || ',');
+    if (rows.length === 0) return [];
+
+    const header = CSVParser.uniqueKeys(rows[0].map(name => name.trim()));
+    return rows.slice(1).map(row => {
+      const record = {};
+      const width = Math.max(header.length, row.length);
+      for (let index = 0; index < width; index++) {
+        // Cells past the header get generated names, missing cells are empty
+        const key = index < header.length ? header[index] : `column${index + 1}`;
+        const cell = index < row.length ? row[index] : '';
+        record[key] = inferTypes ? CSVParser.inferType(cell) : cell;
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Split text into rows of fields (blank lines are skipped)
+   *
+   * @static
+   * @param {string} text - Input
+   * @param {string} delimiter - Field delimiter
+   * @returns {string[][]} Rows
+   * @throws {InputSyntaxError} For an unterminated quoted field
+   */
+  static parseRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let pos = 0;
+
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    };
+
+    while (pos < text.length) {
+      const char = text[pos];
+
+      if (char === '"' && field === '') {
+        const start = pos;
+        pos++;
+        for (;;) {
+          if (pos >= text.length) throw new InputSyntaxError('Unterminated quoted field', text, start);
+          if (text[pos] === '"') {
+            if (text[pos + 1] !== '"') break;
+            field += '"';
+            pos += 2;
+          } else {
+            field += text[pos++];
+          }
+        }
+        pos++; // Closing quote; anything up to the next delimiter is kept as written
+      } else if (text.startsWith(delimiter, pos)) {
+        row.push(field);
+        field = '';
+        pos += delimiter.length;
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+        pos += char === '\r' && text[pos + 1] === '\n' ? 2 : 1;
+      } else {
+        field += char;
+        pos++;
+      }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+  }
+
+  /**
+   * Guess the delimiter: the candidate that splits the first rows into the same number (> 1) of fields
+   *
+   * @static
+   * @param {string} text - Input
+   * @returns {string|null} Delimiter, or null if the text doesn't look delimited
+   */
+  static detectDelimiter(text) {
+    const sample = text.substring(0, 65536);
+
+    for (const delimiter of CSV_DELIMITERS) {
+      let rows;
+      try {
+        rows = CSVParser.parseRows(sample, delimiter).slice(0, 5);
+      } catch (e) {
+        continue; // The sample ends inside a quoted field
+      }
+      if (rows.length > 0 && rows[0].length > 1 && rows.every(row => row.length === rows[0].length)) {
+        return delimiter;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Type of a cell: numbers, booleans and null for empty cells; anything else stays a string
+   *
+   * @static
+   * @param {string} cell - Cell text
+   * @returns {*}
+   */
+  static inferType(cell) {
+    if (cell === '') return null;
+    if (/^(true|false)$/i.test(cell)) return cell.toLowerCase() === 'true';
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(cell)) {
+      const number = Number(cell);
+      return /^-?\d+$/.test(cell) && !Number.isSafeInteger(number) ? cell : number;
+    }
+    return cell;
+  }
+
+  /**
+   * Header names made usable as keys: empty ones become column1, column2, ..., repeated ones get a
+   * number (name, name_2)
+   */
+  static uniqueKeys(names) {
+    const seen = new Set();
+    return names.map((name, index) => {
+      let key = name || `column${index + 1}`;
+      for (let suffix = 2; seen.has(key); suffix++) {
+        key = `${name || `column${index + 1}`}_${suffix}`;
+      }
+      seen.add(key);
+      return key;
+    });
+  }
+}
+
+module.exports = { CSVParser, CSV_DELIMITERS };
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+const { PathExtractor } = require('./path');
+
+// ============= STRUCTURAL DIFF =============
+
+/**
+ * Exit codes for --diff, following diff(1): 0 = identical, 1 = differences
+ */
+const DIFF_EXIT_CODES = {
+  IDENTICAL: 0,
+  DIFFERENT: 1,
+  BAD_USAGE: 2,
+  INPUT_ERROR: 3
+};
+
+const DIFF_OUTPUT_FORMATS = ['lines', 'json', 'raw'];
+
+/**
+ * JSONDiff - Structural comparison of two JSON documents
+ *
+ * @class
+ * @description Walks both documents side by side and reports the paths that were added, removed or
+ * changed, in the JSONPath notation used everywhere else ($.users[0].name, $['content-type']).
+ * Array elements are paired by index, or by a key field (e.g. id) so that inserting one record
+ * doesn't show up as a change to every record after it
+ */
+class JSONDiff {
+  /**
+   * Compare two documents
+   *
+   * @static
+   * @param {*} oldData - Original document
+   * @param {*} newData - Updated document
+   * @param {Object} [options] - Compare options
+   * @param {string|null} [options.arrayKey=null] - Field that identifies array elements (e.g. 'id')
+   * @param {string} [options.rootPath='$'] - Path of the compared values
+   * @returns {Array<{type: string, path: string, oldValue: *, newValue: *}>} Changes in document order
+   *   (type is added, removed or changed; oldValue is missing for added paths, newValue for removed ones)
+   */
+  static compare(oldData, newData, options = {}) {
+    const { arrayKey = null, rootPath = '$' } = options;
+    const changes = [];
+    JSONDiff.walk(oldData, newData, rootPath, arrayKey, changes);
+    return changes;
+  }
+
+  static walk(oldValue, newValue, path, arrayKey, changes) {
+    if (JSONDiff.isObject(oldValue) && JSONDiff.isObject(newValue)) {
+      for (const key of Object.keys(oldValue)) {
+        const childPath = PathExtractor.buildPath(path, key);
+        if (hasOwn(newValue, key)) {
+          JSONDiff.walk(oldValue[key], newValue[key], childPath, arrayKey, changes);
+        } else {
+          changes.push({ type: 'removed', path: childPath, oldValue: oldValue[key] });
+        }
+      }
+      for (const key of Object.keys(newValue)) {
+        if (!hasOwn(oldValue, key)) {
+          changes.push({ type: 'added', path: PathExtractor.buildPath(path, key), newValue: newValue[key] });
+        }
+      }
+      return;
+    }
+
+    if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+      const pairs = (arrayKey && JSONDiff.pairByKey(oldValue, newValue, arrayKey)) || JSONDiff.pairByIndex(oldValue, newValue);
+      for (const { oldIndex, newIndex } of pairs) {
+        if (newIndex === null) {
+          changes.push({ type: 'removed', path: `${path}[${oldIndex}]`, oldValue: oldValue[oldIndex] });
+        } else if (oldIndex === null) {
+          changes.push({ type: 'added', path: `${path}[${newIndex}]`, newValue: newValue[newIndex] });
+        } else {
+          JSONDiff.walk(oldValue[oldIndex], newValue[newIndex], `${path}[${newIndex}]`, arrayKey, changes);
+        }
+      }
+      return;
+    }
+
+    // Primitives, or a value whose type changed (containers of the same kind were walked above)
+    if (oldValue !== newValue) {
+      changes.push({ type: 'changed', path, oldValue, newValue });
+    }
+  }
+
+  /**
+   * Pair array elements by position
+   *
+   * @static
+   * @param {Array} oldArray - Original elements
+   * @param {Array} newArray - Updated elements
+   * @returns {Array<{oldIndex: number|null, newIndex: number|null}>}
+   */
+  static pairByIndex(oldArray, newArray) {
+    const pairs = [];
+    for (let index = 0; index < Math.max(oldArray.length, newArray.length); index++) {
+      pairs.push({
+        oldIndex: index < oldArray.length ? index : null,
+        newIndex: index < newArray.length ? index : null
+      });
+    }
+    return pairs;
+  }
+
+  /**
+   * Pair array elements by a key field. Matched and added elements come in the new array's
+   * order, followed by the removed ones
+   *
+   * @static
+   * @param {Array} oldArray - Original elements
+   * @param {Array} newArray - Updated elements
+   * @param {string} key - Identifying field
+   * @returns {Array<{oldIndex: number|null, newIndex: number|null}>|null} null unless every element
+   *   of both arrays is an object with a unique, primitive value for the key (pair by index instead)
+   */
+  static pairByKey(oldArray, newArray, key) {
+    const oldIndexes = JSONDiff.indexByKey(oldArray, key);
+    const newIndexes = JSONDiff.indexByKey(newArray, key);
+    if (!oldIndexes || !newIndexes) return null;
+
+    const pairs = newArray.map((element, newIndex) => ({
+      oldIndex: oldIndexes.has(element[key]) ? oldIndexes.get(element[key]) : null,
+      newIndex
+    }));
+    oldArray.forEach((element, oldIndex) => {
+      if (!newIndexes.has(element[key])) {
+        pairs.push({ oldIndex, newIndex: null });
+      }
+    });
+    return pairs;
+  }
+
+  static indexByKey(array, key) {
+    const indexes = new Map();
+    for (let index = 0; index < array.length; index++) {
+      const element = array[index];
+      if (!JSONDiff.isObject(element) || !hasOwn(element, key)) return null;
+
+      const id = element[key];
+      if ((id !== null && typeof id === 'object') || indexes.has(id)) return null;
+      indexes.set(id, index);
+    }
+    return indexes;
+  }
+
+  /**
+   * Count changes by type
+   *
+   * @static
+   * @param {Array<Object>} changes - Result of compare()
+   * @returns {{added: number, removed: number, changed: number}}
+   */
+  static summarize(changes) {
+    const counts = { added: 0, removed: 0, changed: 0 };
+    changes.forEach(change => counts[change.type]++);
+    return counts;
+  }
+
+  /**
+   * One-line summary, e.g. "2 added, 1 removed, 3 changed"
+   *
+   * @static
+   * @param {Array<Object>} changes - Result of compare()
+   * @returns {string}
+   */
+  static describe(changes) {
+    if (changes.length === 0) return 'No differences';
+    const counts = JSONDiff.summarize(changes);
+    return Object.keys(counts).map(type => `${counts[type]} ${type}`).join(', ');
+  }
+
+  /**
+   * Render changes as "+ path: value", "- path: value" and "~ path: old → new" lines
+   *
+   * @static
+   * @param {Array<Object>} changes - Result of compare()
+   * @param {Function} [color] - Color helper (text, type) => text, with types success, error, warning and path
+   * @param {number} [maxValueLength=Infinity] - Truncate longer values with …
+   * @returns {string[]} One line per change
+   */
+  static formatLines(changes, color = text => text, maxValueLength = Infinity) {
+    const value = (data, type) => color(JSONDiff.compactValue(data, maxValueLength), type);
+
+    return changes.map(change => {
+      const path = color(change.path, 'path');
+      if (change.type === 'added') {
+        return `${color('+', 'success')} ${path}: ${value(change.newValue, 'success')}`;
+      }
+      if (change.type === 'removed') {
+        return `${color('-', 'error')} ${path}: ${value(change.oldValue, 'error')}`;
+      }
+      return `${color('~', 'warning')} ${path}: ${value(change.oldValue, 'error')} → ${value(change.newValue, 'success')}`;
+    });
+  }
+
+  /**
+   * Format changes for stdout
+   *
+   * @static
+   * @param {Array<Object>} changes - Result of compare()
+   * @param {string} format - lines (followed by a summary), json, or raw (tab-separated type, path, old, new)
+   * @param {Function} [color] - Color helper for lines (see formatLines)
+   * @returns {string}
+   */
+  static format(changes, format, color = text => text) {
+    if (format === 'json') {
+      return JSON.stringify(changes, null, 2);
+    }
+    if (format === 'raw') {
+      return changes.map(change => [
+        change.type,
+        change.path,
+        'oldValue' in change ? JSON.stringify(change.oldValue) : '',
+        'newValue' in change ? JSON.stringify(change.newValue) : ''
+      ].join('\t')).join('\n');
+    }
+    return [...JSONDiff.formatLines(changes, color), color(JSONDiff.describe(changes), 'dim')].join('\n');
+  }
+
+  /**
+   * Single-line JSON, truncated
+   *
+   * @static
+   * @param {*} value - Value to show
+   * @param {number} [maxLength=Infinity] - Longest text kept
+   * @returns {string}
+   */
+  static compactValue(value, maxLength = Infinity) {
+    const text = JSON.stringify(value);
+    return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+module.exports = { JSONDiff, DIFF_EXIT_CODES, DIFF_OUTPUT_FORMATS };
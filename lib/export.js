@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+
+// ============= EXPORT SERIALIZERS =============
+
+/**
+ * Export formats by file extension
+ */
+const EXPORT_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.md': 'markdown'
+};
+
+/**
+ * Exporter - Serialize results for spreadsheets and documents
+ *
+ * @class
+ * @description CSV, TSV and Markdown get one row per element of an array result (or per wildcard
+ * row), with nested object keys flattened into dot-joined columns (customer.address.city) and
+ * arrays kept as JSON in a single cell. YAML keeps the structure as it is
+ */
+class Exporter {
+  /**
+   * Pick the format for a file name
+   *
+   * @static
+   * @param {string} filename - Target file
+   * @returns {string|null} csv, tsv, yaml or markdown (null for other extensions)
+   */
+  static formatForFile(filename) {
+    const match = /\.[^./\\]+$/.exec(filename);
+    return match ? EXPORT_FORMATS[match[0].toLowerCase()] || null : null;
+  }
+
+  /**
+   * Serialize a result
+   *
+   * @static
+   * @param {string} format - csv, tsv, yaml or markdown
+   * @param {*} data - Result value; arrays become one row per element
+   * @param {Object} [options] - Row labels
+   * @param {string[]|null} [options.labels=null] - One label per element of data (wildcard paths or @label values)
+   * @param {string} [options.labelColumn='label'] - Name of the label column
+   * @returns {string} File content (ending with a newline)
+   */
+  static serialize(format, data, options = {}) {
+    const { labels = null, labelColumn = 'label' } = options;
+
+    if (format === 'yaml') {
+      const value = labels ? data.map((element, index) => ({ [labelColumn]: labels[index], value: element })) : data;
+      return `${Exporter.toYAML(value)}\n`;
+    }
+
+    const table = Exporter.toTable(Array.isArray(data) ? data : [data], labels, labelColumn);
+    if (format === 'markdown') {
+      return `${Exporter.toMarkdown(table)}\n`;
+    }
+    return `${Exporter.toDelimited(table, format === 'tsv' ? '\t' : ',')}\n`;
+  }
+
+  /**
+   * Flatten elements into columns
+   *
+   * @static
+   * @param {Array} elements - One element per row
+   * @param {string[]|null} labels - Row labels, shown as the first column
+   * @param {string} labelColumn - Name of the label column
+   * @returns {{columns: string[], rows: Array<Object>}} Columns in order of first appearance; rows map
+   *   column -> value and leave out missing cells
+   */
+  static toTable(elements, labels, labelColumn) {
+    const rows = elements.map((element, index) => {
+      const row = labels ? { [labelColumn]: labels[index] } : {};
+      if (element !== null && typeof element === 'object' && !Array.isArray(element)) {
+        Exporter.flatten(element, '', row);
+      } else {
+        row.value = element;
+      }
+      return row;
+    });
+
+    const columnSet = new Set();
+    rows.forEach(row => Object.keys(row).forEach(column => columnSet.add(column)));
+    return { columns: Array.from(columnSet), rows };
+  }
+
+  /**
+   * Copy an object's leaves into row, naming nested keys with dots ({a: {b: 1}} -> {'a.b': 1})
+   *
+   * @static
+   * @param {Object} object - Object to flatten
+   * @param {string} prefix - Column name of the object ('' at the top)
+   * @param {Object} row - Target row
+   * @returns {Object} row
+   */
+  static flatten(object, prefix, row) {
+    for (const key of Object.keys(object)) {
+      const column = prefix ? `${prefix}.${key}` : key;
+      const value = object[key];
+      if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+        Exporter.flatten(value, column, row);
+      } else {
+        row[column] = value;
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Text of a cell: strings as they are, null and missing cells empty, arrays and objects as JSON
+   *
+   * @static
+   * @param {*} value - Cell value
+   * @returns {string}
+   */
+  static cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * CSV (RFC 4180 quoting) or TSV (tabs and line breaks escaped as \t, \n)
+   *
+   * @static
+   * @param {{columns: string[], rows: Array<Object>}} table - Result of toTable()
+   * @param {string} delimiter - ',' or '\t'
+   * @returns {string}
+   */
+  static toDelimited(table, delimiter) {
+    const field = (value) => {
+      const text = Exporter.cellText(value);
+      if (delimiter === '\t') {
+        return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n');
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      table.columns.map(field).join(delimiter),
+      ...table.rows.map(row => table.columns.map(column => field(row[column])).join(delimiter))
+    ].join('\n');
+  }
+
+  /**
+   * GitHub-flavored Markdown table
+   *
+   * @static
+   * @param {{columns: string[], rows: Array<Object>}} table - Result of toTable()
+   * @returns {string}
+   */
+  static toMarkdown(table) {
+    const cell = value => Exporter.cellText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const line = cells => `| ${cells.join(' | ')} |`;
+
+    return [
+      line(table.columns.map(cell)),
+      line(table.columns.map(() => '---')),
+      ...table.rows.map(row => line(table.columns.map(column => cell(row[column]))))
+    ].join('\n');
+  }
+
+  /**
+   * YAML (block style; strings are quoted when they would read as another type)
+   *
+   * @static
+   * @param {*} value - Value to write
+   * @param {number} [indent=0] - Indentation of nested lines
+   * @returns {string}
+   */
+  static toYAML(value, indent = 0) {
+    const pad = ' '.repeat(indent);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      return value.map(element => {
+        if (Exporter.isContainer(element)) {
+          // The first key or element goes on the dash line: "- id: 1"
+          return `${pad}- ${Exporter.toYAML(element, indent + 2).substring(indent + 2)}`;
+        }
+        return `${pad}- ${Exporter.toYAML(element)}`;
+      }).join('\n');
+    }
+
+    if (value !== null && typeof value === 'object') {
+      const keys = Object.keys(value);
+      if (keys.length === 0) return '{}';
+      return keys.map(key => {
+        const child = value[key];
+        if (Exporter.isContainer(child)) {
+          return `${pad}${Exporter.yamlScalar(key)}:\n${Exporter.toYAML(child, indent + 2)}`;
+        }
+        return `${pad}${Exporter.yamlScalar(key)}: ${Exporter.toYAML(child)}`;
+      }).join('\n');
+    }
+
+    return Exporter.yamlScalar(value);
+  }
+
+  static yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return Number.isNaN(value) ? '.nan' : (value > 0 ? '.inf' : '-.inf');
+    }
+    if (typeof value !== 'string') return String(value);
+
+    // Plain strings can't look like numbers, booleans or null, or start with YAML syntax
+    const plain = /^[A-Za-z_/][^\n\r\t]*$/.test(value) &&
+      !/: | #|:$|\s$/.test(value) &&
+      !/^(true|false|yes|no|on|off|null|y|n)$/i.test(value);
+    return plain ? value : JSON.stringify(value);
+  }
+
+  static isContainer(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+  }
+}
+
+module.exports = { Exporter, EXPORT_FORMATS };
@@ -3,25 +3,114 @@
 const fs = require('fs');
 const pathModule = require('path');
 const os = require('os');
-const { getColor } = require('./config');
+const { ConfigManager, getColor } = require('./config');
+const { InputParser } = require('./input');
 
 // ============= FILE MANAGER =============
 class FileManager {
+  /**
+   * Write data as JSON. A name without an extension gets .json; a name whose extension means
+   * another format (results.yaml) is refused rather than written as JSON under that name
+   * 
+   * @static
+   * @param {*} data - Data to save
+   * @param {string|null} [filename=null] - File name or path (null = generated name)
+   * @param {string} [prefix='jojq-result'] - Start of a generated file name
+   * @returns {string} Full path of the written file
+   */
   static saveToFile(data, filename = null, prefix = 'jojq-result') {
+    if (filename) {
+      const format = InputParser.formatFromFileName(filename);
+      // JSON5 and JSONC readers accept plain JSON
+      if (!['auto', 'json', 'json5', 'jsonc'].includes(format)) {
+        throw new Error(
+          `${pathModule.basename(filename)} is a ${InputParser.formatName(format)} file name, but this saves JSON (use a .json name)`
+        );
+      }
+      if (!pathModule.extname(filename)) {
+        filename += '.json';
+      }
+    }
+    
+    return FileManager.saveTextToFile(JSON.stringify(data, null, 2), filename, prefix, '.json');
+  }
+  
+  /**
+   * Write text to a file, keeping the file name as given (e.g. :export results.csv)
+   * An existing file is never overwritten: the name gets a number instead (results-2.csv)
+   * 
+   * @static
+   * @param {string} content - File content
+   * @param {string|null} [filename=null] - File name or path (null = prefix, date and timestamp); see resolveSavePath
+   * @param {string} [prefix='jojq-result'] - Start of a generated file name
+   * @param {string} [extension='.json'] - Extension of a generated file name
+   * @returns {string} Full path of the written file
+   */
+  static saveTextToFile(content, filename = null, prefix = 'jojq-result', extension = '.json') {
     if (!filename) {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      filename = `${prefix}-${timestamp}-${Date.now()}.json`;
+      filename = `${prefix}-${timestamp}-${Date.now()}${extension}`;
     }
     
-    if (!filename.endsWith('.json')) {
-      filename += '.json';
+    const targetPath = FileManager.resolveSavePath(filename);
+    if (fs.existsSync(targetPath) && fs.statSync(targetPath).isDirectory()) {
+      throw new Error(`${targetPath} is a directory`);
     }
+    fs.mkdirSync(pathModule.dirname(targetPath), { recursive: true });
     
-    const desktopPath = pathModule.join(os.homedir(), 'Desktop');
-    const fullPath = pathModule.join(desktopPath, filename);
+    const ext = pathModule.extname(targetPath);
+    const stem = targetPath.slice(0, targetPath.length - ext.length);
+    for (let number = 1; ; number++) {
+      const fullPath = number === 1 ? targetPath : `${stem}-${number}${ext}`;
+      try {
+        // wx fails if the file exists, so two saves can't pick the same name
+        fs.writeFileSync(fullPath, content, { encoding: 'utf8', flag: 'wx' });
+        return fullPath;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+    }
+  }
+  
+  /**
+   * Where a save goes: absolute paths and ~ as given, ./ and ../ from the current directory,
+   * and anything else (results.json, exports/results.csv) inside the save directory
+   * 
+   * @static
+   * @param {string} filename - File name or path
+   * @returns {string} Absolute path
+   */
+  static resolveSavePath(filename) {
+    const expanded = FileManager.expandHome(filename);
+    if (pathModule.isAbsolute(expanded)) {
+      return expanded;
+    }
+    if (/^\.\.?[\\/]/.test(expanded)) {
+      return pathModule.resolve(process.cwd(), expanded);
+    }
+    return pathModule.join(FileManager.getSaveDirectory(), expanded);
+  }
+  
+  /**
+   * Default directory for saved files: saveDirectory from .jojqrc, else ~/Desktop when it
+   * exists (it doesn't on most servers and containers), else the current directory
+   * 
+   * @static
+   * @returns {string} Absolute path (may not exist yet)
+   */
+  static getSaveDirectory() {
+    const { saveDirectory } = ConfigManager.loadConfig();
+    if (saveDirectory) {
+      return pathModule.resolve(process.cwd(), FileManager.expandHome(String(saveDirectory)));
+    }
     
-    fs.writeFileSync(fullPath, JSON.stringify(data, null, 2), 'utf8');
-    return fullPath;
+    const desktopPath = pathModule.join(os.homedir(), 'Desktop');
+    return fs.existsSync(desktopPath) ? desktopPath : process.cwd();
+  }
+  
+  static expandHome(filePath) {
+    if (filePath === '~') return os.homedir();
+    return /^~[\\/]/.test(filePath) ? pathModule.join(os.homedir(), filePath.slice(2)) : filePath;
   }
   
   static findLineNumber(fullJSON, path, QueryExecutor) {
@@ -74,6 +163,103 @@ class FileManager {
     }
   }
   
+  /**
+   * Expand file arguments into a list of files
+   * Shells normally expand globs already, but quoted patterns (or shells that
+   * don't glob) reach us verbatim, so * and ? in the file name part are expanded here
+   *
+   * @static
+   * @param {string[]} patterns - File paths or glob patterns from the command line
+   * @returns {string[]} Matching file paths, in argument order
+   */
+  static expandFilePatterns(patterns) {
+    const files = [];
+
+    for (const pattern of patterns) {
+      const base = pathModule.basename(pattern);
+      if (!/[*?]/.test(base)) {
+        files.push(pattern);
+        continue;
+      }
+
+      const dir = pathModule.dirname(pattern);
+      const regex = new RegExp('^' + base
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.') + '$');
+
+      let entries = [];
+      try {
+        entries = fs.readdirSync(dir);
+      } catch (e) {
+        throw new Error(`Cannot read directory for pattern ${pattern}: ${e.message}`);
+      }
+
+      const matches = entries
+        .filter(name => regex.test(name))
+        .map(name => dir === '.' ? name : pathModule.join(dir, name))
+        .filter(file => fs.statSync(file).isFile())
+        .sort();
+
+      if (matches.length === 0) {
+        throw new Error(`No files match pattern: ${pattern}`);
+      }
+      files.push(...matches);
+    }
+
+    return [...new Set(files)];
+  }
+
+  /**
+   * Read and parse input files given on the command line
+   * A single file loads as-is; several files load as one object keyed by file path
+   * so each document stays addressable, e.g. $['data/a.json'].users
+   *
+   * @static
+   * @param {string[]} files - File paths to read
+   * @param {string} [format='auto'] - Input format (see InputParser), 'auto' detects per file
+   * @param {Object} [options] - Options passed to InputParser.parse (delimiter, inferTypes, lenient)
+   * @returns {{data: *, format: string, warnings: string[], bytes: number}} Parsed data, format, load warnings and total input size
+   * @throws {Error} If a file can't be read or parsed (message names the file)
+   */
+  static loadInputFiles(files, format = 'auto', options = {}) {
+    let bytes = 0;
+    const parseFile = (file) => {
+      let content;
+      try {
+        content = fs.readFileSync(file);
+      } catch (e) {
+        throw new Error(`Cannot read ${file}: ${e.code === 'ENOENT' ? 'no such file' : e.message}`);
+      }
+      bytes += content.length;
+      try {
+        return InputParser.parse(content.toString('utf8'), { ...options, format, fileName: file });
+      } catch (e) {
+        throw new Error(`Invalid input in ${file}: ${e.message}`, { cause: e });
+      }
+    };
+
+    if (files.length === 1) {
+      return { ...parseFile(files[0]), bytes };
+    }
+
+    const combined = {};
+    const formats = new Set();
+    const warnings = [];
+    for (const file of files) {
+      const parsed = parseFile(file);
+      combined[file] = parsed.data;
+      formats.add(parsed.format);
+      warnings.push(...parsed.warnings.map(w => `${file} ${w}`));
+    }
+    return {
+      data: combined,
+      format: formats.size === 1 ? [...formats][0] : 'mixed',
+      warnings,
+      bytes
+    };
+  }
+
   /**
    * Create a path completer function for readline tab completion
    * Used for file path autocomplete in proxy save operations
@@ -87,8 +87,11 @@ class TextUtils {
 // ============= FORMATTER =============
 class Formatter {
   static prettyPrint(data) {
-    const json = JSON.stringify(data, null, 2);
-    
+    return Formatter.colorizeJSON(JSON.stringify(data, null, 2));
+  }
+  
+  // Works line by line too, so large results can be colorized only where they are visible
+  static colorizeJSON(json) {
     return json
       .replace(/"([^"]+)":/g, getColor('jsonKey')('"$1"') + ':')
       .replace(/: "([^"]*)"/g, ': ' + getColor('jsonString')('"$1"'))
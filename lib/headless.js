@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+const { AppState } = require('./state');
+const { SearchEngine } = require('./search');
+const { QueryExecutor } = require('./query');
+const { QueryPipeline } = require('./pipeline');
+const { CommandHandler } = require('./commands');
+const { WhereSyntaxError } = require('./where');
+
+// ============= HEADLESS QUERY RUNNER =============
+
+/**
+ * Exit codes for headless mode, so scripts can tell "no match" apart from errors
+ */
+const EXIT_CODES = {
+  MATCH: 0,
+  NO_MATCH: 1,
+  BAD_QUERY: 2,
+  INPUT_ERROR: 3
+};
+
+const OUTPUT_FORMATS = ['json', 'raw', 'lines'];
+
+/**
+ * HeadlessRunner - Runs a single query without the TUI and formats the results for stdout
+ *
+ * @class
+ * @description Uses the same QueryExecutor/QueryPipeline as the TUI, so queries built
+ * interactively (labels, filters, relative paths) can be reused in shell scripts and CI
+ */
+class HeadlessRunner {
+  /**
+   * Create a headless runner
+   *
+   * @param {*} jsonData - Parsed JSON document to query
+   */
+  constructor(jsonData) {
+    this.appState = new AppState();
+    this.appState.setJsonData(jsonData);
+    this.searchEngine = new SearchEngine(this.appState, CommandHandler);
+    this.queryExecutor = new QueryExecutor(this.appState, this.searchEngine);
+    this.pipeline = new QueryPipeline(this.appState, this.queryExecutor);
+  }
+
+  /**
+   * Run a query and format its results
+   *
+   * @param {string} query - Full query string (may contain | @label=... | @where=...)
+   * @param {string} [format='json'] - Output format: json, raw or lines
+   * @returns {{exitCode: number, output: string, error: string|null}} Formatted output and exit code
+   */
+  run(query, format = 'json') {
+    if (!OUTPUT_FORMATS.includes(format)) {
+      return this.failure(EXIT_CODES.BAD_QUERY, `Unknown output format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    if (!query || query.trim() === '') {
+      return this.failure(EXIT_CODES.BAD_QUERY, 'Empty query');
+    }
+
+    // jsonpath-plus runs some malformed queries anyway ($[ returns the whole document)
+    const syntaxError = QueryExecutor.findSyntaxError(QueryPipeline.parseQueryWithLabel(query).mainQuery);
+    if (syntaxError) {
+      return this.failure(EXIT_CODES.BAD_QUERY, `Invalid query: ${syntaxError}`);
+    }
+
+    let result;
+    try {
+      result = this.pipeline.run(query);
+    } catch (error) {
+      // Malformed @where filters come with a pointer to the problem
+      const detail = error instanceof WhereSyntaxError ? `\n${error.pointer()}` : '';
+      return this.failure(EXIT_CODES.BAD_QUERY, `${error.message}${detail}`);
+    }
+
+    if (!result.success) {
+      if (result.error) {
+        return this.failure(EXIT_CODES.BAD_QUERY, `Invalid query: ${result.error}`);
+      }
+      return this.failure(EXIT_CODES.NO_MATCH, null);
+    }
+
+    if (!result.isWildcard) {
+      if (QueryPipeline.parseAggregation(result)) {
+        return this.failure(EXIT_CODES.BAD_QUERY, 'Aggregates need wildcard results (e.g. $.orders[*] | @count)');
+      }
+      return {
+        exitCode: EXIT_CODES.MATCH,
+        output: this.formatSingle(result.data, result.mainQuery, format),
+        error: null
+      };
+    }
+
+    if (result.aggregation) {
+      return {
+        exitCode: EXIT_CODES.MATCH,
+        output: this.formatAggregate(result.aggregate, result.aggregation, format),
+        error: null
+      };
+    }
+
+    if (result.items.length === 0) {
+      return {
+        exitCode: EXIT_CODES.NO_MATCH,
+        output: format === 'json' ? '[]' : '',
+        error: null
+      };
+    }
+
+    const labelCache = {};
+    const rows = result.items.map(item => ({
+      path: QueryExecutor.pathArrayToString(item.path),
+      label: this.getRowLabel(item, result.labelQuery, result.basePath, labelCache),
+      value: item.value
+    }));
+
+    return {
+      exitCode: EXIT_CODES.MATCH,
+      output: this.formatRows(rows, format, Boolean(result.labelQuery)),
+      error: null
+    };
+  }
+
+  /**
+   * Get the label for a wildcard row (same rules as the TUI results panel)
+   *
+   * @param {{path: Array, value: *}} item - Filtered wildcard result
+   * @param {string|null} labelQuery - The @label query
+   * @param {string} basePath - Wildcard query the results came from
+   * @param {object} labelCache - Cache of resolved labels
+   * @returns {string} Label, or the short path when no label query is given
+   */
+  getRowLabel(item, labelQuery, basePath, labelCache) {
+    const shortPath = QueryExecutor.formatWildcardPath(
+      QueryExecutor.pathArrayToString(item.path),
+      basePath
+    );
+
+    if (!labelQuery) {
+      return shortPath;
+    }
+
+    try {
+      const label = this.pipeline.resolveLabel(item.path, labelQuery, labelCache);
+      return label !== null ? label : '(no label)';
+    } catch (e) {
+      return shortPath;
+    }
+  }
+
+  /**
+   * Format a non-wildcard result
+   *
+   * @param {*} data - Query result
+   * @param {string} path - Query that produced it
+   * @param {string} format - Output format
+   * @returns {string} Formatted output
+   */
+  formatSingle(data, path, format) {
+    if (format === 'raw') {
+      return typeof data === 'string' ? data : JSON.stringify(data, null, 2);
+    }
+    if (format === 'lines') {
+      return `${path} → ${HeadlessRunner.compactValue(data)}`;
+    }
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Format an aggregate (@count, @sum, ..., @group)
+   *
+   * @param {*} aggregate - Aggregate value, or an object of values keyed by group
+   * @param {object} aggregation - Parsed aggregate stages
+   * @param {string} format - Output format
+   * @returns {string} Formatted output
+   */
+  formatAggregate(aggregate, aggregation, format) {
+    if (format === 'json') {
+      return JSON.stringify(aggregate, null, 2);
+    }
+
+    // One line per group or distinct value
+    if (aggregation.groupBy) {
+      return Object.entries(aggregate)
+        .map(([group, value]) => format === 'raw' ? `${group}\t${HeadlessRunner.compactValue(value, true)}` : `${group} → ${HeadlessRunner.compactValue(value)}`)
+        .join('\n');
+    }
+    if (Array.isArray(aggregate)) {
+      return aggregate.map(value => HeadlessRunner.compactValue(value, format === 'raw')).join('\n');
+    }
+    return format === 'raw'
+      ? HeadlessRunner.compactValue(aggregate, true)
+      : `${QueryPipeline.describeAggregation(aggregation)} → ${HeadlessRunner.compactValue(aggregate)}`;
+  }
+
+  /**
+   * Format wildcard rows
+   *
+   * @param {Array<{path: string, label: string, value: *}>} rows - Rows to print
+   * @param {string} format - Output format
+   * @param {boolean} hasLabels - Whether a @label query was given
+   * @returns {string} Formatted output
+   */
+  formatRows(rows, format, hasLabels) {
+    if (format === 'raw') {
+      return rows.map(row => HeadlessRunner.compactValue(row.value, true)).join('\n');
+    }
+    if (format === 'lines') {
+      return rows.map(row => `${row.label} → ${HeadlessRunner.compactValue(row.value)}`).join('\n');
+    }
+
+    const data = hasLabels
+      ? rows.map(row => ({ label: row.label, path: row.path, value: row.value }))
+      : rows.map(row => row.value);
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Single-line representation of a value
+   *
+   * @static
+   * @param {*} value - Value to format
+   * @param {boolean} [rawStrings=false] - Print strings without quotes
+   * @returns {string} Compact value
+   */
+  static compactValue(value, rawStrings = false) {
+    if (typeof value === 'string' && rawStrings) return value;
+    if (value === undefined) return 'undefined';
+    return JSON.stringify(value);
+  }
+
+  failure(exitCode, error) {
+    return { exitCode, output: '', error };
+  }
+}
+
+module.exports = { HeadlessRunner, EXIT_CODES, OUTPUT_FORMATS };
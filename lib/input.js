@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+const pathModule = require('path');
+const { JSON5Parser } = require('./json5');
+const { TOMLParser } = require('./toml');
+const { YAMLParser } = require('./yaml');
+const { CSVParser } = require('./csv');
+const { Exporter } = require('./export');
+const { InputSyntaxError } = require('./syntax');
+
+// ============= INPUT PARSER =============
+
+/**
+ * Input formats jojq can load
+ */
+const INPUT_FORMATS = ['json', 'ndjson', 'yaml', 'toml', 'json5', 'jsonc', 'csv', 'tsv'];
+
+/**
+ * File extensions that imply an input format
+ */
+const FORMAT_EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.json5': 'json5',
+  '.jsonc': 'jsonc',
+  '.csv': 'csv',
+  '.tsv': 'tsv'
+};
+
+/**
+ * How each format is named in the UI, and the extension it is written back with
+ * (yaml-stream is YAML with several documents, loaded as an array)
+ */
+const FORMAT_INFO = {
+  json: { name: 'JSON', extension: '.json' },
+  ndjson: { name: 'JSON Lines', extension: '.jsonl' },
+  yaml: { name: 'YAML', extension: '.yaml' },
+  'yaml-stream': { name: 'YAML', extension: '.yaml' },
+  toml: { name: 'TOML', extension: '.toml' },
+  json5: { name: 'JSON5', extension: '.json5' },
+  jsonc: { name: 'JSONC', extension: '.jsonc' },
+  csv: { name: 'CSV', extension: '.csv' },
+  tsv: { name: 'TSV', extension: '.tsv' }
+};
+
+/**
+ * InputParser - Turns raw input text (stdin or file contents) into JSON data
+ *
+ * @class
+ * @description Detects the input format and parses it. Recoverable problems
+ * (e.g. a malformed line in JSON Lines input) are returned as warnings instead of failing the load.
+ * Data can be written back in the format it came from (serialize)
+ */
+class InputParser {
+  /**
+   * Parse input text
+   *
+   * @static
+   * @param {string} text - Raw input
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.format='auto'] - Input format, or 'auto' to detect it
+   * @param {string} [options.fileName] - File the input came from (its extension hints the format)
+   * @param {string|null} [options.delimiter=null] - CSV delimiter (null = detect; tab for tsv)
+   * @param {boolean} [options.inferTypes=true] - CSV cells become numbers, booleans and null where they look like one
+   * @param {boolean} [options.lenient=false] - Load what can be recovered from malformed JSON; each repair
+   *   becomes a warning
+   * @returns {{data: *, format: string, warnings: string[]}} Parsed data, detected format and warnings
+   * @throws {SyntaxError} If the input can't be parsed in the requested/detected format
+   *   (malformed JSON throws an InputSyntaxError with the line and column)
+   */
+  static parse(text, options = {}) {
+    let format = options.format || 'auto';
+
+    if (format !== 'auto' && !INPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown input format: ${format} (expected ${INPUT_FORMATS.join(', ')})`);
+    }
+
+    if (format === 'auto' && options.fileName) {
+      format = InputParser.formatFromFileName(options.fileName);
+    }
+
+    if (format === 'ndjson') {
+      return InputParser.parseJSONLines(text);
+    }
+    if (format !== 'auto' && format !== 'json') {
+      return InputParser.parseFormat(text, format, options);
+    }
+
+    try {
+      return { data: JSON.parse(text), format: 'json', warnings: [] };
+    } catch (error) {
+      if (format === 'auto') {
+        const detected = InputParser.detectFormat(text, options);
+        if (detected) return detected;
+      }
+      if (options.lenient) {
+        return { ...JSON5Parser.recover(text), format: 'json' };
+      }
+      throw InputParser.locateJSONError(text, error);
+    }
+  }
+
+  /**
+   * Find where JSON.parse failed: V8's message only gives a position, and not in every case
+   *
+   * @static
+   * @param {string} text - Input that failed to parse
+   * @param {SyntaxError} error - Error from JSON.parse
+   * @returns {SyntaxError} InputSyntaxError with line and column, or the original error
+   */
+  static locateJSONError(text, error) {
+    try {
+      JSON5Parser.parse(text, { dialect: 'json' });
+    } catch (located) {
+      if (located instanceof InputSyntaxError) return located;
+    }
+    return error;
+  }
+
+  /**
+   * Parse text that isn't plain JSON in a given format
+   *
+   * @static
+   * @param {string} text - Raw input
+   * @param {string} format - yaml, toml, json5, jsonc, csv or tsv
+   * @param {Object} [options] - CSV options (see parse)
+   * @returns {{data: *, format: string, warnings: string[]}} Parsed data (several YAML documents
+   *   become an array, format 'yaml-stream'; CSV rows become an array of records)
+   * @throws {SyntaxError} With the line and column of the problem
+   */
+  static parseFormat(text, format, options = {}) {
+    // Their warnings say where NaN and infinities were read (JSON shows and saves them as null)
+    if (format === 'yaml') {
+      const { data: documents, warnings } = YAMLParser.parseWithWarnings(text);
+      if (documents.length > 1) {
+        return { data: documents, format: 'yaml-stream', warnings };
+      }
+      return { data: documents.length === 1 ? documents[0] : null, format: 'yaml', warnings };
+    }
+    if (format === 'toml') {
+      return { ...TOMLParser.parseWithWarnings(text), format: 'toml' };
+    }
+    if (format === 'csv' || format === 'tsv') {
+      const data = CSVParser.parse(text, {
+        delimiter: options.delimiter || (format === 'tsv' ? '\t' : null),
+        inferTypes: options.inferTypes !== false
+      });
+      return { data, format, warnings: [] };
+    }
+    return { ...JSON5Parser.parseWithWarnings(text, { dialect: format }), format };
+  }
+
+  /**
+   * Guess the format of input that failed to parse as JSON
+   * Only formats whose shape the text clearly has are tried, so a typo in a JSON document is
+   * still reported as a JSON error instead of loading as a YAML string
+   *
+   * @static
+   * @param {string} text - Raw input
+   * @param {Object} [options] - CSV options (see parse)
+   * @returns {{data: *, format: string, warnings: string[]}|null} Parsed input, or null if no format fits
+   */
+  static detectFormat(text, options = {}) {
+    // Newline-delimited JSON isn't valid JSON as a whole
+    if (InputParser.looksLikeJSONLines(text)) {
+      return InputParser.parseJSONLines(text);
+    }
+
+    const content = text.replace(/^\uFEFF/, '').trimStart();
+    const firstLine = text.split(/\r?\n/).map(line => line.trim()).find(line => line !== '' && !line.startsWith('#')) || '';
+    const candidates = [];
+    if (/^([{[]|\/[/*])/.test(content)) {
+      // JSON with comments or trailing commas; JSON5 covers the rest (unquoted keys, single quotes, ...)
+      candidates.push('jsonc', 'json5');
+    } else if (/^\[{1,2}[\w"' .-]+\]{1,2}$/.test(firstLine) || /^[\w"'.-]+\s*=/.test(firstLine)) {
+      candidates.push('toml');
+    } else if (/^(---|%YAML|- |-$|[^\s:#][^:#]*:(\s|$))/.test(firstLine)) {
+      candidates.push('yaml');
+    } else {
+      // A header row and records split into the same number of fields
+      const delimiter = content.trim().includes('\n') ? CSVParser.detectDelimiter(content) : null;
+      if (delimiter) candidates.push(delimiter === '\t' ? 'tsv' : 'csv');
+    }
+
+    for (const format of candidates) {
+      try {
+        const parsed = InputParser.parseFormat(text, format, options);
+        if (parsed.data !== null && typeof parsed.data === 'object') return parsed;
+      } catch (e) {
+        // Try the next candidate, then report the JSON error
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write data in an input format
+   *
+   * @static
+   * @param {*} data - Data to write
+   * @param {string} format - Input format (json, ndjson, yaml, yaml-stream, toml, json5, jsonc, csv, tsv)
+   * @returns {string} File content (ending with a newline)
+   * @throws {Error} If the data can't be written in the format (e.g. null values in TOML)
+   */
+  static serialize(data, format) {
+    if (format === 'ndjson' && Array.isArray(data)) {
+      return `${data.map(record => JSON.stringify(record)).join('\n')}\n`;
+    }
+    if (format === 'yaml-stream' && Array.isArray(data)) {
+      return data.map(document => `---\n${Exporter.toYAML(document)}\n`).join('');
+    }
+    if (format === 'yaml' || format === 'yaml-stream') {
+      return `${Exporter.toYAML(data)}\n`;
+    }
+    if (format === 'toml') {
+      return TOMLParser.stringify(data);
+    }
+    if (format === 'csv' || format === 'tsv') {
+      return Exporter.serialize(format, data);
+    }
+    // JSON5 and JSONC readers accept plain JSON; comments aren't kept
+    return `${JSON.stringify(data, null, 2)}\n`;
+  }
+
+  /**
+   * Get the display name of a format
+   *
+   * @static
+   * @param {string} format - Input format
+   * @returns {string} Name such as "YAML" (the format itself if unknown)
+   */
+  static formatName(format) {
+    return FORMAT_INFO[format] ? FORMAT_INFO[format].name : format;
+  }
+
+  /**
+   * Get the file extension data in a format is written with
+   *
+   * @static
+   * @param {string} format - Input format
+   * @returns {string} Extension with the dot (.json for unknown formats)
+   */
+  static formatExtension(format) {
+    return FORMAT_INFO[format] ? FORMAT_INFO[format].extension : '.json';
+  }
+
+  /**
+   * Get the input format implied by a file's extension
+   *
+   * @static
+   * @param {string} fileName - File name or path
+   * @returns {string} Format, or 'auto' if the extension doesn't tell
+   */
+  static formatFromFileName(fileName) {
+    const extension = pathModule.extname(fileName).toLowerCase();
+    return FORMAT_EXTENSIONS[extension] || 'auto';
+  }
+
+  /**
+   * Check if text looks like JSON Lines (several lines, the first one a complete JSON value)
+   *
+   * @static
+   * @param {string} text - Raw input
+   * @returns {boolean} True if the input should be parsed line by line
+   */
+  static looksLikeJSONLines(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) return false;
+
+    try {
+      JSON.parse(lines[0]);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse JSON Lines / NDJSON into an array of records
+   * Each non-empty line becomes one record ($[0], $[1], ...). Malformed lines are
+   * skipped and reported by line number
+   *
+   * @static
+   * @param {string} text - Raw input
+   * @returns {{data: Array, format: string, warnings: string[]}} Records and warnings
+   * @throws {SyntaxError} If no line could be parsed
+   */
+  static parseJSONLines(text) {
+    const records = [];
+    const warnings = [];
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+      if (line.trim() === '') return;
+
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        warnings.push(`line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    if (records.length === 0 && warnings.length > 0) {
+      throw new SyntaxError(`No valid JSON Lines records (${warnings[0]})`);
+    }
+
+    return { data: records, format: 'ndjson', warnings };
+  }
+}
+
+module.exports = { InputParser, INPUT_FORMATS };
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+
+const { InputSyntaxError } = require('./syntax');
+
+// ============= JSON5 / JSONC PARSER =============
+
+/**
+ * What lenient parsing tolerated, as shown in load warnings
+ */
+const REPAIR_LABELS = {
+  comment: 'Comment',
+  trailingComma: 'Trailing comma',
+  missingComma: 'Missing comma',
+  missingColon: 'Missing colon',
+  extraComma: 'Extra comma',
+  stray: 'Unexpected character skipped',
+  missingKey: 'Value without a key, dropped',
+  missingValue: 'Missing value, skipped',
+  mismatchedBracket: 'Mismatched closing bracket, read as the expected one',
+  partialLiteral: 'Incomplete true/false/null, completed',
+  unquotedString: 'Unquoted string value',
+  invalidEscape: 'Invalid escape, kept as written',
+  singleQuote: 'Single-quoted string',
+  unquotedKey: 'Unquoted key',
+  number: 'Non-JSON number (hex, leading +, bare decimal point)',
+  nonFinite: 'NaN/Infinity (written back as null)',
+  unterminatedString: 'Unterminated string, cut off at the end of the input',
+  unterminatedLine: 'Unterminated string, closed at the end of its line',
+  unclosed: 'Unclosed bracket, closed at the end of the input',
+  closedEarly: 'Unclosed bracket, closed along with the one around it',
+  incompleteValue: 'Incomplete value dropped at the end of the input',
+  trailingData: 'Unexpected data after the document, dropped'
+};
+
+/**
+ * JSON5Parser - Parse JSON with comments (JSONC) or JSON5
+ *
+ * @class
+ * @description One recursive descent parser for all dialects:
+ * - json: strict JSON, used to locate the line and column of a JSON.parse failure
+ * - jsonc: JSON plus // and block comments and trailing commas (tsconfig.json, VS Code settings)
+ * - json5: also single-quoted strings, unquoted keys, hex numbers, leading/trailing decimal
+ *   points, + signs, Infinity/NaN and line continuations in strings
+ * recover() goes further for damaged JSON: missing commas and colons are assumed, stray characters and
+ * extra commas are skipped, bad values are repaired or dropped member by member, a truncated document
+ * gets its brackets closed, and anything after the document is dropped
+ */
+class JSON5Parser {
+  /**
+   * Parse text
+   *
+   * @static
+   * @param {string} text - Input
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.dialect='json5'] - json5, jsonc or json
+   * @returns {*} Parsed value
+   * @throws {InputSyntaxError} With the line and column of the problem
+   */
+  static parse(text, options = {}) {
+    return new JSON5Parser(text, options.dialect || 'json5').parseDocument();
+  }
+
+  /**
+   * Parse text, also reporting values JSON can't hold
+   *
+   * @static
+   * @param {string} text - Input
+   * @param {Object} [options] - Parse options (see parse)
+   * @returns {{data: *, warnings: string[]}} Parsed value, and where NaN/Infinity were read
+   * @throws {InputSyntaxError} With the line and column of the problem
+   */
+  static parseWithWarnings(text, options = {}) {
+    const parser = new JSON5Parser(text, options.dialect || 'json5');
+    const data = parser.parseDocument();
+    return { data, warnings: parser.repairWarnings(['nonFinite']) };
+  }
+
+  /**
+   * Load whatever can be recovered from malformed or truncated JSON
+   *
+   * @static
+   * @param {string} text - Input
+   * @returns {{data: *, warnings: string[]}} Parsed value and what had to be repaired, with positions
+   * @throws {InputSyntaxError} If nothing could be recovered (e.g. the first character is already wrong)
+   */
+  static recover(text) {
+    const parser = new JSON5Parser(text, 'json5', true);
+    const data = parser.parseDocument();
+    return { data, warnings: parser.repairWarnings() };
+  }
+
+  constructor(text, dialect, recovering = false) {
+    this.text = text;
+    this.pos = 0;
+    this.json5 = dialect === 'json5';
+    this.strict = dialect === 'json';
+    this.recovering = recovering;
+    this.repairs = new Map(); // Kind -> { count, position } of the first occurrence
+    this.closers = []; // Closing brackets of the containers being parsed, innermost last
+  }
+
+  parseDocument() {
+    this.skipIgnored();
+    const value = this.parseValue();
+    this.skipIgnored();
+    if (this.pos < this.text.length) {
+      if (!this.recovering || value === undefined) {
+        this.fail(`Unexpected ${this.describe()} after the document`);
+      }
+      this.note('trailingData');
+      this.pos = this.text.length;
+    }
+    if (value === undefined) {
+      this.fail('Unexpected end of input');
+    }
+    return value;
+  }
+
+  fail(message, position = this.pos) {
+    // Point just past the last character rather than at trailing whitespace
+    const at = position >= this.text.length ? this.text.trimEnd().length : position;
+    throw new InputSyntaxError(message, this.text, at);
+  }
+
+  /**
+   * Remember a non-JSON construct (reported by recover())
+   */
+  note(kind, position = this.pos) {
+    const repair = this.repairs.get(kind);
+    if (repair) {
+      repair.count++;
+    } else {
+      this.repairs.set(kind, { count: 1, position });
+    }
+  }
+
+  /**
+   * Warnings for the non-JSON constructs noted while parsing
+   *
+   * @param {string[]|null} [kinds=null] - Only report these kinds (null = all)
+   * @returns {string[]}
+   */
+  repairWarnings(kinds = null) {
+    return Array.from(this.repairs.entries())
+      .filter(([kind]) => !kinds || kinds.includes(kind))
+      .map(([kind, repair]) => `${REPAIR_LABELS[kind]} ${InputSyntaxError.describePosition(this.text, repair.position, repair.count)}`);
+  }
+
+  /**
+   * True once a truncated document has been read to its end (recover() only)
+   */
+  atTruncatedEnd() {
+    return this.recovering && this.pos >= this.text.length;
+  }
+
+  /**
+   * True while recovering inside an array or object - a damaged top-level value isn't guessed at
+   */
+  repairing() {
+    return this.recovering && this.closers.length > 0;
+  }
+
+  /**
+   * Before a member (recover() only): skip extra commas and characters that can't start one.
+   * The closing bracket of an enclosing container ends the current one too - unless a comma follows,
+   * in which case it was meant for the current one ([1, 2}, "b": 3)
+   *
+   * @param {string} close - Closing bracket of the current container
+   * @param {number} start - Position of the opening bracket
+   * @returns {boolean} True if the current container ends here without its own closing bracket
+   */
+  skipStray(close, start) {
+    for (;;) {
+      const char = this.text[this.pos];
+      if (char === undefined || char === close) return false;
+      if ((char === '}' || char === ']') && this.closers.includes(char)) {
+        if (/^\s*,/.test(this.text.substring(this.pos + 1, this.pos + 257))) {
+          this.note('mismatchedBracket');
+          this.pos++;
+        } else {
+          this.note('closedEarly', start);
+        }
+        return true;
+      }
+      if (/["'{[\w$+.\-À-￿]/.test(char)) return false;
+      this.note(char === ',' ? 'extraComma' : 'stray');
+      this.pos++;
+      this.skipIgnored();
+    }
+  }
+
+  describe() {
+    if (this.pos >= this.text.length) return 'end of input';
+    return `character ${JSON.stringify(this.text[this.pos])}`;
+  }
+
+  /**
+   * Skip whitespace and comments
+   */
+  skipIgnored() {
+    const text = this.text;
+    while (this.pos < text.length) {
+      const char = text[this.pos];
+      if (this.strict ? /[ \t\n\r]/.test(char) : /\s/.test(char)) { // \s includes the byte order mark
+        this.pos++;
+      } else if (!this.strict && char === '/' && text[this.pos + 1] === '/') {
+        this.note('comment');
+        while (this.pos < text.length && text[this.pos] !== '\n') this.pos++;
+      } else if (!this.strict && char === '/' && text[this.pos + 1] === '*') {
+        this.note('comment');
+        const end = text.indexOf('*/', this.pos + 2);
+        if (end === -1) {
+          if (this.recovering) {
+            this.pos = text.length;
+            break;
+          }
+          this.fail('Unterminated comment');
+        }
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Parse a value; undefined if a truncated document ends before the value is complete
+   */
+  parseValue() {
+    const char = this.text[this.pos];
+    if (char === '{') return this.parseObject();
+    if (char === '[') return this.parseArray();
+    if (char === '"' || (char === "'" && this.json5)) return this.parseString();
+    if (char !== undefined && /[-+.\d]/.test(char)) return this.parseNumber();
+
+    const word = /^[A-Za-z_$][\w$]*/.exec(this.text.substring(this.pos, this.pos + 64));
+    if (word) {
+      const literals = { true: true, false: false, null: null };
+      if (this.json5) Object.assign(literals, { Infinity: Infinity, NaN: NaN });
+      if (Object.prototype.hasOwnProperty.call(literals, word[0])) {
+        if (word[0] === 'Infinity' || word[0] === 'NaN') this.note('nonFinite');
+        this.pos += word[0].length;
+        return literals[word[0]];
+      }
+      // "tru" at the very end of a truncated document
+      const literal = Object.keys(literals).find(name => name.startsWith(word[0]));
+      if (this.recovering && this.pos + word[0].length >= this.text.length && literal) {
+        this.note('incompleteValue');
+        this.pos = this.text.length;
+        return undefined;
+      }
+      // Inside a container: "tru" is completed, any other bare word is taken as a string
+      if (this.repairing()) {
+        this.note(literal ? 'partialLiteral' : 'unquotedString');
+        this.pos += word[0].length;
+        return literal ? literals[literal] : word[0];
+      }
+      this.fail(`Unexpected word "${word[0]}"`);
+    }
+    if (this.atTruncatedEnd()) {
+      return undefined;
+    }
+    if (this.repairing() && char !== undefined) {
+      // "a": } or [1, :] - nothing to keep
+      if (/[,\]}]/.test(char)) {
+        this.note('missingValue');
+        return undefined;
+      }
+      return this.skipToValue();
+    }
+    this.fail(`Unexpected ${this.describe()}`);
+  }
+
+  /**
+   * Skip a character that can't start a value and parse what follows (recover() only)
+   */
+  skipToValue() {
+    this.note('stray');
+    this.pos++;
+    while (this.pos < this.text.length && !/[-+.\d"'{[\w$,:\]}]/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+    this.skipIgnored();
+    return this.parseValue();
+  }
+
+  parseObject() {
+    const start = this.pos;
+    const object = {};
+    this.pos++; // {
+    this.skipIgnored();
+    this.closers.push('}');
+
+    try {
+      while (this.text[this.pos] !== '}') {
+        if (this.recovering && this.skipStray('}', start)) return object;
+        if (this.atTruncatedEnd()) return this.closeTruncated(object, start);
+        if (this.pos >= this.text.length) this.failUnclosed('{', start);
+        if (this.text[this.pos] === '}') break;
+
+        const key = this.parseKey();
+        this.skipIgnored();
+        if (this.atTruncatedEnd()) return this.closeTruncated(object, start);
+        if (this.text[this.pos] === ':') {
+          this.pos++;
+          this.skipIgnored();
+        } else if (!this.recovering) {
+          this.fail(`Expected ":" after key "${key}"`);
+        } else if (key !== undefined && /["'{[\w$+.-]/.test(this.text[this.pos])) {
+          this.note('missingColon');
+        }
+
+        const value = this.parseValue();
+        if (key !== undefined && value !== undefined) {
+          // Duplicate keys: the last one wins, as with JSON.parse
+          Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+        }
+        this.skipIgnored();
+        if (this.atTruncatedEnd()) return this.closeTruncated(object, start);
+        this.parseSeparator('}', start);
+      }
+    } finally {
+      this.closers.pop();
+    }
+
+    this.pos++; // }
+    return object;
+  }
+
+  /**
+   * Parse an object key; undefined (recover() only) when a value starts where the key should be
+   */
+  parseKey() {
+    const char = this.text[this.pos];
+    if (char === '"' || (char === "'" && this.json5)) return this.parseString();
+    if (this.recovering && (char === '{' || char === '[')) {
+      this.note('missingKey');
+      return undefined;
+    }
+
+    if (this.json5) {
+      const identifier = /^[A-Za-z_$À-￿][\w$À-￿]*/.exec(this.text.substring(this.pos, this.pos + 256));
+      if (identifier) {
+        this.note('unquotedKey');
+        this.pos += identifier[0].length;
+        return identifier[0];
+      }
+    }
+    // {1: "a"} - a number or other bare token as the key
+    const token = this.recovering && /^[^\s:,{}[\]"']+/.exec(this.text.substring(this.pos, this.pos + 256));
+    if (token) {
+      this.note('unquotedKey');
+      this.pos += token[0].length;
+      return token[0];
+    }
+    this.fail(`Expected a key but found ${this.describe()}`);
+  }
+
+  parseArray() {
+    const start = this.pos;
+    const array = [];
+    this.pos++; // [
+    this.skipIgnored();
+    this.closers.push(']');
+
+    try {
+      while (this.text[this.pos] !== ']') {
+        if (this.recovering && this.skipStray(']', start)) return array;
+        if (this.atTruncatedEnd()) return this.closeTruncated(array, start);
+        if (this.text[this.pos] === ']') break;
+
+        const value = this.parseValue();
+        if (value !== undefined) array.push(value);
+        this.skipIgnored();
+        if (this.atTruncatedEnd()) return this.closeTruncated(array, start);
+        this.parseSeparator(']', start);
+      }
+    } finally {
+      this.closers.pop();
+    }
+
+    this.pos++; // ]
+    return array;
+  }
+
+  /**
+   * After a member: "," (possibly trailing) or the closing bracket
+   */
+  parseSeparator(close, start) {
+    const char = this.text[this.pos];
+    if (char === ',') {
+      const comma = this.pos;
+      this.pos++;
+      this.skipIgnored();
+      if (this.text[this.pos] === close) {
+        if (this.strict) this.fail('Trailing comma', comma);
+        this.note('trailingComma', comma);
+      }
+      return;
+    }
+    if (char === close) return;
+
+    // "a": 1 "b": 2 - the next member starts right away
+    if (this.recovering && char !== undefined && /["'{[\w$+.-]/.test(char)) {
+      this.note('missingComma');
+      return;
+    }
+    // Anything else is skipped before the next member (see skipStray)
+    if (this.recovering) return;
+    if (this.pos >= this.text.length) this.failUnclosed(close === '}' ? '{' : '[', start);
+    this.fail(`Expected "," or "${close}" but found ${this.describe()}`);
+  }
+
+  failUnclosed(opening, start) {
+    const { line, column } = InputSyntaxError.lineColumn(this.text, start);
+    this.fail(`Unexpected end of input ("${opening}" from line ${line}, column ${column} is never closed)`);
+  }
+
+  closeTruncated(container, start) {
+    this.note('unclosed', start);
+    return container;
+  }
+
+  parseString() {
+    const quote = this.text[this.pos];
+    const start = this.pos;
+    const simpleEscapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0', '"': '"', "'": "'", '\\': '\\', '/': '/' };
+    let value = '';
+    if (quote === "'") this.note('singleQuote');
+    this.pos++;
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === quote) {
+        this.pos++;
+        return value;
+      }
+      if (char === '\n' || char === '\r') {
+        if (this.recovering) {
+          this.note('unterminatedLine', start);
+          return value;
+        }
+        this.fail('Unterminated string', start);
+      }
+      if (this.strict && char < ' ') {
+        this.fail('Control character in string (it must be escaped)');
+      }
+      if (char !== '\\') {
+        value += char;
+        this.pos++;
+        continue;
+      }
+
+      const escape = this.text[this.pos + 1];
+      if (escape === undefined && this.recovering) {
+        this.pos++;
+        break;
+      }
+      if (escape === 'u') {
+        const hex = this.text.substring(this.pos + 2, this.pos + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+          if (this.recovering && this.pos + 6 > this.text.length) {
+            this.pos = this.text.length;
+            break;
+          }
+          if (this.recovering) {
+            this.note('invalidEscape');
+            value += escape;
+            this.pos += 2;
+            continue;
+          }
+          this.fail('Invalid \\u escape');
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.pos += 6;
+      } else if (this.json5 && escape === 'x') {
+        const hex = this.text.substring(this.pos + 2, this.pos + 4);
+        if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+          if (!this.recovering) this.fail('Invalid \\x escape');
+          this.note('invalidEscape');
+          value += escape;
+          this.pos += 2;
+          continue;
+        }
+        value += String.fromCharCode(parseInt(hex, 16));
+        this.pos += 4;
+      } else if (this.json5 && (escape === '\n' || escape === '\r')) {
+        // Line continuation
+        this.pos += escape === '\r' && this.text[this.pos + 2] === '\n' ? 3 : 2;
+      } else if (Object.prototype.hasOwnProperty.call(simpleEscapes, escape) && (this.json5 || !"v0'".includes(escape))) {
+        value += simpleEscapes[escape];
+        this.pos += 2;
+      } else if (this.json5 && escape !== undefined && !/[1-9]/.test(escape)) {
+        value += escape;
+        this.pos += 2;
+      } else if (this.recovering) {
+        this.note('invalidEscape');
+        value += escape;
+        this.pos += 2;
+      } else {
+        this.fail(`Invalid escape "\\${escape || ''}"`);
+      }
+    }
+
+    if (this.recovering) {
+      this.note('unterminatedString', start);
+      return value;
+    }
+    this.fail('Unterminated string', start);
+  }
+
+  parseNumber() {
+    const start = this.pos;
+    const rest = this.text.substring(this.pos, this.pos + 1024);
+    const pattern = this.json5
+      ? /^[-+]?(0[xX][0-9a-fA-F]+|Infinity|NaN|(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?)/
+      : /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?/;
+    const match = pattern.exec(rest);
+    if (!match) {
+      // A lone "-" at the very end of a truncated document
+      if (this.recovering && this.pos + rest.length >= this.text.length && /^[-+.]$/.test(rest)) {
+        this.note('incompleteValue');
+        this.pos = this.text.length;
+        return undefined;
+      }
+      if (this.repairing()) return this.skipToValue();
+      this.fail('Invalid number');
+    }
+
+    this.pos += match[0].length;
+    const sign = match[0].startsWith('-') ? -1 : 1;
+    const unsigned = match[0].replace(/^[-+]/, '');
+    if (!/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(match[0])) {
+      this.note(/^(Infinity|NaN)$/.test(unsigned) ? 'nonFinite' : 'number', start);
+    }
+    if (/^0[xX]/.test(unsigned)) return sign * parseInt(unsigned, 16);
+    if (unsigned === 'Infinity') return sign * Infinity;
+    if (unsigned === 'NaN') return NaN;
+    return sign * Number(unsigned);
+  }
+}
+
+module.exports = { JSON5Parser };
@@ -21,12 +21,20 @@ class KeybindingsManager {
       'copy': [':copy', ':c'],
       'copy-query': [':copy-query', ':cq'],
       'copy-results': [':copy-results', ':cr'],
+      'copy-path': [':copy-path', ':cp'],
       'raw': [':raw'],
+      'table': [':table'],
+      'tree': [':tree'],
+      'diff': [':diff'],
+      'schema': [':schema'],
+      'validate': [':validate'],
+      'types': [':types'],
       'decode': [':decode'],
       'parse': [':parse'],
       'save': [':save'],
       'saveline': [':saveline', ':sl'],
-      'dump': [':dump', ':export'],
+      'dump': [':dump'],
+      'export': [':export'],
       'exit': [':exit', ':quit', ':q'],
       
       // Search
@@ -292,7 +300,7 @@ class KeybindingsManager {
   formatKeybindings(showDefaults = false) {
     const lines = [];
     const categories = {
-      'Commands': ['help', 'show', 'paths', 'copy', 'copy-query', 'copy-results', 'raw', 'decode', 'parse', 'save', 'saveline', 'dump', 'exit'],
+      'Commands': ['help', 'show', 'paths', 'copy', 'copy-query', 'copy-results', 'raw', 'decode', 'parse', 'save', 'saveline', 'dump', 'export', 'exit'],
       'Search': ['search', 'search-in-result'],
       'Navigation': ['next-page', 'prev-page', 'switch-to-results', 'switch-to-input', 'toggle-help'],
       'Text Editing': ['delete-word-backward', 'clear-line', 'delete-to-end', 'move-start', 'move-end', 'insert-wildcard'],
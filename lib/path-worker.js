@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+// ============= PATH EXTRACTION WORKER =============
+// Parses the input and runs PathExtractor off the UI thread, posting paths back in batches
+// (started by PathExtractor.extractPathsInWorker)
+
+const { parentPort, workerData } = require('worker_threads');
+const { PathExtractor } = require('./path');
+const { InputParser } = require('./input');
+const { FileManager } = require('./file');
+
+const { source, strategy } = workerData;
+
+// The Buffer arrives as a plain Uint8Array
+const data = source.files
+  ? FileManager.loadInputFiles(source.files, source.format, source.options).data
+  : InputParser.parse(
+    Buffer.from(source.text.buffer, source.text.byteOffset, source.text.byteLength).toString('utf8'),
+    { ...source.options, format: source.format }
+  ).data;
+
+PathExtractor.extractPathsForStrategy(data, strategy, (paths) => {
+  parentPort.postMessage({ type: 'paths', paths });
+});
+
+parentPort.postMessage({ type: 'done' });
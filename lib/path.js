@@ -1,5 +1,7 @@
 #!/usr/bin/env node
 
+const pathModule = require('path');
+
 // ============= PATH EXTRACTOR =============
 
 /**
@@ -19,19 +21,26 @@ class PathExtractor {
    * @param {number} [options.maxDepth] - Maximum depth to traverse (undefined = unlimited)
    * @param {number} [options.maxPaths] - Maximum number of paths to extract (undefined = unlimited)
    * @param {number} [options.maxArrayItems] - Maximum array items to index per array (default: 10)
+   * @param {Function} [options.onBatch] - Called with each batch of new (unsorted) paths as they are found
+   * @param {number} [options.batchSize=2000] - Paths per onBatch call
    * @returns {string[]} Array of JSONPath strings (sorted, deduplicated)
    */
   static extractPaths(obj, prefix = '$', options = {}) {
-    const { maxDepth, maxPaths, maxArrayItems = 10 } = options;
+    const { maxDepth, maxPaths, maxArrayItems = 10, onBatch, batchSize = 2000 } = options;
     const paths = [];
     let pathCount = 0;
-    const startTime = Date.now();
-    const maxExtractionTime = 5000; // 5 seconds max for initial extraction
+    let flushed = 0;
+    
+    function flush() {
+      if (onBatch && paths.length > flushed) {
+        onBatch(paths.slice(flushed));
+        flushed = paths.length;
+      }
+    }
     
     function traverse(current, path, depth = 0) {
-      // Check time limit for large files
-      if (Date.now() - startTime > maxExtractionTime && depth > 2) {
-        return; // Stop if taking too long and we're deep
+      if (onBatch && paths.length - flushed >= batchSize) {
+        flush();
       }
       
       // Check depth limit
@@ -84,6 +93,7 @@ class PathExtractor {
     }
     
     traverse(obj, prefix, 0);
+    flush();
     return [...new Set(paths)].sort();
   }
   
@@ -96,15 +106,17 @@ class PathExtractor {
    * @param {Object} obj - JSON object to extract paths from
    * @param {number} [maxDepth=3] - Maximum depth to extract initially
    * @param {number} [minPaths=200] - Minimum paths to extract for suggestions
+   * @param {Function} [onBatch] - Called with each batch of new paths (see extractPaths)
    * @returns {string[]} Array of JSONPath strings
    */
-  static extractPathsLazy(obj, maxDepth = 3, minPaths = 200) {
+  static extractPathsLazy(obj, maxDepth = 3, minPaths = 200, onBatch) {
     // Extract with depth 3 to get enough paths for suggestions
     // But limit array items to keep it fast
     let paths = this.extractPaths(obj, '$', { 
       maxDepth, 
       maxArrayItems: 5,
-      maxPaths: 5000 // Limit to 5k paths for speed
+      maxPaths: 5000, // Limit to 5k paths for speed
+      onBatch
     });
     
     // If we don't have enough paths, try one more level (but with stricter limits)
@@ -112,7 +124,8 @@ class PathExtractor {
       const additionalPaths = this.extractPaths(obj, '$', {
         maxDepth: maxDepth + 1,
         maxArrayItems: 3, // Even fewer array items
-        maxPaths: minPaths - paths.length // Only get what we need
+        maxPaths: minPaths - paths.length, // Only get what we need
+        onBatch
       });
       // Merge and deduplicate
       paths = [...new Set([...paths, ...additionalPaths])].sort();
@@ -121,16 +134,103 @@ class PathExtractor {
     return paths;
   }
   
+  /**
+   * Extract paths using the strategy chosen by estimateSize
+   * 
+   * @static
+   * @param {*} obj - JSON object to extract paths from
+   * @param {string} strategy - 'full', 'limited' or 'lazy'
+   * @param {Function} [onBatch] - Called with each batch of new paths (see extractPaths)
+   * @returns {string[]} Array of JSONPath strings (sorted, deduplicated)
+   */
+  static extractPathsForStrategy(obj, strategy, onBatch) {
+    if (strategy === 'lazy') {
+      // Very large files (25+ MB): enough paths for useful suggestions (depth 3, min 200 paths)
+      return this.extractPathsLazy(obj, 3, 200, onBatch);
+    }
+    if (strategy === 'limited') {
+      return this.extractPaths(obj, '$', {
+        maxDepth: 4,
+        maxArrayItems: 10,
+        maxPaths: 50000, // Limit to 50k paths
+        onBatch
+      });
+    }
+    return this.extractPaths(obj, '$', { onBatch });
+  }
+  
+  /**
+   * Extract paths in a worker thread so large documents don't block the UI
+   * The worker parses the raw input itself (copying the parsed document over would block the UI
+   * thread for the length of the copy); paths come back in batches as they are found. Raw text is moved
+   * into the worker, not copied: the caller's Buffer is empty afterwards
+   * 
+   * @static
+   * @param {Object} source - Input to parse, as for InputParser.parse: { text, format, options } with the
+   *   raw text as a Buffer, or { files, format, options } for files (read again with FileManager.loadInputFiles)
+   * @param {string} strategy - 'full', 'limited' or 'lazy' (see estimateSize)
+   * @param {Function} onBatch - Called with each batch of new paths (unsorted, may repeat earlier ones)
+   * @returns {{promise: Promise<void>, cancel: Function}} Resolves when extraction finished; cancel() stops the worker
+   */
+  static extractPathsInWorker(source, strategy, onBatch) {
+    const { Worker } = require('worker_threads');
+    const transferList = [];
+    if (source.text) {
+      // Only a Buffer that owns its whole ArrayBuffer can be moved (small ones share Node's pool)
+      const { text } = source;
+      const owned = text.byteOffset === 0 && text.byteLength === text.buffer.byteLength;
+      source = { ...source, text: owned ? text : new Uint8Array(text) };
+      transferList.push(source.text.buffer);
+    }
+    const worker = new Worker(pathModule.join(__dirname, 'path-worker.js'), {
+      workerData: { source, strategy },
+      transferList
+    });
+    let cancelled = false;
+    
+    // Don't keep the process alive just for extraction
+    worker.unref();
+    
+    const promise = new Promise((resolve, reject) => {
+      let done = false;
+      worker.on('message', (message) => {
+        if (cancelled) return;
+        if (message.type === 'paths') {
+          onBatch(message.paths);
+        } else if (message.type === 'done') {
+          done = true;
+          resolve();
+        }
+      });
+      worker.on('error', reject);
+      worker.on('exit', (code) => {
+        if (!done && !cancelled) {
+          reject(new Error(`Path extraction stopped unexpectedly (exit code ${code})`));
+        }
+      });
+    });
+    
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+        worker.terminate();
+      }
+    };
+  }
+  
   /**
    * Estimate JSON size and determine extraction strategy
    * 
    * @static
    * @param {*} obj - JSON object
+   * @param {number} [knownBytes] - Size of the raw input, if known (avoids re-serializing large documents)
    * @returns {{sizeMB: number, isLarge: boolean, strategy: string}}
    */
-  static estimateSize(obj) {
-    const jsonString = JSON.stringify(obj);
-    const sizeBytes = Buffer.byteLength(jsonString, 'utf8');
+  static estimateSize(obj, knownBytes) {
+    const sizeBytes = typeof knownBytes === 'number'
+      ? knownBytes
+      : Buffer.byteLength(JSON.stringify(obj), 'utf8');
     const sizeMB = sizeBytes / (1024 * 1024);
     
     return {
@@ -142,23 +242,95 @@ class PathExtractor {
     };
   }
   
+  /**
+   * Parse a field path relative to a value, e.g. "address.city", "['content-type']" or "tags[0].name"
+   * 
+   * @static
+   * @param {string} field - Field path (dots, quoted bracket keys and array indexes)
+   * @returns {Array<string|number>|null} Keys and indexes in order, or null if the path is malformed
+   */
+  static parseFieldPath(field) {
+    const segments = [];
+    let i = 0;
+    
+    while (i < field.length) {
+      const char = field[i];
+      
+      if (char === '[') {
+        const quote = field[i + 1];
+        if (quote === '"' || quote === "'") {
+          // Quoted key: ['content-type'] or ["a.b"]
+          let key = '';
+          let j = i + 2;
+          while (j < field.length && field[j] !== quote) {
+            if (field[j] === '\\' && j + 1 < field.length) j++;
+            key += field[j++];
+          }
+          if (field[j] !== quote || field[j + 1] !== ']') return null;
+          segments.push(key);
+          i = j + 2;
+        } else {
+          // Array index: [0]
+          const match = field.slice(i).match(/^\[(\d+)\]/);
+          if (!match) return null;
+          segments.push(parseInt(match[1], 10));
+          i += match[0].length;
+        }
+      } else {
+        // Dotted key (a leading dot is only allowed between segments)
+        if (char === '.') {
+          if (segments.length === 0) return null;
+          i++;
+        }
+        let end = i;
+        while (end < field.length && field[end] !== '.' && field[end] !== '[') end++;
+        if (end === i) return null;
+        segments.push(field.slice(i, end));
+        i = end;
+      }
+    }
+    
+    return segments.length > 0 ? segments : null;
+  }
+  
+  /**
+   * Append a key or array index to a JSONPath. Every path shown (suggestions, wildcard rows, the tree,
+   * search matches, validation errors) is built here: plain identifiers after a dot, any other key in
+   * brackets, e.g. $.users[0]['first-name']. Quotes and backslashes in a bracketed key are escaped
+   * ($['it\'s']); jsonpath-plus can't read those, so QueryExecutor resolves such paths with manualTraverse
+   * 
+   * @static
+   * @param {string} basePath - Path so far
+   * @param {string|number} key - Object key or array index
+   * @returns {string}
+   */
   static buildPath(basePath, key) {
-    const needsBrackets = /[.\s\-\[\]]/.test(key) || /^\d/.test(key);
-    if (needsBrackets) {
-      return `${basePath}['${key}']`;
+    if (typeof key === 'number') {
+      return `${basePath}[${key}]`;
     }
-    return basePath === '$' ? `$.${key}` : `${basePath}.${key}`;
+    return /^[A-Za-z_$][\w$]*$/.test(key)
+      ? `${basePath}.${key}`
+      : `${basePath}['${key.replace(/[\\']/g, '\\$&')}']`;
   }
   
+  /**
+   * Resolve a plain path (keys and indexes only, as built by buildPath) without jsonpath-plus
+   * 
+   * @static
+   * @param {*} obj - JSON value
+   * @param {string} path - Path such as $.users[0]['first-name']
+   * @returns {*} The value, or undefined if the path is not plain or does not exist
+   */
   static manualTraverse(obj, path) {
-    const parts = path.replace(/^\$\.?/, '').split('.');
+    const segments = PathExtractor.parseFieldPath(path.replace(/^\$\.?/, ''));
+    if (!segments) return undefined;
+    
     let value = obj;
-    for (const part of parts) {
-      if (part && value && typeof value === 'object') {
-        value = value[part];
-      } else {
+    for (const key of segments) {
+      if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
         return undefined;
       }
+      value = value[key];
     }
     return value;
   }
@@ -0,0 +1,1131 @@
+#!/usr/bin/env node
+
+const { QueryExecutor } = require('./query');
+const { WhereParser, VALUE_TYPES } = require('./where');
+const { PathExtractor } = require('./path');
+
+// ============= QUERY PIPELINE =============
+
+const SORT_TYPE_ORDER = ['number', 'string', 'boolean', 'null', 'array', 'object'];
+
+/**
+ * QueryPipeline - Runs a query through the pipe stages (| @where=... | @label=...)
+ * 
+ * @class
+ * @description Shared by the TUI and headless mode so a query behaves the same in both:
+ * parses pipe syntax, filters wildcard results and resolves contextual labels
+ */
+class QueryPipeline {
+  /**
+   * Create a query pipeline
+   * 
+   * @param {AppState} appState - Application state instance
+   * @param {QueryExecutor} queryExecutor - Query executor used for relative paths and labels
+   */
+  constructor(appState, queryExecutor) {
+    this.appState = appState;
+    this.queryExecutor = queryExecutor;
+  }
+  
+  /**
+   * Parse a JSONPath string back into an array
+   * @param {string} pathString - Path like "$['field1']['field2'][0]['field3']"
+   * @returns {Array} - Path array like ['$', 'field1', 'field2', 0, 'field3']
+   */
+  static parsePathString(pathString) {
+    const pathArray = ['$'];
+    
+    // Remove the leading $
+    let remaining = pathString.substring(1);
+    
+    // Match patterns like ['field'], [0], .field
+    const pattern = /\['([^']+)'\]|\[(\d+)\]|\.([a-zA-Z_$][\w$]*)/g;
+    let match;
+    
+    while ((match = pattern.exec(remaining)) !== null) {
+      if (match[1] !== undefined) {
+        // Bracket notation with quotes: ['field']
+        pathArray.push(match[1]);
+      } else if (match[2] !== undefined) {
+        // Array index: [0]
+        pathArray.push(parseInt(match[2], 10));
+      } else if (match[3] !== undefined) {
+        // Dot notation: .field
+        pathArray.push(match[3]);
+      }
+    }
+    
+    return pathArray;
+  }
+  
+  /**
+   * Parse query with optional pipe syntax for labels, filters, ordering, projection and aggregates
+   * @param {string} query - Full query string (may contain | @label=... | @where=... | @sort=... | @select=... | @sum=...)
+   * @returns {object} - { mainQuery, labelQuery, whereFilter, sortBy, limit, offset, selectFields, aggregates, groupBy, unknownStages }
+   *   (the stages after whereFilter are raw text - see parseStages)
+   */
+  static parseQueryWithLabel(query) {
+    // Split by pipe, but not inside quotes (e.g. @where=title="a | b")
+    const [main, ...parts] = QueryPipeline.splitPipes(query).map(p => p.trim());
+    if (parts.length === 0) {
+      return {
+        mainQuery: main, labelQuery: null, whereFilter: null, sortBy: null, limit: null, offset: null,
+        selectFields: null, aggregates: [], groupBy: null, unknownStages: []
+      };
+    }
+    
+    const mainQuery = main;
+    
+    // Parse multiple pipe operators: | @label=... | @where=...
+    let labelQuery = null;
+    let whereFilter = null;
+    const ordering = { sort: null, limit: null, offset: null };
+    const aggregates = []; // { operation, field } - field is '' for the item itself
+    let groupBy = null;
+    let selectFields = null;
+    const unknownStages = []; // Stages we don't understand (rejected by parseStages)
+    
+    for (const [index, part] of parts.entries()) {
+      // Check for @label
+      const labelMatch = part.match(/^@label\s*=\s*(.+)$/);
+      if (labelMatch) {
+        labelQuery = labelMatch[1].trim();
+        continue;
+      }
+      
+      // Check for @where
+      const whereMatch = part.match(/^@where\s*=\s*(.+)$/);
+      if (whereMatch) {
+        whereFilter = whereMatch[1].trim();
+        continue;
+      }
+      
+      // Check for @sort, @limit and @offset (values are checked by parseOrdering)
+      const orderingMatch = part.match(/^@(sort|limit|offset)\s*=?\s*(.*)$/);
+      if (orderingMatch) {
+        ordering[orderingMatch[1]] = orderingMatch[2].trim();
+        continue;
+      }
+      
+      // Check for @select (checked by parseSelect)
+      const selectMatch = part.match(/^@select\s*=?\s*(.*)$/);
+      if (selectMatch) {
+        selectFields = selectMatch[1].trim();
+        continue;
+      }
+      
+      // Check for aggregates (@count, @sum=field, ...) and @group=field
+      const aggregateMatch = part.match(/^@(count|sum|avg|min|max|distinct|group)\b\s*=?\s*(.*)$/);
+      if (aggregateMatch) {
+        if (aggregateMatch[1] === 'group') {
+          groupBy = aggregateMatch[2].trim();
+        } else {
+          aggregates.push({ operation: aggregateMatch[1], field: aggregateMatch[2].trim() });
+        }
+        continue;
+      }
+      
+      // A first stage without @ is a label query (for backwards compatibility: $.users[*] | name)
+      if (index === 0 && !part.startsWith('@')) {
+        labelQuery = part;
+        continue;
+      }
+      
+      unknownStages.push(part);
+    }
+    
+    return {
+      mainQuery, labelQuery, whereFilter, sortBy: ordering.sort, limit: ordering.limit, offset: ordering.offset,
+      selectFields, aggregates, groupBy, unknownStages
+    };
+  }
+  
+  /**
+   * Parse the stages that run after @where (@sort/@limit/@offset, @select and aggregates)
+   * @param {object} parsed - Result of parseQueryWithLabel
+   * @returns {object} - { ordering, selection, aggregation } (each null when not used)
+   * @throws {Error} If a stage is unknown or its value is malformed
+   */
+  static parseStages(parsed) {
+    if (parsed.unknownStages.length > 0) {
+      const stage = parsed.unknownStages[0];
+      throw new Error(stage === ''
+        ? 'Empty pipe stage (nothing after "|")'
+        : `Unknown pipe operator: ${stage} (expected @label, @where, @sort, @limit, @offset, @select, @count, @sum, @avg, @min, @max, @distinct or @group)`);
+    }
+    return {
+      ordering: QueryPipeline.parseOrdering(parsed),
+      selection: parsed.selectFields !== null ? QueryPipeline.parseSelect(parsed.selectFields) : null,
+      aggregation: QueryPipeline.parseAggregation(parsed)
+    };
+  }
+  
+  /**
+   * Parse a @select field list: comma-separated field paths, each with an optional "as" alias
+   * @param {string} spec - e.g. "id,total,customer.name as customer,../region"
+   * @returns {Array} - Columns { key, field, path } (key defaults to the field, without ../)
+   * @throws {Error} If the list is empty, a field is malformed or two columns share a key
+   */
+  static parseSelect(spec) {
+    if (spec === '') {
+      throw new Error('Expected fields after @select= (e.g. @select=id,total,customer.name as customer)');
+    }
+    const columns = QueryPipeline.splitFieldList(spec).map(column => column.trim());
+    if (columns.some(column => column === '')) {
+      throw new Error(`Empty field in @select=${spec}`);
+    }
+    
+    const keys = new Set();
+    return columns.map(column => {
+      const match = column.match(/^(.+?)\s+as\s+(.+)$/i);
+      const field = match ? match[1].trim() : column;
+      const { path } = QueryPipeline.parseStageField('@select', field);
+      
+      const alias = match ? match[2].trim().replace(/^(["'])(.*)\1$/, '$2') : null;
+      const key = alias || (path ? path.join('.') : field.replace(/^(\.\.\/)+/, ''));
+      if (keys.has(key)) {
+        throw new Error(`Duplicate @select column '${key}' (rename one with "as")`);
+      }
+      keys.add(key);
+      
+      return { key, field, path };
+    });
+  }
+  
+  /**
+   * Split a field list on commas that are outside quotes and brackets
+   * @param {string} text - e.g. "id, ['a,b'], tags[0]"
+   * @returns {string[]} - Fields (untrimmed)
+   */
+  static splitFieldList(text) {
+    const fields = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\' && i + 1 < text.length) {
+          current += char + text[++i];
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ',' && depth === 0) {
+        fields.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    
+    fields.push(current);
+    return fields;
+  }
+  
+  /**
+   * Parse the @sort, @limit and @offset stages of a parsed query
+   * @param {object} parsed - Result of parseQueryWithLabel
+   * @returns {object|null} - { sort: { field, path, descending } | null, limit, offset }, or null without ordering stages
+   * @throws {Error} If a stage value is malformed
+   */
+  static parseOrdering(parsed) {
+    const { sortBy, limit, offset } = parsed;
+    if (sortBy === null && limit === null && offset === null) {
+      return null;
+    }
+    
+    return {
+      sort: sortBy !== null ? QueryPipeline.parseSortSpec(sortBy) : null,
+      limit: limit !== null ? QueryPipeline.parseCount('@limit', limit, 1) : null,
+      offset: offset !== null ? QueryPipeline.parseCount('@offset', offset, 0) : 0
+    };
+  }
+  
+  /**
+   * Parse a @sort value: a field path (same syntax as @where) and an optional direction
+   * @param {string} spec - e.g. "price desc", "customer.name", "../region asc"
+   * @returns {object} - { field, path, descending }
+   * @throws {Error} If the field is missing or malformed
+   */
+  static parseSortSpec(spec) {
+    const match = spec.match(/^(.*?)(?:\s+(asc|desc))?$/i);
+    const field = match[1].trim();
+    if (field === '') {
+      throw new Error('Expected a field after @sort= (e.g. @sort=price desc)');
+    }
+    
+    const { path } = QueryPipeline.parseStageField('@sort', field);
+    return { field, path, descending: Boolean(match[2]) && match[2].toLowerCase() === 'desc' };
+  }
+  
+  /**
+   * Parse the field of a @sort, aggregate or @group stage
+   * @param {string} stage - Stage name, for the error message
+   * @param {string} field - Field path (same syntax as @where)
+   * @returns {object} - { field, path } (path is null for ../ fields, which are resolved through JSONPath)
+   * @throws {Error} If the field path is malformed
+   */
+  static parseStageField(stage, field) {
+    if (field.startsWith('../')) {
+      return { field, path: null };
+    }
+    
+    const path = PathExtractor.parseFieldPath(field);
+    if (!path) {
+      throw new Error(`Invalid ${stage} field '${field}' (use a.b, ['key'] or items[0])`);
+    }
+    return { field, path };
+  }
+  
+  /**
+   * Parse the aggregate (@count, @sum, @avg, @min, @max, @distinct) and @group stages of a parsed query
+   * @param {object} parsed - Result of parseQueryWithLabel
+   * @returns {object|null} - { operation, target: { field, path } | null, groupBy: { field, path } | null },
+   *   or null without aggregate stages (@group alone counts each group)
+   * @throws {Error} If there is more than one aggregate or a field is malformed
+   */
+  static parseAggregation(parsed) {
+    const { aggregates, groupBy } = parsed;
+    if (aggregates.length === 0 && groupBy === null) {
+      return null;
+    }
+    
+    if (aggregates.length > 1) {
+      throw new Error(`Only one aggregate per query (got ${aggregates.map(a => `@${a.operation}`).join(' and ')})`);
+    }
+    if (groupBy === '') {
+      throw new Error('Expected a field after @group= (e.g. @group=status)');
+    }
+    
+    const { operation, field } = aggregates[0] || { operation: 'count', field: '' };
+    return {
+      operation,
+      target: field !== '' ? QueryPipeline.parseStageField(`@${operation}`, field) : null, // null = the item itself
+      groupBy: groupBy !== null ? QueryPipeline.parseStageField('@group', groupBy) : null
+    };
+  }
+  
+  /**
+   * Describe an aggregation for headers and labels
+   * @param {object} aggregation - Result of parseAggregation
+   * @returns {string} - e.g. "count", "sum of total", "avg of price by region"
+   */
+  static describeAggregation(aggregation) {
+    const { operation, target, groupBy } = aggregation;
+    let description = target ? `${operation} of ${target.field}` : operation;
+    if (groupBy) {
+      description += ` by ${groupBy.field}`;
+    }
+    return description;
+  }
+  
+  /**
+   * Parse a @limit/@offset value
+   * @param {string} stage - Stage name, for the error message
+   * @param {string} value - Raw stage value
+   * @param {number} min - Smallest allowed value
+   * @returns {number}
+   * @throws {Error} If the value is not a whole number >= min
+   */
+  static parseCount(stage, value, min) {
+    if (!/^\d+$/.test(value) || parseInt(value, 10) < min) {
+      throw new Error(`${stage} expects a whole number${min > 0 ? ` of at least ${min}` : ''}, got '${value}'`);
+    }
+    return parseInt(value, 10);
+  }
+  
+  /**
+   * Check if a | continues an "is" type union (@where=id is string|number) instead of starting a stage
+   * @param {string} before - Query text before the |
+   * @param {string} after - Query text after the |
+   * @returns {boolean} - True if the | separates two types
+   */
+  static isTypeUnion(before, after) {
+    const nextWord = /^\s*(\w+)/.exec(after);
+    return /\bis\s+\w+(\s*\|\s*\w+)*\s*$/i.test(before) &&
+      nextWord !== null && VALUE_TYPES.includes(nextWord[1].toLowerCase());
+  }
+  
+  /**
+   * Split a query on pipes that are outside quotes, regex literals and "is" type unions
+   * @param {string} query - Full query string
+   * @returns {string[]} - Query parts (untrimmed)
+   */
+  static splitPipes(query) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    
+    for (let i = 0; i < query.length; i++) {
+      const char = query[i];
+      if (quote) {
+        if (char === '\\' && i + 1 < query.length) {
+          current += char + query[++i];
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '/' && /\bmatches\s*$/i.test(current)) {
+        quote = char; // Regex literal - may contain | (@where=name matches /a|b/)
+      } else if (char === '|' && !QueryPipeline.isTypeUnion(current, query.slice(i + 1))) {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    
+    parts.push(current);
+    return parts;
+  }
+  
+  /**
+   * Evaluate a where filter against a result item
+   * @param {*} itemValue - The result item value (object or primitive)
+   * @param {Array} itemPath - The JSONPath array for this item
+   * @param {string|object} condition - The where condition (e.g., "status=active AND (age>25 OR NOT vip=true)"), or a tree from WhereParser.parse
+   * @returns {boolean} - True if item matches condition
+   * @throws {WhereSyntaxError} If the condition is malformed
+   */
+  evaluateWhereCondition(itemValue, itemPath, condition) {
+    if (!condition) {
+      return true; // No filter
+    }
+    
+    const node = typeof condition === 'string' ? WhereParser.parse(condition) : condition;
+    
+    switch (node.type) {
+      case 'or':
+        return this.evaluateWhereCondition(itemValue, itemPath, node.left) ||
+          this.evaluateWhereCondition(itemValue, itemPath, node.right);
+      case 'and':
+        return this.evaluateWhereCondition(itemValue, itemPath, node.left) &&
+          this.evaluateWhereCondition(itemValue, itemPath, node.right);
+      case 'not':
+        return !this.evaluateWhereCondition(itemValue, itemPath, node.operand);
+      default:
+        return this.evaluateComparison(itemValue, itemPath, node);
+    }
+  }
+  
+  /**
+   * Evaluate a single comparison
+   * @param {*} itemValue - The result item value
+   * @param {Array} itemPath - The JSONPath array for this item
+   * @param {object} comparison - Comparison node ({ field, operator, value, isString })
+   * @returns {boolean} - True if the comparison matches (false when the field is missing,
+   *   except for the missing operator)
+   */
+  evaluateComparison(itemValue, itemPath, comparison) {
+    const { operator, value } = comparison;
+    const field = this.resolveFieldValue(itemValue, itemPath, comparison.field, comparison.path);
+    
+    if (operator === 'exists') {
+      return field.found;
+    }
+    if (operator === 'missing') {
+      return !field.found;
+    }
+    if (!field.found) {
+      return false; // Field doesn't exist
+    }
+    
+    const fieldValue = field.value;
+    
+    switch (operator) {
+      case '=':
+        return QueryPipeline.valuesEqual(fieldValue, value, comparison.isString);
+      case '!=':
+        return !QueryPipeline.valuesEqual(fieldValue, value, comparison.isString);
+      case '>':
+      case '<':
+      case '>=':
+      case '<=': {
+        const numValue = QueryPipeline.toFilterNumber(value, comparison.isString);
+        if (numValue === null) return false;
+        if (operator === '>') return fieldValue > numValue;
+        if (operator === '<') return fieldValue < numValue;
+        if (operator === '>=') return fieldValue >= numValue;
+        return fieldValue <= numValue;
+      }
+      case 'contains':
+        return String(fieldValue).toLowerCase().includes(value.toLowerCase());
+      case 'startswith':
+        return String(fieldValue).toLowerCase().startsWith(value.toLowerCase());
+      case 'endswith':
+        return String(fieldValue).toLowerCase().endsWith(value.toLowerCase());
+      case 'matches':
+        value.lastIndex = 0; // /g and /y regexes are stateful
+        return value.test(typeof fieldValue === 'string' ? fieldValue : JSON.stringify(fieldValue));
+      case 'in':
+        return value.some(item => QueryPipeline.valuesEqual(fieldValue, item.value, item.isString));
+      case 'is':
+        return value.includes(QueryPipeline.getValueType(fieldValue));
+      default:
+        return true;
+    }
+  }
+  
+  /**
+   * Look up a filter field for a result item
+   * @param {*} itemValue - The result item value
+   * @param {Array} itemPath - The JSONPath array for this item
+   * @param {string} field - Field path (address.city, ['content-type'], tags[0]) or relative path (../field)
+   * @param {Array} [segments] - The field already split by PathExtractor.parseFieldPath
+   * @returns {object} - { found, value }
+   */
+  resolveFieldValue(itemValue, itemPath, field, segments = null) {
+    const notFound = { found: false, value: undefined };
+    
+    // Check if field is a relative path (starts with ../)
+    if (field.startsWith('../')) {
+      // Resolve relative path and query for the value
+      if (!itemPath || !Array.isArray(itemPath)) {
+        return notFound; // Can't resolve relative path without itemPath
+      }
+      
+      const absolutePath = QueryPipeline.resolveRelativePath(itemPath, field);
+      const result = this.queryExecutor.execute(absolutePath);
+      
+      if (!result.success || result.data === undefined) {
+        return notFound; // Relative path didn't resolve
+      }
+      return { found: true, value: result.data };
+    }
+    
+    // Walk the field path down from the item
+    const path = segments || PathExtractor.parseFieldPath(field) || [field];
+    let value = itemValue;
+    for (const key of path) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        return notFound; // Field doesn't exist (or item is not an object)
+      }
+      value = value[key];
+    }
+    
+    return value === undefined ? notFound : { found: true, value };
+  }
+  
+  /**
+   * Compare a field value with a filter value for equality
+   * Bare numeric values compare as numbers; quoted values are always strings
+   * @param {*} fieldValue - Value found in the data
+   * @param {string} value - Value from the filter
+   * @param {boolean} isString - The filter value was quoted
+   * @returns {boolean} - True if equal
+   */
+  static valuesEqual(fieldValue, value, isString) {
+    const numValue = QueryPipeline.toFilterNumber(value, isString);
+    return numValue !== null ? fieldValue == numValue : String(fieldValue) === value;
+  }
+  
+  /**
+   * Interpret a filter value as a number
+   * @param {string} value - Value from the filter
+   * @param {boolean} isString - The filter value was quoted
+   * @returns {number|null} - The number, or null if the value isn't a bare number
+   */
+  static toFilterNumber(value, isString) {
+    if (isString || value.trim() === '') return null;
+    const numValue = Number(value);
+    return isNaN(numValue) ? null : numValue;
+  }
+  
+  /**
+   * Get the type name used by the is operator
+   * @param {*} value - Any JSON value
+   * @returns {string} - string, number, boolean, array, object or null
+   */
+  static getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+  
+  /**
+   * Compare two @sort keys: numbers (including numeric strings, as in @where), then strings,
+   * then booleans, then null, arrays and objects. The direction only reverses values of the same type,
+   * so null still sorts after every number in descending order (like items without the field)
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @param {number} [direction=1] - 1 for ascending, -1 for descending
+   * @returns {number} - Negative, zero or positive
+   */
+  static compareSortValues(a, b, direction = 1) {
+    const numA = typeof a === 'string' ? QueryPipeline.toFilterNumber(a, false) : null;
+    const numB = typeof b === 'string' ? QueryPipeline.toFilterNumber(b, false) : null;
+    if (numA !== null) a = numA;
+    if (numB !== null) b = numB;
+    
+    const typeA = QueryPipeline.getValueType(a);
+    const typeB = QueryPipeline.getValueType(b);
+    if (typeA !== typeB) {
+      return SORT_TYPE_ORDER.indexOf(typeA) - SORT_TYPE_ORDER.indexOf(typeB);
+    }
+    
+    if (typeA === 'number' || typeA === 'boolean') {
+      return direction * (Number(a) - Number(b));
+    }
+    if (typeA === 'string') {
+      return direction * a.localeCompare(b, undefined, { numeric: true });
+    }
+    return 0; // null, arrays and objects keep their order
+  }
+  
+  /**
+   * Resolve relative path from a base path
+   * @param {Array} basePath - JSONPath array (e.g., ['$', 'users', 0, 'address'])
+   * @param {string} relativePath - Relative path (e.g., '../email' or '../../name')
+   * @returns {string} - Resolved absolute JSONPath
+   */
+  static resolveRelativePath(basePath, relativePath) {
+    if (!relativePath.startsWith('../') && !relativePath.startsWith('./')) {
+      // Already absolute or simple field name
+      return relativePath;
+    }
+    
+    // Count how many levels to go up
+    const upLevels = (relativePath.match(/\.\.\//g) || []).length;
+    const fieldPath = relativePath.replace(/^(\.\.\/)+/, '').replace(/^\.\//, '');
+    
+    // Navigate up the base path
+    // Each "../" removes one path segment from the end
+    // For ../../id from rate_data[0].source:
+    //   Start: ['$', 'hotel_data', 0, 'room_data', 0, 'rate_data', 0, 'source']
+    //   After ../: ['$', 'hotel_data', 0, 'room_data', 0, 'rate_data', 0]
+    //   After ../: ['$', 'hotel_data', 0, 'room_data', 0, 'rate_data']
+    //   Hmm, that gives rate_data.id, not room_data[0].id
+    //
+    // Actually, ../ should go to the parent OBJECT, so:
+    //   ../ from rate_data[0].source → rate_data[0]
+    //   ../ from rate_data[0] → room_data[0] (skip over rate_data field AND its index)
+    // 
+    // So we need to skip backwards more intelligently:
+    // - If current is a field name, remove it and any index before it
+    // - If current is an index, remove it and the field before it
+    
+    let newPath = [...basePath];
+    
+    for (let i = 0; i < upLevels; i++) {
+      if (newPath.length <= 1) break; // Don't go past '$'
+      
+      const last = newPath[newPath.length - 1];
+      
+      if (typeof last === 'string' && last !== '$') {
+        // Last element is a field name - remove it
+        newPath.pop();
+        // If the element before it is an index, we're done (we're now at parent[index])
+        // If the element before it is NOT an index, remove it too (go up another level)
+        if (newPath.length > 1 && typeof newPath[newPath.length - 1] !== 'number') {
+          // No index, so remove the parent field too to go up to grandparent
+          newPath.pop();
+        }
+      } else if (typeof last === 'number') {
+        // Last element is an index - remove it and the field before it
+        newPath.pop();
+        if (newPath.length > 1 && typeof newPath[newPath.length - 1] === 'string') {
+          newPath.pop();
+        }
+      }
+    }
+    
+    // Build the resolved path string
+    let resolved = QueryExecutor.pathArrayToString(newPath);
+    
+    // Append the field path
+    if (fieldPath) {
+      if (fieldPath.startsWith('[')) {
+        resolved += fieldPath;
+      } else {
+        resolved += '.' + fieldPath;
+      }
+    }
+    
+    return resolved;
+  }
+  
+  /**
+   * Resolve wildcards in label query by matching indices from result path
+   * @param {Array} resultPath - Actual result path with indices (e.g., ['$', 'parents', 0, 'child', 1, 'name'])
+   * @param {string} labelQuery - Label query with wildcards (e.g., '$.parents[*].name')
+   * @returns {string} - Label query with wildcards replaced by actual indices
+   */
+  static resolveWildcardIndices(resultPath, labelQuery) {
+    // If no wildcards in label query, return as-is
+    if (!labelQuery.includes('[*]')) {
+      return labelQuery;
+    }
+    
+    // Build a list of (fieldName, index) pairs in order from the result path
+    const pathIndices = [];
+    for (let i = 0; i < resultPath.length; i++) {
+      const part = resultPath[i];
+      if (typeof part === 'number' && i > 0) {
+        // This is an array index, map it to the previous field name
+        const fieldName = resultPath[i - 1];
+        if (typeof fieldName === 'string') {
+          pathIndices.push({ field: fieldName, index: part });
+        }
+      }
+    }
+    
+    // Now replace wildcards in the label query in order
+    let resolved = labelQuery;
+    let pathIndexPos = 0; // Track position in pathIndices
+    
+    // Process wildcards one at a time, left to right
+    while (resolved.includes('[*]') && pathIndexPos < pathIndices.length) {
+      // Find the next [*] wildcard
+      const wildcardPos = resolved.indexOf('[*]');
+      if (wildcardPos === -1) break;
+      
+      // Find the field name before [*]
+      // Work backwards from wildcardPos to find the field name
+      // Handle both dot notation (.field[*]) and bracket notation (['field'][*])
+      let fieldStart = wildcardPos - 1;
+      let inBracket = false;
+      let inQuote = false;
+      let quoteChar = null;
+      
+      while (fieldStart >= 0) {
+        const char = resolved[fieldStart];
+        
+        // Track if we're inside quotes
+        if ((char === '"' || char === "'") && (fieldStart === 0 || resolved[fieldStart - 1] !== '\\')) {
+          if (!inQuote) {
+            inQuote = true;
+            quoteChar = char;
+          } else if (char === quoteChar) {
+            inQuote = false;
+            quoteChar = null;
+          }
+        }
+        
+        // If we hit an opening bracket and we're not in a quote, we're done
+        if (char === '[' && !inQuote) {
+          inBracket = true;
+          fieldStart++;
+          break;
+        }
+        
+        // If we hit a dot and we're not in bracket/quote, we're done
+        if (char === '.' && !inQuote && !inBracket) {
+          fieldStart++;
+          break;
+        }
+        
+        fieldStart--;
+      }
+      
+      if (fieldStart < 0) fieldStart = 0;
+      
+      let fieldName = resolved.substring(fieldStart, wildcardPos);
+      
+      // Clean up the field name - remove quotes and brackets
+      fieldName = fieldName.replace(/^\[['"]?/, '').replace(/['"]?\]?$/, '').trim();
+      
+      // Find matching index from pathIndices
+      let matchingIndex = null;
+      for (let i = pathIndexPos; i < pathIndices.length; i++) {
+        if (pathIndices[i].field === fieldName) {
+          matchingIndex = pathIndices[i].index;
+          pathIndexPos = i + 1; // Move to next index for next wildcard
+          break;
+        }
+      }
+      
+      // Replace [*] with actual index
+      if (matchingIndex !== null) {
+        resolved = resolved.substring(0, wildcardPos) + 
+                   `[${matchingIndex}]` + 
+                   resolved.substring(wildcardPos + 3); // 3 = length of "[*]"
+      } else {
+        // No matching index found, leave as is and break to avoid infinite loop
+        break;
+      }
+    }
+    
+    return resolved;
+  }
+  
+  /**
+   * Run a full query: JSONPath, then @where filtering, @sort, @offset/@limit, @select and aggregates for wildcard results
+   * @param {string} query - Full query string (may contain | @label=... | @where=... | @sort=... | @select=... | @sum=...)
+   * @returns {object} - Parsed query parts plus { success, isWildcard, data, items, basePath, total, aggregation, aggregate, error }
+   * @throws {WhereSyntaxError} If the where filter is malformed
+   * @throws {Error} If a @sort, @limit, @offset, @select or aggregate stage is malformed
+   */
+  run(query) {
+    const parsed = QueryPipeline.parseQueryWithLabel(query);
+    if (parsed.whereFilter) {
+      WhereParser.parse(parsed.whereFilter); // Throws WhereSyntaxError before any work is done
+    }
+    const stages = QueryPipeline.parseStages(parsed);
+    const result = this.queryExecutor.execute(parsed.mainQuery);
+    
+    if (!result.success) {
+      return { ...parsed, success: false, error: result.error || null, suggestions: result.suggestions || [] };
+    }
+    
+    if (!result.isWildcard || !Array.isArray(result.data)) {
+      return { ...parsed, success: true, isWildcard: false, data: result.data };
+    }
+    
+    const { ordering, aggregation } = stages;
+    const target = this.resolveFilterTarget(parsed.mainQuery, result.data, parsed.whereFilter, ordering && ordering.sort);
+    const items = this.applyFilters(target.results, parsed.whereFilter, target.displayFieldName, stages);
+    
+    return {
+      ...parsed,
+      success: true,
+      isWildcard: true,
+      basePath: target.query,
+      total: target.results.length,
+      items,
+      aggregation,
+      aggregate: aggregation ? this.aggregate(items, aggregation) : undefined
+    };
+  }
+  
+  /**
+   * Smart filtering: if user is filtering (or sorting) on a field but queried the field itself,
+   * automatically query the parent object and filter on that
+   * @param {string} mainQuery - The JSONPath part of the query
+   * @param {Array} results - Wildcard results from QueryExecutor.execute
+   * @param {string|null} whereFilter - The @where condition
+   * @param {object|null} [sort] - Parsed @sort stage ({ field, path, descending })
+   * @returns {object} - { results, query, displayFieldName }
+   */
+  resolveFilterTarget(mainQuery, results, whereFilter, sort = null) {
+    let actualResults = results;
+    let actualQuery = mainQuery;
+    let displayFieldName = null;
+    
+    if ((whereFilter || sort) && results.length > 0) {
+      // Check if results are primitives (not objects)
+      const firstResult = results[0];
+      const isPrimitive = typeof firstResult.value !== 'object' || firstResult.value === null;
+      
+      if (isPrimitive) {
+        // Extract the (first) field name from the where filter, or the sort field
+        const sortField = sort && /^[a-zA-Z_$][\w]*$/.test(sort.field) ? sort.field : null;
+        const fieldName = (whereFilter && QueryPipeline.getFirstFilterField(whereFilter)) || sortField;
+        if (fieldName) {
+          
+          // Try to construct parent query by removing the last field access
+          // Handle both $.path.to.field and $.path.to[*].field patterns
+          let parentQuery = mainQuery;
+          
+          // Remove the field from the end
+          if (parentQuery.endsWith(`.${fieldName}`)) {
+            parentQuery = parentQuery.substring(0, parentQuery.length - fieldName.length - 1);
+          } else if (parentQuery.endsWith(`['${fieldName}']`)) {
+            parentQuery = parentQuery.substring(0, parentQuery.length - fieldName.length - 4);
+          } else if (parentQuery.endsWith(`["${fieldName}"]`)) {
+            parentQuery = parentQuery.substring(0, parentQuery.length - fieldName.length - 4);
+          }
+          
+          // Re-execute with parent query
+          const parentResult = this.queryExecutor.execute(parentQuery);
+          if (parentResult.success && parentResult.isWildcard && Array.isArray(parentResult.data)) {
+            // Check if first result is now an object
+            if (parentResult.data.length > 0 && typeof parentResult.data[0].value === 'object') {
+              actualResults = parentResult.data;
+              actualQuery = parentQuery;
+              displayFieldName = fieldName; // Remember to extract this field after filtering
+            }
+          }
+        }
+      }
+    }
+    
+    return { results: actualResults, query: actualQuery, displayFieldName };
+  }
+  
+  /**
+   * Get the first field a where filter compares, if it's a plain field name
+   * @param {string} whereFilter - The @where condition
+   * @returns {string|null} - Field name, or null (relative path or malformed filter)
+   */
+  static getFirstFilterField(whereFilter) {
+    try {
+      const field = WhereParser.getFields(WhereParser.parse(whereFilter))[0];
+      return /^[a-zA-Z_$][\w]*$/.test(field) ? field : null;
+    } catch (e) {
+      return null; // Reported when the filter is applied
+    }
+  }
+  
+  /**
+   * Convert paths to arrays, apply the where filter and ordering, and extract the display field (or @select columns)
+   * @param {Array} results - Wildcard results ({ path, value })
+   * @param {string|null} whereFilter - The @where condition
+   * @param {string|null} displayFieldName - Field to extract from each matching object
+   * @param {object} [stages] - Parsed stages from parseStages ({ ordering, selection } are used here)
+   * @returns {Array} - Filtered results with array paths
+   * @throws {WhereSyntaxError} If the where filter is malformed
+   */
+  applyFilters(results, whereFilter = null, displayFieldName = null, stages = {}) {
+    const { ordering = null, selection = null } = stages;
+    
+    // jsonpath-plus returns paths as strings when using resultType: 'all'
+    // We need to convert them back to arrays for label processing
+    // Format: "$['field1']['field2'][0]['field3']" -> ['$', 'field1', 'field2', 0, 'field3']
+    const resultsWithArrayPaths = results.map(item => {
+      if (typeof item.path === 'string') {
+        return { ...item, path: QueryPipeline.parsePathString(item.path) };
+      }
+      return item;
+    });
+    
+    // Parse once up front - a malformed filter throws instead of matching everything
+    const whereTree = whereFilter ? WhereParser.parse(whereFilter) : null;
+    const matchingResults = whereTree
+      ? resultsWithArrayPaths.filter(item => this.evaluateWhereCondition(item.value, item.path, whereTree))
+      : resultsWithArrayPaths;
+    
+    // Sort and page before extracting the display field, so sort fields resolve against the whole item
+    const filteredResults = ordering ? this.orderResults(matchingResults, ordering) : matchingResults;
+    
+    // @select builds a new object per result (replacing the display field)
+    if (selection) {
+      return this.projectResults(filteredResults, selection);
+    }
+    
+    // If displayFieldName is provided, extract that field from each filtered result
+    return displayFieldName
+      ? filteredResults.map(item => ({
+          path: item.path,
+          value: item.value && typeof item.value === 'object' ? item.value[displayFieldName] : item.value
+        }))
+      : filteredResults;
+  }
+  
+  /**
+   * Sort results by a field, then skip @offset items and keep @limit
+   * @param {Array} items - Results with array paths
+   * @param {object} ordering - Parsed @sort/@limit/@offset stages (see parseOrdering)
+   * @returns {Array} - Ordered page of results (null keys and items without the sort field go last)
+   */
+  orderResults(items, ordering) {
+    let ordered = items;
+    
+    if (ordering.sort) {
+      const { field, path, descending } = ordering.sort;
+      const direction = descending ? -1 : 1;
+      
+      // Resolve each key once - ../ fields run a JSONPath query per item
+      ordered = items
+        .map(item => ({ item, key: this.resolveFieldValue(item.value, item.path, field, path) }))
+        .sort((a, b) => {
+          if (!a.key.found || !b.key.found) {
+            return Number(!a.key.found) - Number(!b.key.found);
+          }
+          return QueryPipeline.compareSortValues(a.key.value, b.key.value, direction);
+        })
+        .map(entry => entry.item);
+    }
+    
+    const start = ordering.offset;
+    const end = ordering.limit !== null ? start + ordering.limit : undefined;
+    return ordered.slice(start, end);
+  }
+  
+  /**
+   * Reshape results into objects holding just the @select columns
+   * @param {Array} items - Results with array paths
+   * @param {Array} selection - Columns from parseSelect
+   * @returns {Array} - Results with the same paths and { key: value } objects (null for missing fields)
+   */
+  projectResults(items, selection) {
+    return items.map(item => ({
+      path: item.path,
+      value: Object.fromEntries(selection.map(column => {
+        const field = this.resolveFieldValue(item.value, item.path, column.field, column.path);
+        return [column.key, field.found ? field.value : null];
+      }))
+    }));
+  }
+  
+  /**
+   * Compute an aggregate over (filtered) wildcard results
+   * @param {Array} items - Results with array paths
+   * @param {object} aggregation - Result of parseAggregation
+   * @returns {*} - The aggregate, or an object of aggregates keyed by group (in order of first appearance)
+   */
+  aggregate(items, aggregation) {
+    const { operation, target, groupBy } = aggregation;
+    if (!groupBy) {
+      return QueryPipeline.reduceValues(operation, this.collectValues(items, target));
+    }
+    
+    const groups = new Map();
+    for (const item of items) {
+      const key = this.resolveFieldValue(item.value, item.path, groupBy.field, groupBy.path);
+      const groupKey = key.found ? QueryPipeline.formatLabelValue(key.value) : '(missing)';
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, []);
+      }
+      groups.get(groupKey).push(item);
+    }
+    
+    // fromEntries keeps keys like __proto__ as plain properties
+    return Object.fromEntries(
+      Array.from(groups, ([groupKey, groupItems]) => [groupKey, QueryPipeline.reduceValues(operation, this.collectValues(groupItems, target))])
+    );
+  }
+  
+  /**
+   * Get the values an aggregate runs over
+   * @param {Array} items - Results with array paths
+   * @param {object|null} target - Parsed field ({ field, path }), or null for the items themselves
+   * @returns {Array} - Values of the items that have the field
+   */
+  collectValues(items, target) {
+    if (!target) {
+      return items.map(item => item.value).filter(value => value !== undefined);
+    }
+    
+    return items
+      .map(item => this.resolveFieldValue(item.value, item.path, target.field, target.path))
+      .filter(result => result.found)
+      .map(result => result.value);
+  }
+  
+  /**
+   * Reduce values with an aggregate operation
+   * @param {string} operation - count, sum, avg, min, max or distinct
+   * @param {Array} values - Values to aggregate
+   * @returns {*} - count/sum are numbers; avg/min/max are null without numbers (min/max fall back to strings);
+   *   distinct is an array in order of first appearance
+   */
+  static reduceValues(operation, values) {
+    const numbers = values
+      .map(value => typeof value === 'number' ? value : (typeof value === 'string' ? QueryPipeline.toFilterNumber(value, false) : null))
+      .filter(number => number !== null);
+    
+    switch (operation) {
+      case 'count':
+        return values.length;
+      case 'sum':
+        return numbers.reduce((total, number) => total + number, 0);
+      case 'avg':
+        return numbers.length > 0 ? numbers.reduce((total, number) => total + number, 0) / numbers.length : null;
+      case 'min':
+      case 'max': {
+        const candidates = numbers.length > 0 ? numbers : values.filter(value => typeof value === 'string');
+        if (candidates.length === 0) return null;
+        const sign = operation === 'min' ? 1 : -1;
+        return candidates.reduce((best, value) => sign * QueryPipeline.compareSortValues(value, best) < 0 ? value : best);
+      }
+      case 'distinct': {
+        const seen = new Map();
+        for (const value of values) {
+          const key = typeof value === 'object' && value !== null ? JSON.stringify(value) : `${typeof value}:${value}`;
+          if (!seen.has(key)) seen.set(key, value);
+        }
+        return Array.from(seen.values());
+      }
+      default:
+        throw new Error(`Unknown aggregate: @${operation}`);
+    }
+  }
+  
+  /**
+   * Resolve the label for a wildcard result
+   * @param {Array} itemPath - JSONPath array of the result
+   * @param {string} labelQuery - Label query (relative, wildcard or absolute path)
+   * @param {object} [labelCache] - Cache of resolved labels keyed by absolute path
+   * @returns {string|null} - Label text, or null if the label path has no value
+   */
+  resolveLabel(itemPath, labelQuery, labelCache = {}) {
+    let absoluteLabelPath;
+    
+    // Check if label query uses relative paths or wildcards
+    if (labelQuery.startsWith('../') || labelQuery.startsWith('./')) {
+      // Relative path - resolve from result path
+      absoluteLabelPath = QueryPipeline.resolveRelativePath(itemPath, labelQuery);
+    } else if (labelQuery.includes('[*]')) {
+      // Wildcard path - substitute actual indices from result path
+      absoluteLabelPath = QueryPipeline.resolveWildcardIndices(itemPath, labelQuery);
+    } else if (!labelQuery.startsWith('$') && PathExtractor.parseFieldPath(labelQuery)) {
+      // Field path (address.city, ['content-type'], tags[0]) - relative to the result item
+      absoluteLabelPath = QueryExecutor.pathArrayToString([...itemPath, ...PathExtractor.parseFieldPath(labelQuery)]);
+    } else {
+      // Absolute path without wildcards - use as-is
+      absoluteLabelPath = labelQuery;
+    }
+    
+    // Check cache first
+    if (labelCache[absoluteLabelPath]) {
+      return labelCache[absoluteLabelPath];
+    }
+    
+    // Execute the label query to get the label value
+    const labelResult = this.queryExecutor.execute(absoluteLabelPath);
+    if (!labelResult.success || labelResult.data === undefined) {
+      return null;
+    }
+    
+    const labelValue = QueryPipeline.formatLabelValue(labelResult.data);
+    labelCache[absoluteLabelPath] = labelValue;
+    return labelValue;
+  }
+  
+  /**
+   * Format a label value based on its type
+   * @param {*} data - Value found at the label path
+   * @returns {string} - Compact label text
+   */
+  static formatLabelValue(data) {
+    if (typeof data === 'string') {
+      return data;
+    }
+    if (typeof data === 'number' || typeof data === 'boolean') {
+      return String(data);
+    }
+    if (data === null) {
+      return 'null';
+    }
+    if (Array.isArray(data)) {
+      // For arrays, show compact representation
+      if (data.length === 0) {
+        return '[]';
+      }
+      if (data.length === 1) {
+        // Single item - extract it
+        const singleItem = data[0];
+        if (singleItem !== null && typeof singleItem === 'object') {
+          // Single object in array - try to extract identifier
+          if (singleItem.id) return String(singleItem.id);
+          if (singleItem.name) return String(singleItem.name);
+          return JSON.stringify(singleItem);
+        }
+        return QueryPipeline.formatLabelValue(singleItem);
+      }
+      // Multiple items
+      return `[${data.length} items]`;
+    }
+    if (typeof data === 'object') {
+      // For objects, try to find a useful identifier
+      if (data.id) return String(data.id);
+      if (data.name) return String(data.name);
+      if (data.email) return String(data.email);
+      if (data.title) return String(data.title);
+      // Show keys as hint
+      const keys = Object.keys(data).slice(0, 3).join(', ');
+      return `{${keys}${Object.keys(data).length > 3 ? '...' : ''}}`;
+    }
+    return String(data);
+  }
+}
+
+module.exports = { QueryPipeline };
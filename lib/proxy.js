@@ -8,6 +8,7 @@ const tls = require('tls');
 const zlib = require('zlib');
 const { getColor } = require('./config');
 const { CertificateManager } = require('./certs');
+const { JSONDiff } = require('./diff');
 
 // ============= HTTP PROXY SERVER =============
 
@@ -34,6 +35,69 @@ class ProxyServer {
     this.capturedResponses = [];
     this.maxCapturedResponses = 100; // Limit to prevent memory issues
     this.certManager = null;
+    this.contracts = []; // { hostPattern, regex, validator, name } - response bodies are checked as they arrive
+    this.contractViolations = new WeakMap(); // Captured response -> violations of its host's contract
+  }
+  
+  /**
+   * Check response bodies from matching hosts against a JSON Schema as they are captured
+   * 
+   * @param {string} hostPattern - Host name, * for any part of it (*.example.com), or * for every host
+   * @param {SchemaValidator} validator - Validator for the contract's schema
+   * @param {string} name - Shown in reports (usually the schema file)
+   * @returns {void}
+   */
+  addContract(hostPattern, validator, name) {
+    const regex = new RegExp('^' + hostPattern
+      .replace(/[.+^${}()|[\]\\?]/g, '\\$&')
+      .replace(/\*/g, '.*') + '$', 'i');
+    this.contracts.push({ hostPattern, regex, validator, name });
+  }
+  
+  /**
+   * Find the contract for a request URL (the first added pattern that matches its host wins)
+   * 
+   * @param {string} requestUrl - URL of a captured request
+   * @returns {Object|null} Contract, or null if no pattern matches
+   */
+  findContract(requestUrl) {
+    const hostname = url.parse(requestUrl).hostname || '';
+    return this.contracts.find(contract => contract.regex.test(hostname)) || null;
+  }
+  
+  /**
+   * Validate a newly captured response against its host's contract and print any violations
+   * 
+   * @param {Object} captured - Captured request/response
+   * @param {number} number - Response number shown to the user
+   * @returns {void}
+   */
+  checkContract(captured, number) {
+    const contract = this.findContract(captured.request.url);
+    if (!contract) return;
+    
+    let violations;
+    try {
+      violations = contract.validator.validate(captured.response.body, ['$', 'response', 'body']);
+    } catch (error) {
+      console.log(getColor('error')(`  ❌ Can't check contract ${contract.name}: ${error.message}\n`));
+      return;
+    }
+    this.contractViolations.set(captured, violations);
+    
+    if (violations.length === 0) {
+      console.log(getColor('success')(`  ✓ Matches contract ${contract.name}\n`));
+      return;
+    }
+    
+    console.log(getColor('error')(`  ✗ Response #${number} breaks contract ${contract.name} (${violations.length} violation${violations.length === 1 ? '' : 's'}):`));
+    violations.slice(0, 5).forEach(violation => {
+      console.log(getColor('warning')(`    ${violation.path}`) + getColor('dim')(` ${violation.keyword}: ${violation.message}`));
+    });
+    if (violations.length > 5) {
+      console.log(getColor('dim')(`    ... and ${violations.length - 5} more - type '${number}', then :validate to list them all`));
+    }
+    console.log('');
   }
   
   /**
@@ -136,6 +200,8 @@ class ProxyServer {
         } else {
           console.log(getColor('warning')(`⚠️  Invalid response number. Available: 1-${this.capturedResponses.length}`));
         }
+      } else if (/^diff(\s|$)/.test(trimmed)) {
+        this.printResponseDiff(trimmed.substring(4).trim());
       } else if (trimmed === 'list' || trimmed === 'ls') {
         this.listResponses();
       } else if (trimmed === 'clear') {
@@ -145,6 +211,7 @@ class ProxyServer {
         console.log(getColor('info')('Available commands:'));
         console.log(getColor('prompt')('  <number>  - Analyze captured response by number'));
         console.log(getColor('prompt')('  list, ls   - List all captured responses'));
+        console.log(getColor('prompt')('  diff 3 7   - Compare two responses (add --key id to pair array elements by id)'));
         console.log(getColor('prompt')('  clear      - Clear captured responses'));
         console.log(getColor('prompt')('  help       - Show this help'));
         console.log(getColor('prompt')('  exit, quit - Stop the proxy'));
@@ -174,6 +241,85 @@ class ProxyServer {
     });
   }
   
+  /**
+   * Print the differences between two captured responses
+   * 
+   * @param {string} args - Two response numbers, optionally followed by --key <field>
+   * @returns {void}
+   */
+  printResponseDiff(args) {
+    const match = args.match(/^(\d+)\s+(\d+)(?:\s+--key\s+(\S+))?$/);
+    if (!match) {
+      console.log(getColor('warning')('⚠️  Usage: diff <number> <number> [--key <field>]'));
+      return;
+    }
+    
+    const [first, second] = [parseInt(match[1], 10), parseInt(match[2], 10)];
+    let changes;
+    try {
+      changes = this.diffResponses(first, second, { arrayKey: match[3] || null });
+    } catch (error) {
+      console.log(getColor('warning')(`⚠️  ${error.message}`));
+      return;
+    }
+    
+    console.log(getColor('success')(`\n✓ Changes from response #${first} to #${second}:`));
+    [first, second].forEach(number => {
+      const captured = this.getResponse(number);
+      console.log(getColor('dim')(`  #${number}: ${captured.request.method} ${captured.request.url} → ${captured.response.statusCode}`));
+    });
+    console.log('');
+    JSONDiff.formatLines(changes, (text, type) => getColor(type)(text), 200).forEach(line => console.log(`  ${line}`));
+    console.log(getColor('info')(`\n  ${JSONDiff.describe(changes)}\n`));
+  }
+  
+  /**
+   * Structurally compare two captured responses: request method, URL, query, headers and body,
+   * then response status, headers and body
+   * 
+   * @param {number} first - Response number (1-based, as in the list)
+   * @param {number} second - Response number to compare it with
+   * @param {Object} [options] - JSONDiff.compare options (e.g. arrayKey)
+   * @returns {Array<Object>} Changes, with paths like $.request.query.page or $.response.body.items[0]
+   * @throws {Error} If either number isn't a captured response
+   */
+  diffResponses(first, second, options = {}) {
+    const [oldExchange, newExchange] = [first, second].map(number => {
+      const captured = this.getResponse(number);
+      if (!captured) {
+        throw new Error(`No response #${number}. Available: ${this.capturedResponses.length > 0 ? `1-${this.capturedResponses.length}` : 'none yet'}`);
+      }
+      return ProxyServer.toComparable(captured);
+    });
+    return JSONDiff.compare(oldExchange, newExchange, options);
+  }
+  
+  /**
+   * Reshape a captured response for comparison - the query string is split into its parameters
+   * so a changed parameter shows up as one path rather than as a different URL
+   * 
+   * @static
+   * @param {Object} captured - Entry of capturedResponses
+   * @returns {{request: Object, response: Object}}
+   */
+  static toComparable(captured) {
+    const parsedUrl = url.parse(captured.request.url, true);
+    return {
+      request: {
+        method: captured.request.method,
+        url: captured.request.url.split('?')[0],
+        query: { ...parsedUrl.query },
+        headers: captured.request.headers,
+        body: captured.request.body
+      },
+      response: {
+        statusCode: captured.response.statusCode,
+        headers: captured.response.headers,
+        body: captured.response.body
+      }
+    };
+  }
+  
   analyzeResponse(index) {
     const captured = this.capturedResponses[index];
     if (!captured) return;
@@ -198,7 +344,7 @@ class ProxyServer {
       }
       
       console.log(getColor('info')('\n🎨 Launching TUI mode...\n'));
-      this.launchTUI(captured);
+      this.launchTUI(captured, jsonString);
       
     } catch (error) {
       console.log(getColor('error')(`\n❌ Failed to display JSON: ${error.message}\n`));
@@ -207,7 +353,7 @@ class ProxyServer {
     }
   }
   
-  launchTUI(jsonData) {
+  launchTUI(jsonData, jsonString) {
     // Close proxy readline
     if (this.rl) {
       this.rl.close();
@@ -215,7 +361,8 @@ class ProxyServer {
     
     // Launch the full TUI with the captured JSON
     const { JojqTUI } = require('../index.tui');
-    const tui = new JojqTUI(jsonData, true); // Pass true for proxyMode
+    // proxyMode, plus the server for :diff between captured responses and the text for the path worker
+    const tui = new JojqTUI(jsonData, true, this, { text: Buffer.from(jsonString), format: 'json' });
     tui.init(); // Initialize the TUI (creates screen and UI)
     
     // When TUI exits, show exit prompt (only once)
@@ -764,6 +911,7 @@ class ProxyServer {
               console.log(getColor('info')(`  Status: ${proxyRes.statusCode}`));
               console.log(getColor('info')(`  Size: ${responseBody.length} bytes`));
               console.log(getColor('prompt')(`  Response #${this.capturedResponses.length} - Type '${this.capturedResponses.length}' to analyze\n`));
+              this.checkContract(capturedResponse, this.capturedResponses.length);
 
               // Notify callback if provided
               if (this.onResponseCaptured) {
@@ -957,6 +1105,7 @@ class ProxyServer {
               console.log(getColor('info')(`  Status: ${proxyRes.statusCode}`));
               console.log(getColor('info')(`  Size: ${responseBody.length} bytes`));
               console.log(getColor('prompt')(`  Response #${this.capturedResponses.length} - Type '${this.capturedResponses.length}' to analyze\n`));
+              this.checkContract(capturedResponse, this.capturedResponses.length);
               
               if (this.onResponseCaptured) {
                 this.onResponseCaptured(capturedResponse, this.capturedResponses.length);
@@ -1024,7 +1173,9 @@ class ProxyServer {
     this.capturedResponses.forEach((resp, idx) => {
       console.log(getColor('prompt')(`  [${idx + 1}] `) + 
                   getColor('info')(`${resp.request.method} ${resp.request.url}`));
-      console.log(getColor('dim')(`      Status: ${resp.response.statusCode} | ${resp.timestamp}`));
+      const violations = this.contractViolations.get(resp);
+      const contractNote = violations && violations.length > 0 ? getColor('error')(` | ✗ ${violations.length} contract violation${violations.length === 1 ? '' : 's'}`) : '';
+      console.log(getColor('dim')(`      Status: ${resp.response.statusCode} | ${resp.timestamp}`) + contractNote);
     });
     console.log(getColor('info')(`\nType 'jojq <number>' to analyze a response\n`));
   }
@@ -54,6 +54,13 @@ class QueryExecutor {
         return { success: false, suggestions: this.SearchEngine.fuzzySearchPaths(path).slice(0, 5) };
       }
       
+      // Plain paths (keys and indexes only) are looked up directly: jsonpath-plus reads a bracketed
+      // key with "," as a union and can't match keys containing "]" or escaped quotes
+      const exact = PathExtractor.manualTraverse(this.appState.jsonData, path);
+      if (exact !== undefined) {
+        return { success: true, data: exact, method: 'manual', isWildcard: false };
+      }
+      
       // Regular query
       let result = JSONPath({
         path: path,
@@ -62,26 +69,67 @@ class QueryExecutor {
       });
       
       if (result === undefined || result === null || (Array.isArray(result) && result.length === 0)) {
-        // Try manual traversal
-        const manualResult = PathExtractor.manualTraverse(this.appState.jsonData, path);
-        if (manualResult !== undefined) {
-          return { success: true, data: manualResult, method: 'manual', isWildcard: false };
-        }
         return { success: false, suggestions: this.SearchEngine.fuzzySearchPaths(path).slice(0, 5) };
       }
       
       return { success: true, data: result, method: 'jsonpath', isWildcard: false };
     } catch (error) {
-      // Try manual traversal as fallback
-      const manualResult = PathExtractor.manualTraverse(this.appState.jsonData, path);
-      if (manualResult !== undefined) {
-        return { success: true, data: manualResult, method: 'manual', isWildcard: false };
-      }
-      
       return { success: false, error: error.message, suggestions: this.SearchEngine.fuzzySearchPaths(path).slice(0, 5) };
     }
   }
   
+  /**
+   * Check a JSONPath query for syntax errors jsonpath-plus lets through
+   * (an unclosed "[" matches the whole document instead of failing)
+   * 
+   * @static
+   * @param {string} path - JSONPath query string
+   * @returns {string|null} Description of the first problem, or null if the brackets, parentheses and quotes balance
+   */
+  static findSyntaxError(path) {
+    const open = []; // Positions of unclosed "[" and "("
+    let quote = null;
+    let quoteStart = 0;
+    
+    for (let i = 0; i < path.length; i++) {
+      const char = path[i];
+      
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if ((char === "'" || char === '"') && open.length > 0) {
+        quote = char;
+        quoteStart = i;
+      } else if (char === '[' || char === '(') {
+        if (char === '[' && path[i + 1] === ']') {
+          return `Empty "[]" at character ${i}`;
+        }
+        open.push(i);
+      } else if (char === ']' || char === ')') {
+        const opening = open.length > 0 ? path[open[open.length - 1]] : null;
+        if (opening !== (char === ']' ? '[' : '(')) {
+          return `Unexpected "${char}" at character ${i}`;
+        }
+        open.pop();
+      }
+    }
+    
+    if (quote) {
+      return `Unterminated string at character ${quoteStart}`;
+    }
+    if (open.length > 0) {
+      const position = open[open.length - 1];
+      return `Unclosed "${path[position]}" at character ${position}`;
+    }
+    if (path.endsWith('.')) {
+      return 'Query ends with "." (missing a field name)';
+    }
+    return null;
+  }
+  
   static pathArrayToString(pathArray) {
     // Convert JSONPath array format to string
     // e.g., ['$', 'getHotelExpress.Results', 'hotel_data', 0, 'id'] => "$['getHotelExpress.Results'].hotel_data[0].id"
@@ -93,17 +141,9 @@ class QueryExecutor {
       
       if (i === 0 && part === '$') {
         result = '$';
-      } else if (typeof part === 'number') {
-        // Array index
-        result += `[${part}]`;
-      } else if (typeof part === 'string') {
-        // Check if the key needs bracket notation (contains dots, spaces, or special chars)
-        if (part.includes('.') || part.includes(' ') || part.includes('[') || part.includes(']')) {
-          result += `['${part}']`;
-        } else {
-          // Simple property - use dot notation
-          result += `.${part}`;
-        }
+      } else if (typeof part === 'number' || typeof part === 'string') {
+        // Same notation as the extracted paths (see PathExtractor.buildPath)
+        result = PathExtractor.buildPath(result, part);
       }
     }
     
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+// ============= JSON SCHEMA INFERENCE =============
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * String formats recognized when every string at a path matches, in order of preference
+ */
+const STRING_FORMATS = [
+  { name: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/ },
+  { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { name: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { name: 'uri', pattern: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i }
+];
+
+/**
+ * SchemaInference - Infer a JSON Schema (draft 2020-12) from a sample document
+ *
+ * @class
+ * @description Every value seen at a path is folded into one shape first, so all elements of an
+ * array share a single items schema: a property is required when every object there has it, a
+ * path that is sometimes null becomes nullable (type: ["string", "null"]), and a string format
+ * is only claimed when all the strings at that path match it
+ */
+class SchemaInference {
+  /**
+   * Infer a schema
+   *
+   * @static
+   * @param {*} data - Sample document
+   * @returns {Object} JSON Schema with $schema set to draft 2020-12
+   */
+  static infer(data) {
+    const shape = SchemaInference.createShape();
+    SchemaInference.observe(shape, data);
+    return { $schema: SCHEMA_DIALECT, ...SchemaInference.toSchema(shape) };
+  }
+
+  static createShape() {
+    return {
+      types: new Set(),
+      objectCount: 0, // Objects seen here - a property seen this many times is required
+      properties: new Map(), // key -> shape
+      items: null, // Shape shared by the elements of every array seen here
+      formats: null // Formats every string so far matches (null until the first string)
+    };
+  }
+
+  /**
+   * Fold a value into the shape of its path
+   *
+   * @static
+   * @param {Object} shape - Shape from createShape()
+   * @param {*} value - Value seen at the path
+   * @returns {void}
+   */
+  static observe(shape, value) {
+    const type = SchemaInference.typeOf(value);
+    shape.types.add(type);
+
+    if (type === 'object') {
+      shape.objectCount++;
+      for (const key of Object.keys(value)) {
+        if (!shape.properties.has(key)) {
+          shape.properties.set(key, { ...SchemaInference.createShape(), seen: 0 });
+        }
+        const property = shape.properties.get(key);
+        property.seen++;
+        SchemaInference.observe(property, value[key]);
+      }
+    } else if (type === 'array') {
+      if (!shape.items) {
+        shape.items = SchemaInference.createShape();
+      }
+      value.forEach(element => SchemaInference.observe(shape.items, element));
+    } else if (type === 'string') {
+      const candidates = shape.formats || STRING_FORMATS;
+      shape.formats = candidates.filter(format => format.pattern.test(value));
+    }
+  }
+
+  /**
+   * Turn a shape into a schema
+   *
+   * @static
+   * @param {Object} shape - Shape built by observe()
+   * @returns {Object} Schema ({} when nothing was seen, e.g. the items of empty arrays)
+   */
+  static toSchema(shape) {
+    const types = Array.from(shape.types);
+    if (types.length === 0) {
+      return {};
+    }
+
+    // Integers are numbers too, so a mix is just "number"; null goes last (["string", "null"])
+    const merged = (types.includes('number') ? types.filter(type => type !== 'integer') : types)
+      .sort((a, b) => (a === 'null') - (b === 'null'));
+    const schema = { type: merged.length === 1 ? merged[0] : merged };
+
+    if (shape.formats && shape.formats.length > 0) {
+      schema.format = shape.formats[0].name;
+    }
+
+    if (shape.objectCount > 0) {
+      schema.properties = {};
+      const required = [];
+      shape.properties.forEach((property, key) => {
+        schema.properties[key] = SchemaInference.toSchema(property);
+        if (property.seen === shape.objectCount) {
+          required.push(key);
+        }
+      });
+      if (required.length > 0) {
+        schema.required = required;
+      }
+    }
+
+    if (shape.items && shape.items.types.size > 0) {
+      schema.items = SchemaInference.toSchema(shape.items);
+    }
+
+    return schema;
+  }
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+}
+
+module.exports = { SchemaInference, SCHEMA_DIALECT, STRING_FORMATS };
@@ -14,6 +14,7 @@ class SearchEngine {
 
   searchInJSON(searchTerm) {
     const matches = [];
+    const keys = ['$']; // Path array of the value being visited
     
     const traverse = (obj, path) => {
       if (obj === null || obj === undefined) return;
@@ -22,6 +23,7 @@ class SearchEngine {
       if (valueStr.toLowerCase().includes(searchTerm.toLowerCase())) {
         matches.push({
           path: path,
+          pathArray: keys.slice(),
           value: obj,
           preview: this.createPreview(obj)
         });
@@ -29,12 +31,16 @@ class SearchEngine {
       
       if (Array.isArray(obj)) {
         obj.forEach((item, index) => {
+          keys.push(index);
           traverse(item, `${path}[${index}]`);
+          keys.pop();
         });
       } else if (typeof obj === 'object') {
         Object.keys(obj).forEach(key => {
           const newPath = PathExtractor.buildPath(path, key);
+          keys.push(key);
           traverse(obj[key], newPath);
+          keys.pop();
         });
       }
     };
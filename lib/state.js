@@ -1,5 +1,7 @@
 #!/usr/bin/env node
 
+const pathModule = require('path');
+
 // ============= APPLICATION STATE =============
 
 /**
@@ -20,6 +22,11 @@ class AppState {
     this.lastDisplayedPath = null;
     this.searchPage = 0; // Current page for search results
     this.searchPageSize = 20; // Items per page (can be overridden by config)
+    this.sourceFiles = []; // Files the JSON was loaded from (empty when piped via stdin)
+    this.inputFormat = 'json'; // Format the input was parsed from (json, ndjson, ...)
+    this.loadWarnings = []; // Recoverable problems found while parsing the input
+    this.inputBytes = null; // Size of the raw input, when known
+    this.loadProgress = null; // { bytesRead, totalBytes } while a streamed input is still loading
   }
 
   /**
@@ -32,6 +39,79 @@ class AppState {
     this.jsonData = data;
   }
 
+  /**
+   * Set the files the JSON data was loaded from
+   * 
+   * @param {string[]} files - File paths as given on the command line
+   * @returns {void}
+   */
+  setSourceFiles(files) {
+    this.sourceFiles = files || [];
+  }
+
+  /**
+   * Set how the input was parsed
+   * 
+   * @param {string} format - Input format (json, ndjson, ...)
+   * @param {string[]} [warnings] - Recoverable parse problems (e.g. skipped lines)
+   * @returns {void}
+   */
+  setInputInfo(format, warnings = []) {
+    this.inputFormat = format;
+    this.loadWarnings = warnings;
+  }
+
+  /**
+   * Set the size of the raw input
+   * 
+   * @param {number|null} bytes - Input size in bytes (null if unknown)
+   * @returns {void}
+   */
+  setInputSize(bytes) {
+    this.inputBytes = bytes;
+  }
+
+  /**
+   * Set streaming load progress
+   * 
+   * @param {{bytesRead: number, totalBytes: number|null}|null} progress - Progress, or null once loading finished
+   * @returns {void}
+   */
+  setLoadProgress(progress) {
+    this.loadProgress = progress;
+  }
+
+  /**
+   * Check if the input is still being loaded
+   * 
+   * @returns {boolean} True while a streamed input is loading
+   */
+  isLoading() {
+    return this.loadProgress !== null;
+  }
+
+  /**
+   * Get a display name for the loaded input
+   * 
+   * @returns {string|null} File name, "N files", or null for stdin input
+   */
+  getSourceName() {
+    if (this.sourceFiles.length === 0) return null;
+    if (this.sourceFiles.length === 1) return pathModule.basename(this.sourceFiles[0]);
+    return `${this.sourceFiles.length} files`;
+  }
+
+  /**
+   * Get the base name (without extension) used to name saved files
+   * 
+   * @returns {string|null} Base name of the single loaded file, or null
+   */
+  getSourceBaseName() {
+    if (this.sourceFiles.length !== 1) return null;
+    const fileName = pathModule.basename(this.sourceFiles[0]);
+    return fileName.replace(/\.[^.]+$/, '') || fileName;
+  }
+
   /**
    * Set all extracted paths from JSON
    * 
@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+
+const { StringDecoder } = require('string_decoder');
+const { PathExtractor } = require('./path');
+
+// ============= STREAMING JSON PARSER =============
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const NUMBER_CHARS = /[-+0-9.eE]*/y;
+const LITERALS = { t: ['true', true], f: ['false', false], n: ['null', null] };
+const CONTROL_CHAR = /[\u0000-\u001f]/;
+
+/**
+ * StreamingJSONParser - Incremental JSON parser for documents too large to buffer as one string
+ *
+ * @class
+ * @description Parses text chunk by chunk and builds the document in place: containers are
+ * attached to their parent as soon as they open, so `root` can be queried while parsing continues.
+ * JSONPath strings are indexed as values appear, with the same limits PathExtractor.extractPaths uses
+ */
+class StreamingJSONParser {
+  /**
+   * Create a streaming parser
+   *
+   * @param {Object} [options] - Path indexing options
+   * @param {number} [options.maxArrayItems=10] - Array items to index per array (a [*] path covers the rest)
+   * @param {number} [options.maxPaths] - Maximum number of paths to index (undefined = unlimited)
+   */
+  constructor(options = {}) {
+    this.maxArrayItems = options.maxArrayItems !== undefined ? options.maxArrayItems : 10;
+    this.maxPaths = options.maxPaths !== undefined ? options.maxPaths : Infinity;
+
+    this.root = undefined;
+    this.hasRoot = false;
+    this.complete = false;
+    this.stack = [];
+    this.buffer = '';
+    this.offset = 0; // Characters consumed before the start of the buffer (for error positions)
+    this.stringScanFrom = 0; // Resume point when a string spans several chunks
+    this.newPaths = [];
+    this.pathCount = 0;
+  }
+
+  /**
+   * Parse the next chunk of text
+   *
+   * @param {string} chunk - Next piece of the document
+   * @returns {void}
+   * @throws {SyntaxError} On malformed JSON
+   */
+  write(chunk) {
+    this.buffer += chunk;
+    this.parseBuffer(false);
+  }
+
+  /**
+   * Finish parsing
+   *
+   * @returns {*} The parsed document
+   * @throws {SyntaxError} If the document is incomplete
+   */
+  end() {
+    this.parseBuffer(true);
+    if (!this.complete) {
+      throw new SyntaxError('Unexpected end of JSON input');
+    }
+    return this.root;
+  }
+
+  /**
+   * Take the paths indexed since the last call
+   *
+   * @returns {string[]} New JSONPath strings, in document order
+   */
+  takePaths() {
+    const paths = this.newPaths;
+    this.newPaths = [];
+    return paths;
+  }
+
+  /**
+   * Parse a whole readable stream (no live access to the partial document)
+   *
+   * @static
+   * @param {stream.Readable} stream - Stream of JSON bytes
+   * @returns {Promise<*>} The parsed document
+   */
+  static parseStream(stream) {
+    return new Promise((resolve, reject) => {
+      const parser = new StreamingJSONParser({ maxPaths: 0 });
+      const decoder = new StringDecoder('utf8');
+
+      stream.on('data', (chunk) => {
+        try {
+          parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+        } catch (error) {
+          stream.destroy();
+          reject(error);
+        }
+      });
+      stream.on('end', () => {
+        try {
+          parser.write(decoder.end());
+          resolve(parser.end());
+        } catch (error) {
+          reject(error);
+        }
+      });
+      stream.on('error', reject);
+    });
+  }
+
+  parseBuffer(final) {
+    const text = this.buffer;
+    const length = text.length;
+    let pos = 0;
+
+    while (true) {
+      // Skip whitespace
+      let code = text.charCodeAt(pos);
+      while (code === 32 || code === 10 || code === 13 || code === 9) {
+        code = text.charCodeAt(++pos);
+      }
+      if (pos >= length) break;
+
+      const ch = text[pos];
+      const frame = this.stack[this.stack.length - 1];
+      let next;
+
+      if (!frame) {
+        if (this.hasRoot) this.fail(ch, pos);
+        next = this.parseValue(text, pos, final);
+      } else if (frame.isArray) {
+        if (frame.state === 'comma-or-end') {
+          if (ch === ',') {
+            frame.state = 'value';
+            next = pos + 1;
+          } else if (ch === ']') {
+            next = this.closeContainer(pos);
+          } else {
+            this.fail(ch, pos);
+          }
+        } else if (ch === ']' && frame.state === 'value-or-end') {
+          next = this.closeContainer(pos);
+        } else {
+          next = this.parseValue(text, pos, final);
+        }
+      } else if (frame.state === 'value') {
+        next = this.parseValue(text, pos, final);
+      } else if (frame.state === 'colon') {
+        if (ch !== ':') this.fail(ch, pos);
+        frame.state = 'value';
+        next = pos + 1;
+      } else if (frame.state === 'comma-or-end') {
+        if (ch === ',') {
+          frame.state = 'key';
+          next = pos + 1;
+        } else if (ch === '}') {
+          next = this.closeContainer(pos);
+        } else {
+          this.fail(ch, pos);
+        }
+      } else if (ch === '}' && frame.state === 'key-or-end') {
+        next = this.closeContainer(pos);
+      } else if (ch === '"') {
+        const end = this.findStringEnd(text, pos);
+        if (end === -1) break;
+        frame.key = this.decodeString(text, pos, end);
+        frame.state = 'colon';
+        next = end + 1;
+      } else {
+        this.fail(ch, pos);
+      }
+
+      if (next === -1) break; // Token continues in the next chunk
+      pos = next;
+    }
+
+    if (final && pos < length) {
+      throw new SyntaxError(`Unexpected end of JSON input at position ${this.offset + length}`);
+    }
+
+    this.offset += pos;
+    this.buffer = text.slice(pos);
+  }
+
+  /**
+   * Parse a value starting at pos
+   * @returns {number} Position after the value, or -1 if it continues in the next chunk
+   */
+  parseValue(text, pos, final) {
+    const ch = text[pos];
+
+    if (ch === '{') {
+      this.addValue({}, true, false);
+      return pos + 1;
+    }
+    if (ch === '[') {
+      this.addValue([], true, true);
+      return pos + 1;
+    }
+    if (ch === '"') {
+      const end = this.findStringEnd(text, pos);
+      if (end === -1) return -1;
+      this.addValue(this.decodeString(text, pos, end), false, false);
+      return end + 1;
+    }
+    if (ch === '-' || (ch >= '0' && ch <= '9')) {
+      NUMBER_CHARS.lastIndex = pos;
+      const end = pos + NUMBER_CHARS.exec(text)[0].length;
+      // A number at the end of the chunk may continue in the next one
+      if (end >= text.length && !final) return -1;
+
+      NUMBER_PATTERN.lastIndex = pos;
+      const match = NUMBER_PATTERN.exec(text);
+      if (!match || pos + match[0].length !== end) this.fail(ch, pos);
+      this.addValue(Number(match[0]), false, false);
+      return end;
+    }
+    if (LITERALS[ch]) {
+      const [word, value] = LITERALS[ch];
+      if (text.length - pos < word.length && !final && word.startsWith(text.slice(pos))) return -1;
+      if (!text.startsWith(word, pos)) this.fail(ch, pos);
+      this.addValue(value, false, false);
+      return pos + word.length;
+    }
+
+    this.fail(ch, pos);
+  }
+
+  /**
+   * Find the closing quote of the string starting at pos
+   * @returns {number} Index of the closing quote, or -1 if not in this chunk
+   */
+  findStringEnd(text, pos) {
+    let i = Math.max(pos + 1, this.stringScanFrom);
+
+    while (true) {
+      const quote = text.indexOf('"', i);
+      if (quote === -1) {
+        // Resume from here (relative to the string start) once more text arrives
+        this.stringScanFrom = text.length - pos;
+        return -1;
+      }
+
+      let backslashes = 0;
+      for (let j = quote - 1; text.charCodeAt(j) === 92; j--) backslashes++;
+      if (backslashes % 2 === 0) {
+        this.stringScanFrom = 0;
+        return quote;
+      }
+      i = quote + 1;
+    }
+  }
+
+  decodeString(text, start, end) {
+    const raw = text.slice(start, end + 1);
+    // Line breaks, tabs and other control characters must be escaped (as JSON.parse requires)
+    const control = raw.search(CONTROL_CHAR);
+    if (control !== -1) {
+      throw new SyntaxError(`Bad control character in string literal in JSON at position ${this.offset + start + control}`);
+    }
+    if (raw.indexOf('\\') === -1) {
+      return raw.slice(1, -1);
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      throw new SyntaxError(`Bad string in JSON at position ${this.offset + start}`);
+    }
+  }
+
+  /**
+   * Attach a value to its parent (or make it the root) and index its path
+   */
+  addValue(value, isContainer, isArray) {
+    const parent = this.stack[this.stack.length - 1];
+    let path = null;
+    let indexed = false;
+
+    if (!parent) {
+      this.root = value;
+      this.hasRoot = true;
+      path = '$';
+      indexed = true;
+      if (!isContainer) this.complete = true;
+    } else if (parent.isArray) {
+      const index = parent.value.length;
+      parent.value.push(value);
+      parent.state = 'comma-or-end';
+
+      if (parent.indexed) {
+        if (index < this.maxArrayItems) {
+          path = `${parent.path}[${index}]`;
+          indexed = true;
+        } else if (index === this.maxArrayItems) {
+          // Large array - the wildcard path stands in for the remaining items
+          this.recordPath(`${parent.path}[*]`);
+        }
+      }
+    } else {
+      if (parent.key === '__proto__') {
+        Object.defineProperty(parent.value, parent.key, { value, enumerable: true, writable: true, configurable: true });
+      } else {
+        parent.value[parent.key] = value;
+      }
+      parent.state = 'comma-or-end';
+
+      if (parent.indexed) {
+        path = PathExtractor.buildPath(parent.path, parent.key);
+        indexed = true;
+      }
+    }
+
+    if (indexed) {
+      this.recordPath(path);
+    }
+
+    if (isContainer) {
+      this.stack.push({
+        value,
+        isArray,
+        path,
+        indexed: indexed && this.pathCount < this.maxPaths,
+        state: isArray ? 'value-or-end' : 'key-or-end',
+        key: null
+      });
+    }
+  }
+
+  recordPath(path) {
+    if (this.pathCount >= this.maxPaths) return;
+    this.newPaths.push(path);
+    this.pathCount++;
+  }
+
+  closeContainer(pos) {
+    this.stack.pop();
+    if (this.stack.length === 0) {
+      this.complete = true;
+    }
+    return pos + 1;
+  }
+
+  fail(ch, pos) {
+    throw new SyntaxError(`Unexpected token ${ch} in JSON at position ${this.offset + pos}`);
+  }
+}
+
+module.exports = { StreamingJSONParser };
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// ============= INPUT SYNTAX ERRORS =============
+
+/**
+ * InputSyntaxError - Malformed input text (YAML, TOML, JSON5, ...)
+ *
+ * @class
+ * @extends SyntaxError
+ * @description Carries the position of the problem as an index and as line/column (1-based),
+ * so the message can say where to look
+ */
+class InputSyntaxError extends SyntaxError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} source - The whole input
+   * @param {number} position - Index of the problem in the input
+   */
+  constructor(message, source, position) {
+    const { line, column } = InputSyntaxError.lineColumn(source, position);
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'InputSyntaxError';
+    this.source = source;
+    this.position = position;
+    this.line = line;
+    this.column = column;
+  }
+
+  /**
+   * Show the lines around the problem with a caret under it, e.g.
+   *
+   *     2 |   "name": "Ada"
+   *   > 3 |   "age": 36
+   *       |   ^
+   *
+   * Long lines (minified JSON) are cut to a window around the column
+   *
+   * @param {number} [context=2] - Lines shown before and after
+   * @param {number} [width=80] - Most characters shown of a line
+   * @returns {string} Code frame
+   */
+  codeFrame(context = 2, width = 80) {
+    const lineStarts = [this.position - (this.column - 1)];
+    while (lineStarts.length <= context && lineStarts[0] > 0) {
+      const previousEnd = lineStarts[0] - 1;
+      lineStarts.unshift(previousEnd === 0 ? 0 : this.source.lastIndexOf('\n', previousEnd - 1) + 1);
+    }
+    const firstLine = this.line - lineStarts.length + 1;
+    let next = this.source.indexOf('\n', lineStarts[lineStarts.length - 1]);
+    for (let after = 0; after < context && next !== -1 && next + 1 < this.source.length; after++) {
+      lineStarts.push(next + 1);
+      next = this.source.indexOf('\n', next + 1);
+    }
+
+    const numberWidth = String(firstLine + lineStarts.length - 1).length;
+    // Same window for every line, so the caret stays under the column
+    const from = this.column < width ? 0 : this.column - 1 - Math.floor(width / 2);
+    const frame = [];
+    lineStarts.forEach((start, index) => {
+      const end = this.source.indexOf('\n', start);
+      const text = this.source.substring(start, end === -1 ? this.source.length : end).replace(/\r$/, '');
+      const shown = `${from > 0 ? '…' : ''}${text.substring(from, from + width).replace(/\t/g, ' ')}${text.length > from + width ? '…' : ''}`;
+      const number = firstLine + index;
+      const marker = number === this.line ? '>' : ' ';
+      frame.push(`${marker} ${String(number).padStart(numberWidth)} | ${shown}`.trimEnd());
+      if (number === this.line) {
+        frame.push(`  ${' '.repeat(numberWidth)} | ${' '.repeat(this.column - 1 - from + (from > 0 ? 1 : 0))}^`);
+      }
+    });
+    return frame.join('\n');
+  }
+
+  /**
+   * Turn an index into a line and column
+   *
+   * @static
+   * @param {string} source - Text
+   * @param {number} position - Index in the text
+   * @returns {{line: number, column: number}} 1-based line and column
+   */
+  static lineColumn(source, position) {
+    const before = source.substring(0, Math.max(0, position));
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length, column: position - lineStart + 1 };
+  }
+
+  /**
+   * Say where something was found, for load warnings: "at line 3, column 5 (2 times)"
+   *
+   * @static
+   * @param {string} source - Text
+   * @param {number} position - Index of the first occurrence
+   * @param {number} [count=1] - Occurrences in the whole text
+   * @returns {string}
+   */
+  static describePosition(source, position, count = 1) {
+    const { line, column } = InputSyntaxError.lineColumn(source, position);
+    return `at line ${line}, column ${column}${count > 1 ? ` (${count} times)` : ''}`;
+  }
+}
+
+module.exports = { InputSyntaxError };
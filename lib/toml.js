@@ -0,0 +1,415 @@
+#!/usr/bin/env node
+
+const { InputSyntaxError } = require('./syntax');
+
+// ============= TOML =============
+
+/**
+ * TOMLParser - Read and write TOML 1.0 (Cargo.toml, pyproject.toml, ...)
+ *
+ * @class
+ * @description Tables, arrays of tables, dotted and quoted keys, inline tables, all string and
+ * number forms. Dates and times have no JSON type and are kept as strings (e.g. "1979-05-27T07:32:00Z")
+ */
+class TOMLParser {
+  /**
+   * Parse a TOML document
+   *
+   * @static
+   * @param {string} text - Input
+   * @returns {Object} Root table
+   * @throws {InputSyntaxError} With the line and column of the problem
+   */
+  static parse(text) {
+    return new TOMLParser(text.replace(/\r\n/g, '\n')).parseDocument();
+  }
+
+  /**
+   * Parse a TOML document, also reporting values JSON can't hold
+   *
+   * @static
+   * @param {string} text - Input
+   * @returns {{data: Object, warnings: string[]}} Root table, and where inf/nan were read
+   * @throws {InputSyntaxError} With the line and column of the problem
+   */
+  static parseWithWarnings(text) {
+    const parser = new TOMLParser(text.replace(/\r\n/g, '\n'));
+    const data = parser.parseDocument();
+    const warnings = parser.nonFinite
+      ? [`inf/nan (written back as null) ${InputSyntaxError.describePosition(parser.text, parser.nonFinite.position, parser.nonFinite.count)}`]
+      : [];
+    return { data, warnings };
+  }
+
+  /**
+   * Write a value as a TOML document
+   *
+   * @static
+   * @param {Object} data - Root table
+   * @returns {string} TOML (ending with a newline)
+   * @throws {Error} If the root isn't an object or a value is null (TOML has no null)
+   */
+  static stringify(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('TOML needs an object at the top level');
+    }
+    const blocks = [];
+    TOMLParser.writeTable(data, [], false, blocks);
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.root = {};
+    this.definedTables = new Set(); // Headers seen so far, so a table can't be defined twice
+    this.nonFinite = null; // { count, position } of the inf/nan values read (JSON has no such numbers)
+  }
+
+  fail(message, position = this.pos) {
+    throw new InputSyntaxError(message, this.text, position);
+  }
+
+  parseDocument() {
+    let table = this.root;
+
+    for (;;) {
+      this.skipBlank(true);
+      if (this.pos >= this.text.length) break;
+
+      if (this.text[this.pos] === '[') {
+        table = this.parseTableHeader();
+      } else {
+        this.parseKeyValue(table);
+      }
+      this.expectLineEnd();
+    }
+    return this.root;
+  }
+
+  /**
+   * Skip spaces and comments (and newlines if allowed)
+   */
+  skipBlank(newlines) {
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === ' ' || char === '\t' || (newlines && (char === '\n' || char === '\r'))) {
+        this.pos++;
+      } else if (char === '#') {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  expectLineEnd() {
+    this.skipBlank(false);
+    if (this.pos < this.text.length && this.text[this.pos] !== '\n') {
+      this.fail(`Expected the end of the line but found ${JSON.stringify(this.text[this.pos])}`);
+    }
+  }
+
+  /**
+   * [table] or [[array.of.tables]] - returns the table the following keys go into
+   */
+  parseTableHeader() {
+    const start = this.pos;
+    const isArray = this.text.startsWith('[[', this.pos);
+    this.pos += isArray ? 2 : 1;
+    this.skipBlank(false);
+    const keys = this.parseKey();
+    this.skipBlank(false);
+    if (!this.text.startsWith(isArray ? ']]' : ']', this.pos)) {
+      this.fail(`Expected "${isArray ? ']]' : ']'}" to close the table header`);
+    }
+    this.pos += isArray ? 2 : 1;
+
+    const parent = this.descend(this.root, keys.slice(0, -1), start);
+    const last = keys[keys.length - 1];
+
+    if (isArray) {
+      if (!(last in parent)) parent[last] = [];
+      if (!Array.isArray(parent[last])) this.fail(`"${keys.join('.')}" is already defined as a table`, start);
+      const table = {};
+      parent[last].push(table);
+      return table;
+    }
+
+    const headerKey = JSON.stringify(keys);
+    if (this.definedTables.has(headerKey)) this.fail(`Table [${keys.join('.')}] is defined twice`, start);
+    this.definedTables.add(headerKey);
+
+    if (!(last in parent)) parent[last] = {};
+    if (!TOMLParser.isTable(parent[last])) this.fail(`"${keys.join('.')}" is already defined as a value`, start);
+    return parent[last];
+  }
+
+  /**
+   * Walk down (creating tables on the way); arrays of tables continue at their last element
+   */
+  descend(table, keys, position) {
+    let current = table;
+    for (const key of keys) {
+      if (!(key in current)) current[key] = {};
+      let next = current[key];
+      if (Array.isArray(next) && next.length > 0 && TOMLParser.isTable(next[next.length - 1])) {
+        next = next[next.length - 1];
+      }
+      if (!TOMLParser.isTable(next)) this.fail(`"${key}" is already defined as a value`, position);
+      current = next;
+    }
+    return current;
+  }
+
+  parseKeyValue(table) {
+    const start = this.pos;
+    const keys = this.parseKey();
+    this.skipBlank(false);
+    if (this.text[this.pos] !== '=') this.fail(`Expected "=" after key "${keys.join('.')}"`);
+    this.pos++;
+    this.skipBlank(false);
+
+    const target = this.descend(table, keys.slice(0, -1), start);
+    const last = keys[keys.length - 1];
+    if (last in target) this.fail(`Key "${keys.join('.')}" is defined twice`, start);
+    target[last] = this.parseValue();
+  }
+
+  /**
+   * Bare, quoted or dotted key - returns its parts
+   */
+  parseKey() {
+    const keys = [];
+    for (;;) {
+      const char = this.text[this.pos];
+      if (char === '"' || char === "'") {
+        keys.push(this.parseString());
+      } else {
+        const bare = /^[A-Za-z0-9_-]+/.exec(this.text.substring(this.pos, this.pos + 256));
+        if (!bare) this.fail(this.pos >= this.text.length ? 'Expected a key' : `Invalid key character ${JSON.stringify(char)}`);
+        keys.push(bare[0]);
+        this.pos += bare[0].length;
+      }
+      this.skipBlank(false);
+      if (this.text[this.pos] !== '.') return keys;
+      this.pos++;
+      this.skipBlank(false);
+    }
+  }
+
+  parseValue() {
+    const char = this.text[this.pos];
+    if (char === '"' || char === "'") return this.parseString();
+    if (char === '[') return this.parseArray();
+    if (char === '{') return this.parseInlineTable();
+
+    const rest = this.text.substring(this.pos, this.pos + 64);
+    const literal = /^(true|false)(?![\w-])/.exec(rest);
+    if (literal) {
+      this.pos += literal[0].length;
+      return literal[1] === 'true';
+    }
+
+    // Offset date-time, local date-time, local date or local time - kept as written
+    const dateTime = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[-+]\d{2}:\d{2})?)?|\d{2}:\d{2}:\d{2}(\.\d+)?)(?![\w:.+-])/.exec(rest);
+    if (dateTime) {
+      this.pos += dateTime[0].length;
+      return dateTime[0];
+    }
+
+    const number = /^([-+]?(inf|nan)|0x[0-9a-fA-F](_?[0-9a-fA-F])*|0o[0-7](_?[0-7])*|0b[01](_?[01])*|[-+]?(0|[1-9](_?\d)*)(\.\d(_?\d)*)?([eE][-+]?\d(_?\d)*)?)(?![\w.+-])/.exec(rest);
+    if (number) {
+      const text = number[0].replace(/_/g, '');
+      if (/(inf|nan)$/.test(text)) {
+        if (this.nonFinite) {
+          this.nonFinite.count++;
+        } else {
+          this.nonFinite = { count: 1, position: this.pos };
+        }
+      }
+      this.pos += number[0].length;
+      if (/inf$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+      if (/nan$/.test(text)) return NaN;
+      if (/^0x/.test(text)) return parseInt(text.substring(2), 16);
+      if (/^0o/.test(text)) return parseInt(text.substring(2), 8);
+      if (/^0b/.test(text)) return parseInt(text.substring(2), 2);
+      return Number(text);
+    }
+
+    this.fail(this.pos >= this.text.length || char === '\n' ? 'Expected a value' : `Invalid value starting with ${JSON.stringify(char)}`);
+  }
+
+  parseString() {
+    const start = this.pos;
+    const quote = this.text[this.pos];
+    const multiline = this.text.startsWith(quote.repeat(3), this.pos);
+    const literal = quote === "'";
+    const delimiter = multiline ? quote.repeat(3) : quote;
+    let value = '';
+
+    this.pos += delimiter.length;
+    // A newline right after the opening delimiter isn't part of the string
+    if (multiline && this.text[this.pos] === '\n') this.pos++;
+
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail('Unterminated string', start);
+      const char = this.text[this.pos];
+
+      if (this.text.startsWith(delimiter, this.pos)) {
+        this.pos += delimiter.length;
+        // Up to two quotes may sit right before the closing delimiter: """a "quoted" word"""""
+        if (multiline) {
+          for (let extra = 0; extra < 2 && this.text[this.pos] === quote; extra++) {
+            value += quote;
+            this.pos++;
+          }
+        }
+        return value;
+      }
+      if (char === '\n' && !multiline) this.fail('Unterminated string', start);
+
+      if (char === '\\' && !literal) {
+        value += this.parseEscape(multiline);
+      } else {
+        value += char;
+        this.pos++;
+      }
+    }
+  }
+
+  parseEscape(multiline) {
+    const escape = this.text[this.pos + 1];
+    const simple = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+    if (Object.prototype.hasOwnProperty.call(simple, escape)) {
+      this.pos += 2;
+      return simple[escape];
+    }
+    if (escape === 'u' || escape === 'U') {
+      const length = escape === 'u' ? 4 : 8;
+      const hex = this.text.substring(this.pos + 2, this.pos + 2 + length);
+      if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) this.fail(`Invalid \\${escape} escape`);
+      this.pos += 2 + length;
+      return String.fromCodePoint(parseInt(hex, 16));
+    }
+
+    // Line-ending backslash in a multi-line string: drop the newline and the whitespace after it
+    const lineEnd = /^\\[ \t]*\n/.exec(this.text.substring(this.pos, this.pos + 256));
+    if (multiline && lineEnd) {
+      this.pos += lineEnd[0].length;
+      while (/\s/.test(this.text[this.pos] || '')) this.pos++;
+      return '';
+    }
+    this.fail(`Invalid escape "\\${escape || ''}"`);
+  }
+
+  parseArray() {
+    const start = this.pos;
+    const array = [];
+    this.pos++; // [
+
+    for (;;) {
+      this.skipBlank(true);
+      if (this.text[this.pos] === ']') break;
+      if (this.pos >= this.text.length) this.fail('Unclosed "["', start);
+
+      array.push(this.parseValue());
+      this.skipBlank(true);
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== ']') {
+        this.fail(this.pos >= this.text.length ? 'Unclosed "["' : 'Expected "," or "]" in array', this.pos >= this.text.length ? start : this.pos);
+      }
+    }
+
+    this.pos++; // ]
+    return array;
+  }
+
+  parseInlineTable() {
+    const start = this.pos;
+    const table = {};
+    this.pos++; // {
+    this.skipBlank(false);
+
+    if (this.text[this.pos] === '}') {
+      this.pos++;
+      return table;
+    }
+
+    for (;;) {
+      this.parseKeyValue(table);
+      this.skipBlank(false);
+      if (this.text[this.pos] === '}') {
+        this.pos++;
+        return table;
+      }
+      if (this.text[this.pos] !== ',') {
+        this.fail(this.pos >= this.text.length ? 'Unclosed "{"' : 'Expected "," or "}" in inline table', this.pos >= this.text.length ? start : this.pos);
+      }
+      this.pos++;
+      this.skipBlank(false);
+    }
+  }
+
+  static isTable(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static isArrayOfTables(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(TOMLParser.isTable);
+  }
+
+  /**
+   * Append a table's key/value lines, then its sub-tables, as blocks
+   */
+  static writeTable(table, path, isArrayElement, blocks) {
+    const keys = Object.keys(table);
+    const values = keys.filter(key => !TOMLParser.isTable(table[key]) && !TOMLParser.isArrayOfTables(table[key]));
+    const children = keys.filter(key => !values.includes(key));
+    const lines = values.map(key => `${TOMLParser.keyText(key)} = ${TOMLParser.valueText(table[key], [...path, key])}`);
+
+    // A header is only needed when the table has values of its own (or would vanish otherwise)
+    if (isArrayElement) {
+      lines.unshift(`[[${path.map(TOMLParser.keyText).join('.')}]]`);
+    } else if (path.length > 0 && (values.length > 0 || children.length === 0)) {
+      lines.unshift(`[${path.map(TOMLParser.keyText).join('.')}]`);
+    }
+    if (lines.length > 0) blocks.push(lines.join('\n'));
+
+    for (const key of children) {
+      if (Array.isArray(table[key])) {
+        table[key].forEach(element => TOMLParser.writeTable(element, [...path, key], true, blocks));
+      } else {
+        TOMLParser.writeTable(table[key], [...path, key], false, blocks);
+      }
+    }
+  }
+
+  static keyText(key) {
+    return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  static valueText(value, path) {
+    if (value === null || value === undefined) {
+      throw new Error(`TOML has no null value (at ${path.join('.')})`);
+    }
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) return 'nan';
+      if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+      return String(value);
+    }
+    if (Array.isArray(value)) {
+      return `[${value.map((element, index) => TOMLParser.valueText(element, [...path, index])).join(', ')}]`;
+    }
+    if (typeof value === 'object') {
+      const entries = Object.keys(value).map(key => `${TOMLParser.keyText(key)} = ${TOMLParser.valueText(value[key], [...path, key])}`);
+      return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    return String(value);
+  }
+}
+
+module.exports = { TOMLParser };
@@ -3,14 +3,26 @@
 /**
  * TUI Display Module
  * 
- * Handles all result rendering:
+ * Handles all result rendering (long content goes through the ResultViewport, which formats only what is visible):
  * - displaySearchResults() - Show search matches
  * - displayWildcardResults() - Show wildcard/filtered results with labels
+ * - renderWildcardList() - Redraw the wildcard list, marking the selected result
  * - displayResult() - Show single JSON result
+ * - displayAggregate() - Show a @count/@sum/.../@group result
+ * - toggleTableView() / scrollTable() - Table view for arrays of objects
+ * - displayTree() / renderTree() - Collapsible tree of a result
+ * - displayDiff() - Show the changes between the document and another file
+ * - displayViolations() - List JSON Schema violations, selectable like wildcard results
+ * - displayTypes() - Show type definitions generated by :types
+ * - displayFilterError() - Point at the problem in a malformed @where filter or ordering stage
  */
 
 const { QueryExecutor } = require('../query');
+const { QueryPipeline } = require('../pipeline');
 const { Formatter } = require('../formatter');
+const { TableView } = require('./table');
+const { TreeView } = require('./tree');
+const { JSONDiff } = require('../diff');
 
 // Simple TUI color scheme (blessed color tags)
 const TUI_COLORS = {
@@ -34,6 +46,13 @@ class DisplayManager {
   constructor(tui, appState) {
     this.tui = tui;
     this.appState = appState;
+    this.tableView = false; // Show arrays of objects as a table (toggled with :table / t)
+    this.tableState = null; // { table, headerText, scrollX } while a table is displayed
+    this.lastRender = null; // Redraws the current wildcard results / result after a view toggle
+    this.treeState = null; // TreeView while the tree is displayed
+    this.listState = null; // { headerText, headerType, tableTip } of the wildcard list in the viewport
+    this.wildcardRows = null; // { count, labeled, getRow } - rows of the wildcard list, resolved as they are shown
+    this.typesSource = null; // { data, path } the displayed :types output describes, so :types can switch language
   }
   
   // Helper to wrap text with blessed color tag
@@ -49,6 +68,10 @@ class DisplayManager {
    * Display search results (from / command)
    */
   displaySearchResults() {
+    this.tableState = null;
+    this.treeState = null;
+    this.lastRender = null;
+    
     // Store for copying
     this.tui.lastDisplayedType = 'search';
     this.tui.lastWildcardResults = null;
@@ -131,224 +154,435 @@ class DisplayManager {
   }
 
   /**
-   * Display wildcard results with optional labels and filters
+   * Display wildcard results with optional labels, filters and later stages (@sort/@limit/@offset, @select),
+   * or the aggregate computed from them
    */
-  displayWildcardResults(results, basePath, labelQuery = null, whereFilter = null, displayFieldName = null, customHeader = null) {
-    // jsonpath-plus returns paths as strings when using resultType: 'all'
-    // We need to convert them back to arrays for label processing
-    // Format: "$['field1']['field2'][0]['field3']" -> ['$', 'field1', 'field2', 0, 'field3']
-    const resultsWithArrayPaths = results.map(item => {
-      if (typeof item.path === 'string') {
-        // Convert string path back to array
-        const pathArray = this.tui.parsePathString(item.path);
-        return { ...item, path: pathArray };
-      }
-      return item;
-    });
+  displayWildcardResults(results, basePath, labelQuery = null, whereFilter = null, displayFieldName = null, customHeader = null, stages = {}) {
+    const { ordering = null, selection = null, aggregation = null } = stages;
+    this.tableState = null;
+    this.treeState = null;
+    this.lastRender = () => this.displayWildcardResults(results, basePath, labelQuery, whereFilter, displayFieldName, customHeader, stages);
     
-    // Apply where filter if provided
-    const filteredResults = whereFilter 
-      ? resultsWithArrayPaths.filter(item => this.tui.evaluateWhereCondition(item.value, item.path, whereFilter))
-      : resultsWithArrayPaths;
-    
-    // If displayFieldName is provided, extract that field from each filtered result
-    const finalResults = displayFieldName
-      ? filteredResults.map(item => ({
-          path: item.path,
-          value: item.value && typeof item.value === 'object' ? item.value[displayFieldName] : item.value
-        }))
-      : filteredResults;
+    // Convert paths to arrays, apply the where filter, ordering and @select, and extract displayFieldName
+    let finalResults;
+    try {
+      finalResults = this.tui.pipeline.applyFilters(results, whereFilter, displayFieldName, stages);
+    } catch (error) {
+      this.displayFilterError(error);
+      return;
+    }
     
     // Store for copying (with array paths, after filtering and field extraction)
     this.tui.lastDisplayedType = 'wildcard';
     this.tui.lastWildcardResults = finalResults;
     this.tui.searchMatches = []; // Clear search matches when showing wildcard results
     
-    const w = this.wrapColor.bind(this);
-    
-    // Clear existing content
-    this.tui.resultsBox.setContent('');
+    if (aggregation) {
+      this.lastRender = null;
+      this.displayAggregate(this.tui.pipeline.aggregate(finalResults, aggregation), aggregation, basePath, finalResults.length);
+      return;
+    }
     
-    // Add header using setContent
     let headerText;
     if (customHeader) {
       headerText = `✓ ${customHeader}`;
-    } else if (whereFilter && labelQuery) {
-      headerText = `✓ Found ${finalResults.length}/${results.length} matches (filtered, with labels)`;
-    } else if (whereFilter) {
-      headerText = `✓ Found ${finalResults.length}/${results.length} matches (filtered)`;
-    } else if (labelQuery) {
-      headerText = `✓ Found ${finalResults.length} matches (with labels)`;
     } else {
-      headerText = `✓ Found ${finalResults.length} matches`;
+      const notes = [];
+      if (whereFilter) notes.push('filtered');
+      if (ordering && ordering.sort) notes.push(`sorted by ${ordering.sort.field}${ordering.sort.descending ? ' desc' : ''}`);
+      if (ordering && ordering.offset > 0) notes.push(`from #${ordering.offset + 1}`);
+      if (ordering && ordering.limit !== null) notes.push(`limit ${ordering.limit}`);
+      if (selection) notes.push(`fields ${selection.map(column => column.key).join(', ')}`);
+      if (labelQuery) notes.push('with labels');
+      
+      // Show the total when results may have been filtered out or paged away
+      const paged = ordering && (ordering.offset > 0 || ordering.limit !== null);
+      const count = whereFilter || paged ? `${finalResults.length}/${results.length}` : `${finalResults.length}`;
+      headerText = `✓ Found ${count} matches${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
     }
     
-    this.tui.resultsBox.setContent(
-      w(headerText, 'success') + '\n' +
-      w('(Scroll to view all)', 'dim') + '\n'
-    );
-    
-    // Cache for label results to avoid duplicate queries
+    // Labels and previews are resolved per row as lines scroll into view (a @label runs a query per row)
     const labelCache = {};
+    const rowCache = new Map();
+    this.wildcardRows = {
+      count: finalResults.length,
+      labeled: Boolean(labelQuery),
+      getRow: idx => {
+        if (!rowCache.has(idx)) {
+          rowCache.set(idx, this.resolveWildcardRow(finalResults[idx], basePath, labelQuery, labelCache));
+        }
+        return rowCache.get(idx);
+      }
+    };
     
-    // Store displayed labels for copy-results command
-    const displayedLabels = [];
+    const tabular = TableView.isTabular(finalResults.map(item => item.value));
+    if (this.tableView && tabular) {
+      this.showTable(headerText, finalResults.map(item => item.value), idx => this.wildcardRows.getRow(idx).label);
+      return;
+    }
     
-    // Process each result
-    let displayedCount = 0;
-    const allLines = [];
+    this.listState = { headerText, tableTip: this.getTableTip(tabular) };
+    this.renderWildcardList();
+    this.tui.screen.render();
+  }
+
+  /**
+   * Label and value preview of one wildcard result
+   * @returns {{label: string, displayLabel: string, value: string}} - Plain label (for copying, export and the table),
+   * the label as listed, and the preview
+   */
+  resolveWildcardRow(item, basePath, labelQuery, labelCache) {
+    const w = this.wrapColor.bind(this);
+    let label;
+    let displayLabel;
     
-    for (let idx = 0; idx < finalResults.length; idx++) {
-      const item = finalResults[idx];
-      let displayPath;
-      
-      // If labelQuery is provided, resolve it and use as display path
-      if (labelQuery) {
-        try {
-          let absoluteLabelPath;
-          
-          // Check if label query uses relative paths or wildcards
-          if (labelQuery.startsWith('../') || labelQuery.startsWith('./')) {
-            // Relative path - resolve from result path
-            absoluteLabelPath = this.tui.resolveRelativePath(item.path, labelQuery);
-          } else if (labelQuery.includes('[*]')) {
-            // Wildcard path - substitute actual indices from result path
-            absoluteLabelPath = this.tui.resolveWildcardIndices(item.path, labelQuery);
-          } else {
-            // Absolute path without wildcards - use as-is
-            absoluteLabelPath = labelQuery;
-          }
-          
-          // Check cache first
-          let labelValue;
-          if (labelCache[absoluteLabelPath]) {
-            labelValue = labelCache[absoluteLabelPath];
-          } else {
-            // Execute the label query to get the label value
-            const labelResult = this.tui.queryExecutor.execute(absoluteLabelPath);
-          
-            if (labelResult.success && labelResult.data !== undefined) {
-              // Format label value based on type
-              
-              if (typeof labelResult.data === 'string') {
-                labelValue = labelResult.data;
-              } else if (typeof labelResult.data === 'number' || typeof labelResult.data === 'boolean') {
-                labelValue = String(labelResult.data);
-              } else if (labelResult.data === null) {
-                labelValue = 'null';
-              } else if (Array.isArray(labelResult.data)) {
-                // For arrays, show compact representation
-                if (labelResult.data.length === 0) {
-                  labelValue = '[]';
-                } else if (labelResult.data.length === 1) {
-                  // Single item - extract it
-                  const singleItem = labelResult.data[0];
-                  if (typeof singleItem === 'string') {
-                    labelValue = singleItem;
-                  } else if (typeof singleItem === 'number' || typeof singleItem === 'boolean') {
-                    labelValue = String(singleItem);
-                  } else if (singleItem === null) {
-                    labelValue = 'null';
-                  } else if (typeof singleItem === 'object') {
-                    // Single object in array - try to extract identifier
-                    if (singleItem.id) {
-                      labelValue = String(singleItem.id);
-                    } else if (singleItem.name) {
-                      labelValue = String(singleItem.name);
-                    } else {
-                      labelValue = JSON.stringify(singleItem);
-                    }
-                  } else {
-                    labelValue = String(singleItem);
-                  }
-                } else {
-                  // Multiple items
-                  labelValue = `[${labelResult.data.length} items]`;
-                }
-              } else if (typeof labelResult.data === 'object') {
-                // For objects, try to find a useful identifier
-                const obj = labelResult.data;
-                if (obj.id) {
-                  labelValue = String(obj.id);
-                } else if (obj.name) {
-                  labelValue = String(obj.name);
-                } else if (obj.email) {
-                  labelValue = String(obj.email);
-                } else if (obj.title) {
-                  labelValue = String(obj.title);
-                } else {
-                  // Show keys as hint
-                  const keys = Object.keys(obj).slice(0, 3).join(', ');
-                  labelValue = `{${keys}${Object.keys(obj).length > 3 ? '...' : ''}}`;
-                }
-              } else {
-                labelValue = String(labelResult.data);
-              }
-              
-              // Cache the result
-              labelCache[absoluteLabelPath] = labelValue;
-            } else {
-              // Label query didn't return a result - show "(no label)"
-              labelValue = w('(no label)', 'dim');
-            }
-          }
-          
-          displayPath = labelValue;
-        } catch (err) {
-          // Fallback to short path on error
-          displayPath = QueryExecutor.formatWildcardPath(
-            QueryExecutor.pathArrayToString(item.path),
-            basePath
-          );
-        }
-      } else {
-        // No label query - use short path
-        displayPath = QueryExecutor.formatWildcardPath(
-          QueryExecutor.pathArrayToString(item.path),
-          basePath
-        );
+    // If labelQuery is provided, resolve it and use as display path
+    if (labelQuery) {
+      try {
+        const labelValue = this.tui.pipeline.resolveLabel(item.path, labelQuery, labelCache);
+        // Label query didn't return a result - show "(no label)"
+        label = labelValue !== null ? labelValue : '(no label)';
+        displayLabel = labelValue !== null ? labelValue : w('(no label)', 'dim');
+      } catch (err) {
+        // Fallback to short path on error
+        label = displayLabel = QueryExecutor.formatWildcardPath(QueryExecutor.pathArrayToString(item.path), basePath);
       }
+    } else {
+      // No label query - use short path
+      label = displayLabel = QueryExecutor.formatWildcardPath(QueryExecutor.pathArrayToString(item.path), basePath);
+    }
+    
+    let value = '';
+    if (typeof item.value === 'string') {
+      value = `"${item.value.substring(0, 40)}"`;
+    } else if (typeof item.value === 'number' || typeof item.value === 'boolean') {
+      value = String(item.value);
+    } else if (item.value === null) {
+      value = 'null';
+    } else {
+      value = JSON.stringify(item.value).substring(0, 40);
+    }
+    
+    return { label, displayLabel, value };
+  }
+
+  /**
+   * Every row of the wildcard list, resolving those not shown yet (:copy-results and :export take them all)
+   * @returns {Array<{label: string, displayLabel: string, value: string}>}
+   */
+  getWildcardRows() {
+    const { count, getRow } = this.wildcardRows;
+    return Array.from({ length: count }, (_, idx) => getRow(idx));
+  }
+
+  /**
+   * Show the wildcard list in the viewport; with a selected index (results panel focused) that result
+   * is marked and centered
+   */
+  renderWildcardList(selectedIndex = -1) {
+    const w = this.wrapColor.bind(this);
+    const { headerText, tableTip, headerType = 'success' } = this.listState;
+    const { count, getRow } = this.wildcardRows;
+    const selecting = selectedIndex >= 0;
+    
+    const footer = [];
+    if (count > 10) {
+      footer.push('', w(selecting
+        ? `Showing all ${count} results - use ↑/↓ to navigate, Enter to copy`
+        : `Showing all ${count} results - use mouse wheel or ↑/↓ to scroll`, 'dim'));
+    }
+    if (!selecting && count > 1) {
+      footer.push(w('Tip: Type number to view item in detail', 'dim'));
+    }
+    if (!selecting && tableTip) {
+      footer.push(tableTip);
+    }
+    
+    const formatLine = index => {
+      if (index === 0) return w(headerText, headerType);
+      if (index === 1) return w('(Scroll to view all)', 'dim');
       
-      let valuePreview = '';
-      if (typeof item.value === 'string') {
-        valuePreview = `"${item.value.substring(0, 40)}"`;
-      } else if (typeof item.value === 'number' || typeof item.value === 'boolean') {
-        valuePreview = String(item.value);
-      } else if (item.value === null) {
-        valuePreview = 'null';
-      } else {
-        valuePreview = JSON.stringify(item.value).substring(0, 40);
-      }
+      const idx = index - 2;
+      if (idx >= count) return footer[idx - count];
       
-      const lineNumber = w(`[${displayedCount + 1}]`, 'dim');
-      allLines.push(`${lineNumber} ${w(displayPath, 'path')} → ${valuePreview}`);
-      displayedLabels.push({ label: displayPath, value: valuePreview });
-      displayedCount++;
+      const { displayLabel: label, value } = getRow(idx);
+      const lineNumber = w(`[${idx + 1}]`, 'dim');
+      if (!selecting) {
+        return `${lineNumber} ${w(label, 'path')} → ${value}`;
+      }
+      return idx === selectedIndex
+        ? `${w('►', 'highlight')} ${lineNumber} ${w(label, 'highlight')} → ${w(value, 'highlight')}`
+        : `  ${lineNumber} ${w(label, 'path')} → ${value}`;
+    };
+    
+    const viewport = this.tui.resultsViewport;
+    const top = selecting ? 2 + selectedIndex - Math.floor(viewport.getHeight() / 2) : 0;
+    viewport.show(2 + count + footer.length, formatLine, Math.max(0, top));
+  }
+
+  /**
+   * Tip line about the table view (empty when it doesn't apply)
+   */
+  getTableTip(tabular) {
+    const w = this.wrapColor.bind(this);
+    if (tabular) {
+      return w('Tip: :table (or t in the results panel) shows these as a table', 'dim');
     }
+    return this.tableView ? w('(Table view needs an array of objects - showing the usual view)', 'dim') : '';
+  }
+
+  /**
+   * Display rows of objects as a table (see TableView) and remember it for scrolling
+   */
+  showTable(headerText, values, getLabel) {
+    this.tableState = { table: TableView.build(values, getLabel), headerText, scrollX: 0 };
+    this.renderTable();
+    this.tui.resultsViewport.scrollTo(0);
+    this.tui.screen.render();
+  }
+
+  /**
+   * Redraw the current table, highlighting a row when the results panel is focused
+   */
+  renderTable(selectedIndex = -1) {
+    const w = this.wrapColor.bind(this);
+    const { table, headerText, scrollX } = this.tableState;
     
-    // Store displayed labels for copy-results
-    this.tui.lastDisplayedLabels = displayedLabels;
+    // Width inside the border and scrollbar
+    const viewWidth = Math.max(20, (typeof this.tui.resultsBox.width === 'number' ? this.tui.resultsBox.width : 80) - 4);
+    const { lineCount, formatLine, firstColumn, lastColumn } = TableView.render(table, { scrollX, viewWidth, selectedIndex, wrapColor: w });
     
-    // Build complete content string
-    let fullContent = this.tui.resultsBox.getContent(); // Start with header
-    fullContent += allLines.join('\n');
+    const columnInfo = table.columns.length > lastColumn - firstColumn + 1
+      ? `Columns ${firstColumn + 1}-${lastColumn + 1} of ${table.columns.length} - h/l or Shift+←/→ to scroll`
+      : `${table.columns.length} columns`;
     
-    // Add scrolling tip at the bottom
-    if (results.length > 10) {
-      fullContent += '\n\n' + w(`Showing all ${displayedCount} results - use mouse wheel or ↑/↓ to scroll`, 'dim');
+    const viewport = this.tui.resultsViewport;
+    // Keep the selected row in view (2 info lines + header + rule come first), otherwise stay put
+    const top = selectedIndex >= 0
+      ? Math.max(0, 4 + selectedIndex - Math.floor(viewport.getHeight() / 2))
+      : (viewport.isShowing() ? viewport.getScroll() : 0);
+    
+    // Only the rows in view are formatted
+    const header = [w(headerText, 'success'), w(columnInfo, 'dim')];
+    const footer = ['', w('Tip: :table (or t) switches back, Enter on a row opens it', 'dim')];
+    viewport.show(header.length + lineCount + footer.length, index => {
+      if (index < header.length) return header[index];
+      if (index < header.length + lineCount) return formatLine(index - header.length);
+      return footer[index - header.length - lineCount];
+    }, top);
+  }
+
+  /**
+   * Scroll the current table by whole columns
+   * @returns {boolean} - false if no table is displayed
+   */
+  scrollTable(delta) {
+    if (!this.tableState) return false;
+    
+    const columnCount = this.tableState.table.columns.length;
+    this.tableState.scrollX = Math.max(0, Math.min(columnCount - 1, this.tableState.scrollX + delta));
+    this.renderTable(this.tui.focusedPanel === 'results' && this.tui.lastDisplayedType === 'wildcard' ? this.tui.resultsSelectedIndex : -1);
+    this.tui.screen.render();
+    return true;
+  }
+
+  /**
+   * Switch between the table and the usual rendering, and redraw the current results
+   * @returns {boolean} - The new table view setting
+   */
+  toggleTableView() {
+    this.tableView = !this.tableView;
+    if (this.lastRender) {
+      this.lastRender();
     }
+    return this.tableView;
+  }
+
+  /**
+   * Display a value as a collapsible tree (navigated from the results panel, see TreeView)
+   */
+  displayTree(data, path) {
+    this.tableState = null;
+    this.lastRender = null;
+    this.tui.lastDisplayedType = 'tree';
+    this.tui.lastWildcardResults = null;
+    this.tui.searchMatches = [];
+    this.appState.setLastResult(data, path);
+    
+    this.treeState = new TreeView(data, path || '$');
+    this.renderTree();
+  }
+
+  /**
+   * Redraw the tree: a status line with the focused path, then the nodes that fit
+   */
+  renderTree() {
+    const w = this.wrapColor.bind(this);
+    const node = this.treeState.getSelectedNode();
+    const focusedPath = node.more ? node.parent : node.path;
+    
+    // The tree scrolls itself, so the status line stays on top
+    const height = Math.max(3, this.tui.resultsBox.height - 5);
+    const lines = this.treeState.render(w, height);
+    
+    this.tui.resultsBox.setContent(
+      `${w('Path:', 'info')} ${w(focusedPath, 'path')}\n` +
+      w('↑/↓ move · →/Space expand · ← collapse · Enter use path', 'dim') + '\n\n' +
+      lines.join('\n')
+    );
+    this.tui.resultsBox.setScroll(0);
+    this.tui.screen.render();
+  }
+
+  /**
+   * Display a malformed @where filter with a caret under the problem (or a malformed @sort/@limit/@offset)
+   */
+  displayFilterError(error) {
+    const w = this.wrapColor.bind(this);
     
-    // Add tips at bottom
-    if (displayedCount > 1) {
-      fullContent += '\n' + w('Tip: Type number to view item in detail', 'dim');
+    let content;
+    if (typeof error.pointer === 'function') {
+      content = w(`❌ Invalid @where filter: ${error.message}`, 'error');
+      content += `\n\n${w(error.pointer(), 'highlight')}`;
+      content += `\n\n${w('Combine conditions with AND, OR, NOT and (...); quote values with spaces: name="Jane Doe"', 'dim')}`;
+    } else {
+      content = w(`❌ ${error.message}`, 'error');
+      content += `\n\n${w('Examples: @sort=price desc, @limit=20, @offset=40, @sum=total, @group=status', 'dim')}`;
     }
     
-    // Set the complete content
-    this.tui.resultsBox.setContent(fullContent);
+    this.tui.resultsBox.setContent(content);
     this.tui.resultsBox.setScrollPerc(0);
     this.tui.screen.render();
   }
 
+  /**
+   * Display an aggregate of the wildcard results - it becomes the last result, so :save/:copy use it
+   * (lastWildcardResults keeps the rows it was computed from)
+   */
+  displayAggregate(aggregate, aggregation, basePath, count) {
+    const w = this.wrapColor.bind(this);
+    this.tableState = null;
+    this.treeState = null;
+    const description = QueryPipeline.describeAggregation(aggregation);
+    
+    this.tui.lastDisplayedType = 'result';
+    this.appState.setLastResult(aggregate, `${basePath} | ${description}`);
+    
+    let body;
+    if (aggregation.groupBy) {
+      // One aligned line per group
+      const entries = Object.entries(aggregate);
+      const width = Math.min(40, Math.max(0, ...entries.map(([group]) => group.length)));
+      body = entries.length > 0
+        ? entries.map(([group, value]) => `${w(group.padEnd(width), 'path')}  ${Formatter.prettyPrint(value)}`)
+        : [w('(no groups)', 'dim')];
+    } else {
+      body = Formatter.prettyPrint(aggregate).split('\n');
+    }
+    
+    this.tui.resultsViewport.show([
+      `✓ ${w(description, 'info')} over ${count} result${count === 1 ? '' : 's'} from ${w(basePath, 'path')}`,
+      w('─'.repeat(50), 'dim'),
+      '',
+      ...body,
+      '',
+      w('─'.repeat(50), 'dim'),
+      w('Tip: :copy or :save to keep the aggregate', 'dim')
+    ]);
+    this.tui.screen.render();
+  }
+
+  /**
+   * Display a structural diff - the list of changes becomes the last result, so :save/:copy use it
+   */
+  displayDiff(changes, description) {
+    const w = this.wrapColor.bind(this);
+    this.tui.lastDisplayedType = 'result';
+    this.tui.lastWildcardResults = null;
+    this.tui.searchMatches = [];
+    this.tableState = null;
+    this.treeState = null;
+    this.lastRender = () => this.displayDiff(changes, description);
+    this.appState.setLastResult(changes, description);
+    
+    const header = [
+      `✓ ${w(description, 'info')}: ${w(JSONDiff.describe(changes), changes.length > 0 ? 'warning' : 'success')}`,
+      w('─'.repeat(50), 'dim'),
+      ''
+    ];
+    const footer = ['', w('─'.repeat(50), 'dim'), w('Tip: :save or :copy to keep the changes as JSON', 'dim')];
+    
+    // Values are cut to one line; the saved/copied changes keep them whole
+    this.tui.resultsViewport.show(header.length + changes.length + footer.length, index => {
+      if (index < header.length) return header[index];
+      if (index < header.length + changes.length) return JSONDiff.formatLines([changes[index - header.length]], w, 200)[0];
+      return footer[index - header.length - changes.length];
+    });
+    this.tui.screen.render();
+  }
+
+  /**
+   * Display schema violations as a numbered list - each entry carries the path of the offending value,
+   * so typing its number (or Enter in the results panel) jumps there like a wildcard result.
+   * The violations become the last result, so :save/:copy keep them
+   */
+  displayViolations(violations, description) {
+    const w = this.wrapColor.bind(this);
+    this.tableState = null;
+    this.treeState = null;
+    this.lastRender = () => this.displayViolations(violations, description);
+    this.appState.setLastResult(violations.map(({ path, keyword, message }) => ({ path, keyword, message })), description);
+    
+    if (violations.length === 0) {
+      this.tui.lastDisplayedType = 'result';
+      this.tui.lastWildcardResults = null;
+      this.tui.resultsViewport.show([w(`✓ ${description}: the document is valid`, 'success')]);
+      this.tui.screen.render();
+      return;
+    }
+    
+    this.tui.lastDisplayedType = 'wildcard';
+    this.tui.lastWildcardResults = violations.map(violation => ({ path: violation.pathArray, value: violation.message, violation: true }));
+    this.tui.searchMatches = [];
+    const entries = violations.map(violation => ({ label: violation.path, displayLabel: violation.path, value: `${violation.keyword}: ${violation.message}` }));
+    this.wildcardRows = { count: entries.length, labeled: false, getRow: idx => entries[idx] };
+    
+    this.listState = {
+      headerText: `✗ ${description}: ${violations.length} violation${violations.length === 1 ? '' : 's'}`,
+      headerType: 'error',
+      tableTip: ''
+    };
+    this.renderWildcardList();
+    this.tui.screen.render();
+  }
+
+  /**
+   * Display generated type definitions. The code becomes the last result, so :copy takes it as text
+   */
+  displayTypes(code, source, description) {
+    const w = this.wrapColor.bind(this);
+    this.tui.lastDisplayedType = 'types';
+    this.tui.lastWildcardResults = null;
+    this.tui.searchMatches = [];
+    this.tableState = null;
+    this.treeState = null;
+    this.typesSource = source;
+    this.lastRender = () => this.displayTypes(code, source, description);
+    this.appState.setLastResult(code, description);
+    
+    const lines = [
+      `✓ ${w(description, 'info')}`,
+      w('─'.repeat(50), 'dim'),
+      '',
+      ...code.split('\n').map(escapeTags),
+      '',
+      w('─'.repeat(50), 'dim'),
+      w('Tip: :copy to copy the definitions, :types ts|jsdoc|python to switch language', 'dim')
+    ];
+    this.tui.resultsViewport.show(lines);
+    this.tui.screen.render();
+  }
+
   /**
    * Display a single result
    */
@@ -356,6 +590,9 @@ class DisplayManager {
     this.tui.lastDisplayedType = 'result';
     this.tui.lastWildcardResults = null;
     this.tui.searchMatches = []; // Clear search matches when showing a single result
+    this.tableState = null;
+    this.treeState = null;
+    this.lastRender = () => this.displayResult(data, path, true);
     
     const w = this.wrapColor.bind(this);
     
@@ -384,24 +621,42 @@ class DisplayManager {
       this.tui.promptType = typeof data === 'string' && /%[0-9A-F]{2}/i.test(data) ? 'decode' : 'parse';
     }
     
-    // Format and display
-    const formatted = Formatter.prettyPrint(data);
     this.appState.setLastResult(data, path);
     
     // Set header
     const headerInfo = `✓ Result from: ${w(path, 'path')}`;
-    this.tui.resultsBox.setContent(
-      headerInfo + '\n' +
-      w('─'.repeat(50), 'dim') + '\n\n' +
-      formatted + '\n\n' +
-      w('─'.repeat(50), 'dim') + '\n' +
-      w('Tip: :copy to clipboard, :decode/:parse if needed', 'dim')
-    );
     
-    this.tui.resultsBox.setScrollPerc(0);
+    // Arrays of objects can be shown as a table instead
+    const tabular = TableView.isTabular(data);
+    if (this.tableView && tabular) {
+      this.showTable(`✓ Result from: ${path} (${data.length} items)`, data, index => `[${index}]`);
+      return;
+    }
+    
+    // Format and display - only the lines in view are colorized
+    const jsonLines = JSON.stringify(data, null, 2).split('\n');
+    const tableTip = this.getTableTip(tabular);
+    const header = [headerInfo, w('─'.repeat(50), 'dim'), ''];
+    const footer = ['', w('─'.repeat(50), 'dim'), w('Tip: :copy to clipboard, :decode/:parse if needed', 'dim')];
+    if (tableTip) {
+      footer.push(tableTip);
+    }
+    
+    this.tui.resultsViewport.show(header.length + jsonLines.length + footer.length, index => {
+      if (index < header.length) return header[index];
+      if (index < header.length + jsonLines.length) return Formatter.colorizeJSON(jsonLines[index - header.length]);
+      return footer[index - header.length - jsonLines.length];
+    });
     this.tui.screen.render();
   }
 }
 
+/**
+ * Escape braces so blessed shows them literally - generated code has {Object}, {number} etc.
+ */
+function escapeTags(text) {
+  return text.replace(/[{}]/g, brace => (brace === '{' ? '{open}' : '{close}'));
+}
+
 module.exports = { DisplayManager, TUI_COLORS };
 
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * TUI Table Module
+ *
+ * Lays out arrays of objects as aligned columns for the results panel:
+ * - isTabular() - Check whether values are homogeneous objects
+ * - build() - Compute columns (union of keys) and widths once per result; cell text is formatted per row on demand
+ * - render() - Line formatter for the columns that fit, starting at a horizontal scroll position
+ */
+
+const { CONSTANTS } = require('../constants');
+
+// ============= TABLE VIEW =============
+
+/**
+ * TableView - Columnar layout for arrays of objects
+ *
+ * @class
+ * @description Horizontal scrolling moves whole columns, so blessed color tags never get cut
+ * and the label column stays in place
+ */
+class TableView {
+  /**
+   * Check whether values can be shown as a table: plain objects sharing at least one key
+   *
+   * @static
+   * @param {Array} values - Result values
+   * @returns {boolean}
+   */
+  static isTabular(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      return false;
+    }
+    if (!values.every(value => value !== null && typeof value === 'object' && !Array.isArray(value))) {
+      return false;
+    }
+
+    const sharedKeys = Object.keys(values[0]).filter(key => values.every(value => Object.prototype.hasOwnProperty.call(value, key)));
+    return sharedKeys.length > 0;
+  }
+
+  /**
+   * Lay out rows as a table. Columns come from every row, but cell text is formatted only for the rows
+   * that get rendered, and column widths are measured on a sample of TABLE_WIDTH_SAMPLE_ROWS rows
+   * (longer cells elsewhere are truncated to fit)
+   *
+   * @static
+   * @param {Object[]} values - Row objects
+   * @param {Function} getLabel - index => row label, called when the row is measured or rendered
+   * @returns {{columns: string[], rowCount: number, getRow: Function, widths: number[], labelWidth: number}}
+   */
+  static build(values, getLabel) {
+    // Union of keys, in order of first appearance
+    const columnSet = new Set();
+    values.forEach(value => Object.keys(value).forEach(key => columnSet.add(key)));
+    const columns = Array.from(columnSet);
+
+    // Label and cell text of a row, formatted once
+    const rowCache = new Map();
+    const getRow = index => {
+      if (!rowCache.has(index)) {
+        const value = values[index];
+        rowCache.set(index, {
+          label: TableView.truncate(String(getLabel(index)), CONSTANTS.TABLE_MAX_LABEL_WIDTH),
+          cells: columns.map(column => TableView.formatCell(value[column], Object.prototype.hasOwnProperty.call(value, column)))
+        });
+      }
+      return rowCache.get(index);
+    };
+
+    const widths = columns.map(column => Math.min(column.length, CONSTANTS.TABLE_MAX_CELL_WIDTH));
+    let labelWidth = 1;
+    for (const index of TableView.sampleRows(values.length, CONSTANTS.TABLE_WIDTH_SAMPLE_ROWS)) {
+      const { label, cells } = getRow(index);
+      cells.forEach((cell, column) => {
+        widths[column] = Math.max(widths[column], cell.length);
+      });
+      labelWidth = Math.max(labelWidth, label.length);
+    }
+
+    return {
+      columns: columns.map(column => TableView.truncate(column, CONSTANTS.TABLE_MAX_CELL_WIDTH)),
+      rowCount: values.length,
+      getRow,
+      widths,
+      labelWidth
+    };
+  }
+
+  /**
+   * Lay out the columns that fit from a horizontal scroll position. Lines are formatted on demand:
+   * line 0 is the column header, line 1 the rule, then one line per row
+   *
+   * @static
+   * @param {Object} table - Result of build()
+   * @param {Object} options - Render options
+   * @param {number} options.scrollX - Index of the first visible column
+   * @param {number} options.viewWidth - Characters available per line
+   * @param {number} [options.selectedIndex=-1] - Row to highlight (marked with {#SELECTED#} for scrolling)
+   * @param {Function} options.wrapColor - Color helper (text, type) => tagged text
+   * @returns {{lineCount: number, formatLine: Function, firstColumn: number, lastColumn: number}} Line count and
+   * index => line formatter, plus the visible column range
+   */
+  static render(table, options) {
+    const { scrollX, viewWidth, selectedIndex = -1, wrapColor: w } = options;
+    const { columns, rowCount, getRow, widths, labelWidth } = table;
+
+    // Fit as many columns as the width allows (always at least one)
+    const visible = [];
+    let used = labelWidth;
+    for (let index = scrollX; index < columns.length; index++) {
+      if (visible.length > 0 && used + 3 + widths[index] > viewWidth) break;
+      visible.push(index);
+      used += 3 + widths[index];
+    }
+
+    const header = ''.padEnd(labelWidth) + visible.map(index => ` │ ${w(columns[index].padEnd(widths[index]), 'info')}`).join('');
+    const rule = w('─'.repeat(labelWidth) + visible.map(index => `─┼─${'─'.repeat(widths[index])}`).join(''), 'dim');
+
+    const formatLine = lineIndex => {
+      if (lineIndex === 0) return header;
+      if (lineIndex === 1) return rule;
+
+      const rowIndex = lineIndex - 2;
+      const { label: fullLabel, cells } = getRow(rowIndex);
+      const label = TableView.truncate(fullLabel, labelWidth).padEnd(labelWidth);
+      const row = visible.map(index => ` │ ${TableView.truncate(cells[index], widths[index]).padEnd(widths[index])}`).join('');
+      if (rowIndex === selectedIndex) {
+        return `{#SELECTED#}${w(label + row, 'highlight')}`;
+      }
+      return w(label, 'path') + row;
+    };
+
+    return {
+      lineCount: 2 + rowCount,
+      formatLine,
+      firstColumn: visible[0],
+      lastColumn: visible[visible.length - 1]
+    };
+  }
+
+  /**
+   * Rows to measure: all of them for small tables, otherwise the first rows plus rows spread evenly
+   * up to the last one (labels and ids tend to grow towards the end)
+   *
+   * @static
+   * @param {number} rowCount - Rows in the table
+   * @param {number} size - Rows to pick
+   * @returns {Set<number>} Row indexes
+   */
+  static sampleRows(rowCount, size) {
+    if (rowCount <= size) {
+      return new Set(Array.from({ length: rowCount }, (_, index) => index));
+    }
+    const half = Math.floor(size / 2);
+    const rows = new Set(Array.from({ length: half }, (_, index) => index));
+    for (let step = 0; step < half; step++) {
+      rows.add(Math.round(step * (rowCount - 1) / (half - 1)));
+    }
+    return rows;
+  }
+
+  /**
+   * Single-line cell text
+   *
+   * @static
+   * @param {*} value - Cell value
+   * @param {boolean} present - Whether the row has the key (missing cells are blank, null shows as null)
+   * @returns {string}
+   */
+  static formatCell(value, present) {
+    if (!present || value === undefined) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return TableView.truncate(text.replace(/\s+/g, ' '), CONSTANTS.TABLE_MAX_CELL_WIDTH);
+  }
+
+  static truncate(text, maxWidth) {
+    return text.length > maxWidth ? `${text.substring(0, maxWidth - 1)}…` : text;
+  }
+}
+
+module.exports = { TableView };
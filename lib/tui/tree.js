@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * TUI Tree Module
+ *
+ * Collapsible outline of a JSON value for the results panel:
+ * - getVisibleNodes() - Flatten the expanded part of the document into lines
+ * - moveSelection() / expand() / collapse() - Keyboard navigation
+ * - render() - Colorized lines for a window of nodes, the focused one highlighted
+ */
+
+const { PathExtractor } = require('../path');
+const { CONSTANTS } = require('../constants');
+
+// ============= TREE VIEW =============
+
+/**
+ * TreeView - Expand/collapse navigation over a JSON value
+ *
+ * @class
+ * @description Only expanded containers are walked, and large containers list their children a page
+ * at a time (a "… N more" line loads the next page), so huge documents open instantly
+ */
+class TreeView {
+  /**
+   * Create a tree over a value
+   *
+   * @param {*} data - Value to browse
+   * @param {string} [rootPath='$'] - JSONPath of the value (node paths are built from it)
+   */
+  constructor(data, rootPath = '$') {
+    this.data = data;
+    this.rootPath = rootPath || '$';
+    this.expanded = new Set([this.rootPath]); // Paths of expanded containers
+    this.shownChildren = new Map(); // Path -> number of children listed (paged)
+    this.selectedIndex = 0;
+    this.scrollTop = 0; // First node in the viewport
+    this.nodes = null; // Cached flattened nodes, rebuilt after expand/collapse
+  }
+
+  /**
+   * Flatten the expanded part of the tree
+   *
+   * @returns {Array<Object>} Nodes { key, value, path, keys, depth, parent, isContainer, childCount } and
+   *   "more" nodes { more, path, depth, parent, parentKeys } for paged containers; keys are the keys and
+   *   indexes from the root value down to the node
+   */
+  getVisibleNodes() {
+    if (this.nodes) return this.nodes;
+
+    const nodes = [];
+    const visit = (key, value, path, keys, depth, parent) => {
+      const isContainer = value !== null && typeof value === 'object';
+      const childKeys = isContainer && !Array.isArray(value) ? Object.keys(value) : null;
+      const childCount = !isContainer ? 0 : (childKeys ? childKeys.length : value.length);
+      nodes.push({ key, value, path, keys, depth, parent, isContainer, childCount });
+
+      if (!isContainer || !this.expanded.has(path)) return;
+
+      const shown = Math.min(childCount, this.shownChildren.get(path) || CONSTANTS.TREE_CHILD_PAGE_SIZE);
+      for (let i = 0; i < shown; i++) {
+        if (childKeys) {
+          visit(childKeys[i], value[childKeys[i]], PathExtractor.buildPath(path, childKeys[i]), [...keys, childKeys[i]], depth + 1, path);
+        } else {
+          visit(i, value[i], `${path}[${i}]`, [...keys, i], depth + 1, path);
+        }
+      }
+      if (shown < childCount) {
+        nodes.push({ more: childCount - shown, path: `${path}#more`, depth: depth + 1, parent: path, parentKeys: keys });
+      }
+    };
+
+    visit(null, this.data, this.rootPath, [], 0, null);
+    this.nodes = nodes;
+    return nodes;
+  }
+
+  /**
+   * Get the focused node
+   *
+   * @returns {Object} Node (see getVisibleNodes)
+   */
+  getSelectedNode() {
+    return this.getVisibleNodes()[this.selectedIndex];
+  }
+
+  /**
+   * Move the focus up or down
+   *
+   * @param {number} delta - Lines to move (negative = up)
+   * @returns {void}
+   */
+  moveSelection(delta) {
+    const count = this.getVisibleNodes().length;
+    this.selectedIndex = Math.max(0, Math.min(count - 1, this.selectedIndex + delta));
+  }
+
+  /**
+   * Expand the focused container, step into it if already expanded, or load the next page of a "more" line
+   *
+   * @returns {boolean} Whether anything changed
+   */
+  expand() {
+    const node = this.getSelectedNode();
+
+    if (node.more) {
+      const parentNode = this.getVisibleNodes().find(candidate => candidate.path === node.parent);
+      const shown = this.shownChildren.get(node.parent) || CONSTANTS.TREE_CHILD_PAGE_SIZE;
+      this.shownChildren.set(node.parent, Math.min(parentNode.childCount, shown + CONSTANTS.TREE_CHILD_PAGE_SIZE));
+      this.nodes = null;
+      return true;
+    }
+
+    if (!node.isContainer || node.childCount === 0) return false;
+
+    if (this.expanded.has(node.path)) {
+      this.moveSelection(1); // Step to the first child
+    } else {
+      this.expanded.add(node.path);
+      this.nodes = null;
+    }
+    return true;
+  }
+
+  /**
+   * Collapse the focused container, or move to its parent
+   *
+   * @returns {boolean} false when already at the collapsed root (nothing left to collapse)
+   */
+  collapse() {
+    const node = this.getSelectedNode();
+
+    if (node.isContainer && this.expanded.has(node.path)) {
+      this.expanded.delete(node.path);
+      this.nodes = null;
+      return true;
+    }
+
+    if (node.parent === null) return false;
+
+    this.selectedIndex = this.getVisibleNodes().findIndex(candidate => candidate.path === node.parent);
+    return true;
+  }
+
+  /**
+   * Render the nodes that fit in the viewport, scrolling just enough to keep the focused node in view
+   *
+   * @param {Function} wrapColor - Color helper (text, type) => tagged text
+   * @param {number} height - Lines available
+   * @returns {string[]} One line per node, the focused one in inverse video
+   */
+  render(wrapColor, height) {
+    const w = wrapColor;
+
+    if (this.selectedIndex < this.scrollTop) {
+      this.scrollTop = this.selectedIndex;
+    } else if (this.selectedIndex >= this.scrollTop + height) {
+      this.scrollTop = this.selectedIndex - height + 1;
+    }
+    this.scrollTop = Math.max(0, Math.min(this.scrollTop, this.getVisibleNodes().length - height));
+
+    return this.getVisibleNodes().slice(this.scrollTop, this.scrollTop + height).map((node, offset) => {
+      const index = this.scrollTop + offset;
+      const indent = '  '.repeat(node.depth);
+      let line;
+
+      if (node.more) {
+        line = `${indent}  ${w(`… ${node.more} more (→ to show)`, 'dim')}`;
+      } else {
+        const key = node.key === null ? w(node.path, 'path') : w(typeof node.key === 'number' ? `[${node.key}]` : node.key, 'key');
+        if (node.isContainer) {
+          const marker = this.expanded.has(node.path) && node.childCount > 0 ? '▾' : '▸';
+          const count = Array.isArray(node.value)
+            ? `[${node.childCount} item${node.childCount === 1 ? '' : 's'}]`
+            : `{${node.childCount} key${node.childCount === 1 ? '' : 's'}}`;
+          line = `${indent}${w(marker, 'dim')} ${key} ${w(count, 'dim')}`;
+        } else {
+          line = `${indent}  ${key}: ${TreeView.formatValue(node.value, w)}`;
+        }
+      }
+
+      return index === this.selectedIndex ? `{inverse}${line}{/inverse}` : line;
+    });
+  }
+
+  /**
+   * Colorized one-line preview of a primitive
+   *
+   * @static
+   * @param {*} value - String, number, boolean or null
+   * @param {Function} w - Color helper
+   * @returns {string}
+   */
+  static formatValue(value, w) {
+    if (value === null) return w('null', 'null');
+    if (typeof value === 'string') {
+      const text = value.length > 60 ? `${value.substring(0, 59)}…` : value;
+      return w(JSON.stringify(text), 'string');
+    }
+    return w(String(value), typeof value === 'number' ? 'number' : 'boolean');
+  }
+}
+
+module.exports = { TreeView };
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * TUI Viewport Module
+ *
+ * Virtual scrolling for the results panel - the box only ever holds the visible lines plus a margin:
+ * - show() - Display lines (an array, or a line count plus a formatter called on demand)
+ * - scrollTo() / getScroll() - Scroll by absolute line number
+ * - getLine() / replaceLine() - Read or update one line (e.g. a header) in place
+ * - refresh() - Redraw the window after a resize
+ */
+
+const { CONSTANTS } = require('../constants');
+
+// ============= RESULT VIEWPORT =============
+
+/**
+ * ResultViewport - Windowed rendering of long content in a scrollable blessed box
+ *
+ * @class
+ * @description blessed parses and wraps the whole content of a box whenever it changes, which freezes the
+ * terminal on results with tens of thousands of lines. The viewport formats only the lines around the scroll
+ * position and slides that window whenever the box scrolls near its edge (mouse wheel, keys or scrollTo)
+ */
+class ResultViewport {
+  /**
+   * Attach a viewport to a box
+   *
+   * @param {Object} box - Scrollable blessed box
+   * @param {number} [margin] - Lines formatted above and below the visible ones
+   */
+  constructor(box, margin = CONSTANTS.RESULTS_VIEWPORT_MARGIN) {
+    this.box = box;
+    this.margin = margin;
+    this.lineCount = 0;
+    this.formatLine = null; // index => line text (blessed tags allowed)
+    this.replaced = new Map(); // index => line set with replaceLine()
+    this.windowStart = 0; // First line currently in the box
+    this.windowEnd = 0; // One past the last line currently in the box
+    this.lineStarts = []; // Box line where each window line starts (a line may contain newlines)
+    this.topBoxLine = 0; // Box line scrollTo put at the top
+    this.content = null; // Content we gave the box - anything else means another view was drawn since
+    this.moving = false; // Ignore the scroll events we cause ourselves
+
+    box.on('scroll', () => this.handleScroll());
+  }
+
+  /**
+   * Display new content
+   *
+   * @param {string[]|number} lines - Lines, or the number of lines when a formatter is given
+   * @param {Function} [formatLine] - index => line, called only for lines inside the window
+   * @param {number} [top=0] - First line to show
+   * @returns {void}
+   */
+  show(lines, formatLine = null, top = 0) {
+    if (Array.isArray(lines)) {
+      this.lineCount = lines.length;
+      this.formatLine = index => lines[index];
+    } else {
+      this.lineCount = lines;
+      this.formatLine = formatLine;
+    }
+    this.replaced = new Map();
+    this.scrollTo(top);
+  }
+
+  /**
+   * Whether the box still shows our content (other views call setContent directly)
+   *
+   * @returns {boolean}
+   */
+  isShowing() {
+    return this.content !== null && this.box.content === this.content;
+  }
+
+  /**
+   * Lines visible at once (inside the border)
+   *
+   * @returns {number}
+   */
+  getHeight() {
+    return Math.max(1, this.box.height - this.box.iheight);
+  }
+
+  /**
+   * Text of a line, formatted on demand
+   *
+   * @param {number} index - Absolute line number
+   * @returns {string}
+   */
+  getLine(index) {
+    return this.replaced.has(index) ? this.replaced.get(index) : this.formatLine(index);
+  }
+
+  /**
+   * Update one line, redrawing only if it is inside the window
+   *
+   * @param {number} index - Absolute line number
+   * @param {string} line - New text
+   * @returns {void}
+   */
+  replaceLine(index, line) {
+    this.replaced.set(index, line);
+    if (this.isShowing() && index >= this.windowStart && index < this.windowEnd) {
+      this.scrollTo(this.getScroll());
+    }
+  }
+
+  /**
+   * Absolute number of the first visible line
+   *
+   * @returns {number}
+   */
+  getScroll() {
+    const boxLine = this.getTopBoxLine();
+
+    let offset = 0;
+    while (offset + 1 < this.lineStarts.length && this.lineStarts[offset + 1] <= boxLine) {
+      offset++;
+    }
+    return this.windowStart + offset;
+  }
+
+  /**
+   * Scroll so a line is at the top, formatting the window around it
+   *
+   * @param {number} line - Absolute line number
+   * @returns {void}
+   */
+  scrollTo(line) {
+    const top = Math.max(0, Math.min(line, this.lineCount - 1));
+    const start = Math.max(0, top - this.margin);
+    const end = Math.min(this.lineCount, top + this.getHeight() + this.margin);
+
+    const lines = [];
+    const lineStarts = [];
+    let boxLine = 0;
+    for (let index = start; index < end; index++) {
+      const line = this.getLine(index);
+      lines.push(line);
+      lineStarts.push(boxLine);
+      boxLine += line.split('\n').length;
+    }
+
+    this.moving = true;
+    this.windowStart = start;
+    this.windowEnd = end;
+    this.lineStarts = lineStarts;
+    this.box.setContent(lines.join('\n'));
+    this.content = this.box.content;
+
+    this.topBoxLine = lineStarts.length > 0 ? lineStarts[top - start] : 0;
+    this.box.setScroll(this.boxLineToRow(this.topBoxLine));
+    this.moving = false;
+  }
+
+  /**
+   * Box line at the top of the box. Long lines wrap, so box rows and box lines differ, and blessed has no
+   * public API for either: its getScroll() is the bottom row after scrolling down, the top row is childBase,
+   * and the wrapped content keeps the mapping (_clines.rtof: row => line, _clines.ftor: line => rows).
+   * Only this method and boxLineToRow read those fields. If a blessed version lacks them, rows count as
+   * unwrapped lines and the top is the line scrollTo last showed
+   *
+   * @returns {number}
+   */
+  getTopBoxLine() {
+    const row = this.box.childBase;
+    if (typeof row !== 'number') return this.topBoxLine;
+    const rowToLine = this.box._clines && this.box._clines.rtof;
+    return Array.isArray(rowToLine) && typeof rowToLine[row] === 'number' ? rowToLine[row] : row;
+  }
+
+  /**
+   * First box row of a box line (see getTopBoxLine)
+   *
+   * @param {number} boxLine - Line of the box content
+   * @returns {number}
+   */
+  boxLineToRow(boxLine) {
+    const lineToRows = this.box._clines && this.box._clines.ftor;
+    const rows = Array.isArray(lineToRows) ? lineToRows[boxLine] : null;
+    return Array.isArray(rows) && rows.length > 0 ? rows[0] : boxLine;
+  }
+
+  /**
+   * Redraw the window at the current position (e.g. after a resize)
+   *
+   * @returns {void}
+   */
+  refresh() {
+    if (this.isShowing()) {
+      this.scrollTo(this.getScroll());
+    }
+  }
+
+  /**
+   * Slide the window when the box has scrolled to within a screen of its edge
+   */
+  handleScroll() {
+    if (this.moving || !this.isShowing()) return;
+
+    const top = this.getScroll();
+    const height = this.getHeight();
+    const nearStart = this.windowStart > 0 && top < this.windowStart + height;
+    const nearEnd = this.windowEnd < this.lineCount && top + 2 * height > this.windowEnd;
+
+    if (nearStart || nearEnd) {
+      this.scrollTo(top);
+    }
+  }
+}
+
+module.exports = { ResultViewport };
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+const { SchemaInference } = require('./schema');
+
+// ============= TYPE DEFINITION GENERATOR =============
+
+const TYPE_LANGUAGES = ['ts', 'jsdoc', 'python'];
+
+const PYTHON_KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+  'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+  'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'
+]);
+
+/**
+ * TypeGenerator - TypeScript interfaces, JSDoc typedefs or Python TypedDicts from a sample value
+ *
+ * @class
+ * @description Works from the schema SchemaInference infers, so array elements are merged the same
+ * way: keys missing from some elements become optional, mixed element types become unions. Every
+ * nested object gets a named type (users[] -> User), and objects with the same fields share one name
+ */
+class TypeGenerator {
+  /**
+   * Generate type definitions
+   *
+   * @static
+   * @param {*} data - Sample value
+   * @param {string} [language='ts'] - ts, jsdoc or python
+   * @param {string} [rootName='Root'] - Name of the top-level type
+   * @returns {string} Source code
+   */
+  static generate(data, language = 'ts', rootName = 'Root') {
+    const generator = new TypeGenerator();
+    const root = generator.fromSchema(SchemaInference.infer(data), TypeGenerator.toTypeName(rootName) || 'Root', true);
+
+    if (language === 'python') return generator.renderPython(root, rootName);
+    if (language === 'jsdoc') return generator.renderJSDoc(root, rootName);
+    return generator.renderTypeScript(root, rootName);
+  }
+
+  constructor() {
+    this.declarations = []; // { name, fields: [{ key, type, optional }] }, children before parents
+    this.bySignature = new Map(); // Field signature -> declaration, so identical shapes share a name
+  }
+
+  /**
+   * Turn an inferred schema into a type: { kind: 'primitive', name } | { kind: 'array', items } |
+   * { kind: 'union', types } | { kind: 'object', name } | { kind: 'map' } (object without known keys)
+   *
+   * @param {Object} schema - Schema from SchemaInference
+   * @param {string} name - Name for an object type found here
+   * @param {boolean} [isRoot=false] - The root object keeps its name even if taken
+   * @returns {Object} Type
+   */
+  fromSchema(schema, name, isRoot = false) {
+    if (schema.type === undefined) {
+      return { kind: 'primitive', name: 'unknown' };
+    }
+
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map(type => {
+      if (type === 'object') return this.objectType(schema, name, isRoot);
+      if (type === 'array') {
+        return { kind: 'array', items: schema.items ? this.fromSchema(schema.items, TypeGenerator.singular(name)) : { kind: 'primitive', name: 'unknown' } };
+      }
+      return { kind: 'primitive', name: type };
+    });
+    return types.length === 1 ? types[0] : { kind: 'union', types };
+  }
+
+  objectType(schema, name, isRoot) {
+    const keys = Object.keys(schema.properties || {});
+    if (keys.length === 0) {
+      return { kind: 'map' };
+    }
+
+    const required = new Set(schema.required || []);
+    const fields = keys.map(key => ({
+      key,
+      type: this.fromSchema(schema.properties[key], TypeGenerator.toTypeName(key) || 'Item'),
+      optional: !required.has(key)
+    }));
+
+    const signature = JSON.stringify(fields);
+    if (!isRoot && this.bySignature.has(signature)) {
+      return { kind: 'object', name: this.bySignature.get(signature).name };
+    }
+
+    let uniqueName = name;
+    for (let suffix = 2; this.declarations.some(declaration => declaration.name === uniqueName); suffix++) {
+      uniqueName = `${name}${suffix}`;
+    }
+    const declaration = { name: uniqueName, fields };
+    this.declarations.push(declaration);
+    this.bySignature.set(signature, declaration);
+    return { kind: 'object', name: uniqueName };
+  }
+
+  renderTypeScript(root, rootName) {
+    const typeText = (type) => {
+      if (type.kind === 'object') return type.name;
+      if (type.kind === 'map') return 'Record<string, unknown>';
+      if (type.kind === 'union') return type.types.map(typeText).join(' | ');
+      if (type.kind === 'array') {
+        const items = typeText(type.items);
+        return type.items.kind === 'union' ? `(${items})[]` : `${items}[]`;
+      }
+      return type.name === 'integer' ? 'number' : type.name;
+    };
+    const keyText = key => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
+
+    const blocks = this.parentsFirst().map(declaration => [
+      `export interface ${declaration.name} {`,
+      ...declaration.fields.map(field => `  ${keyText(field.key)}${field.optional ? '?' : ''}: ${typeText(field.type)};`),
+      '}'
+    ].join('\n'));
+    if (root.kind !== 'object') {
+      blocks.unshift(`export type ${TypeGenerator.toTypeName(rootName) || 'Root'} = ${typeText(root)};`);
+    }
+    return blocks.join('\n\n');
+  }
+
+  renderJSDoc(root, rootName) {
+    const typeText = (type) => {
+      if (type.kind === 'object') return type.name;
+      if (type.kind === 'map') return 'Object<string, *>';
+      if (type.kind === 'union') return type.types.map(typeText).join('|');
+      if (type.kind === 'array') {
+        const items = typeText(type.items);
+        return type.items.kind === 'union' ? `(${items})[]` : `${items}[]`;
+      }
+      if (type.name === 'unknown') return '*';
+      return type.name === 'integer' ? 'number' : type.name;
+    };
+    const keyText = key => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key));
+
+    const blocks = this.parentsFirst().map(declaration => [
+      '/**',
+      ` * @typedef {Object} ${declaration.name}`,
+      ...declaration.fields.map(field => ` * @property {${typeText(field.type)}} ${field.optional ? `[${keyText(field.key)}]` : keyText(field.key)}`),
+      ' */'
+    ].join('\n'));
+    if (root.kind !== 'object') {
+      blocks.unshift(`/** @typedef {${typeText(root)}} ${TypeGenerator.toTypeName(rootName) || 'Root'} */`);
+    }
+    return blocks.join('\n\n');
+  }
+
+  renderPython(root, rootName) {
+    const imports = new Set(this.declarations.length > 0 ? ['TypedDict'] : []);
+    const typeText = (type) => {
+      if (type.kind === 'object') return type.name;
+      if (type.kind === 'map') {
+        imports.add('Any').add('Dict');
+        return 'Dict[str, Any]';
+      }
+      if (type.kind === 'array') {
+        imports.add('List');
+        return `List[${typeText(type.items)}]`;
+      }
+      if (type.kind === 'union') {
+        const nonNull = type.types.filter(member => !(member.kind === 'primitive' && member.name === 'null'));
+        if (nonNull.length === 1) {
+          imports.add('Optional');
+          return `Optional[${typeText(nonNull[0])}]`;
+        }
+        imports.add('Union');
+        return `Union[${type.types.map(typeText).join(', ')}]`;
+      }
+      if (type.name === 'unknown') {
+        imports.add('Any');
+        return 'Any';
+      }
+      return { string: 'str', integer: 'int', number: 'float', boolean: 'bool', null: 'None' }[type.name];
+    };
+    const fieldType = (field) => {
+      if (!field.optional) return typeText(field.type);
+      imports.add('NotRequired');
+      return `NotRequired[${typeText(field.type)}]`;
+    };
+    const isIdentifier = key => /^[A-Za-z_]\w*$/.test(key) && !PYTHON_KEYWORDS.has(key);
+
+    // Python needs each class defined before it is used
+    const blocks = this.declarations.map(declaration => {
+      if (declaration.fields.every(field => isIdentifier(field.key))) {
+        return [
+          `class ${declaration.name}(TypedDict):`,
+          ...declaration.fields.map(field => `    ${field.key}: ${fieldType(field)}`)
+        ].join('\n');
+      }
+      // Keys like "content-type" need the functional syntax
+      return [
+        `${declaration.name} = TypedDict('${declaration.name}', {`,
+        ...declaration.fields.map(field => `    ${JSON.stringify(field.key)}: ${fieldType(field)},`),
+        '})'
+      ].join('\n');
+    });
+    if (root.kind !== 'object') {
+      blocks.push(`${TypeGenerator.toTypeName(rootName) || 'Root'} = ${typeText(root)}`);
+    }
+
+    // NotRequired is in typing from Python 3.11
+    if (imports.size === 0) {
+      return blocks.join('\n\n\n');
+    }
+    return `from typing import ${Array.from(imports).sort().join(', ')}\n\n\n${blocks.join('\n\n\n')}`;
+  }
+
+  /**
+   * Declarations with each type before the types it uses (reads top-down, root first)
+   */
+  parentsFirst() {
+    return this.declarations.slice().reverse();
+  }
+
+  /**
+   * PascalCase name for a key: "shipping_address" -> ShippingAddress, "content-type" -> ContentType
+   *
+   * @static
+   * @param {string} key - JSON key or user-given name
+   * @returns {string} Type name ('' if the key has no letters or digits)
+   */
+  static toTypeName(key) {
+    const name = String(key)
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('');
+    return /^\d/.test(name) ? `T${name}` : name;
+  }
+
+  /**
+   * Name for the elements of an array: Users -> User, Categories -> Category, Data -> DataItem
+   *
+   * @static
+   * @param {string} name - Type name of the array
+   * @returns {string}
+   */
+  static singular(name) {
+    if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+    if (/(ss|us|is)$/.test(name) || !/s$/.test(name)) return `${name}Item`;
+    return name.replace(/s$/, '');
+  }
+}
+
+module.exports = { TypeGenerator, TYPE_LANGUAGES };
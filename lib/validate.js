@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+
+const { PathExtractor } = require('./path');
+const { STRING_FORMATS } = require('./schema');
+
+// ============= JSON SCHEMA VALIDATION =============
+
+/**
+ * Formats checked by the "format" keyword - the ones :schema infers, plus a few common extras.
+ * Other formats are accepted without checking, as the spec allows
+ */
+const FORMAT_CHECKS = [
+  ...STRING_FORMATS,
+  { name: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { name: 'time', pattern: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/ },
+  { name: 'ipv4', pattern: /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/ }
+];
+
+/**
+ * SchemaError - A schema that can't be used (bad $ref, invalid pattern, not a schema at all)
+ *
+ * @class
+ * @extends Error
+ * @description Carries the JSON Pointer of the problem inside the schema
+ */
+class SchemaError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} schemaPath - Location in the schema, e.g. #/properties/id
+   */
+  constructor(message, schemaPath) {
+    super(`${message} (at ${schemaPath})`);
+    this.name = 'SchemaError';
+    this.schemaPath = schemaPath;
+  }
+}
+
+/**
+ * SchemaValidator - Check a document against a JSON Schema (draft 2020-12)
+ *
+ * @class
+ * @description Covers the validation keywords: type, enum, const, the numeric, string, array and
+ * object constraints, format, allOf/anyOf/oneOf/not, if/then/else, dependentRequired/dependentSchemas
+ * and local $ref (#/$defs/..., #anchor). Every violation is reported with the JSONPath of the
+ * offending value rather than stopping at the first. unevaluatedProperties/unevaluatedItems and
+ * references to other documents are not supported
+ */
+class SchemaValidator {
+  /**
+   * Create a validator
+   *
+   * @param {Object|boolean} schema - Parsed JSON Schema
+   * @throws {SchemaError} If the schema isn't an object or a boolean
+   */
+  constructor(schema) {
+    if (typeof schema !== 'boolean' && !isObject(schema)) {
+      throw new SchemaError('A schema must be an object or a boolean', '#');
+    }
+    this.root = schema;
+    this.anchors = null; // $anchor name -> schema, collected on first use
+    this.patterns = new Map(); // pattern -> RegExp
+    this.active = []; // { schema, value } pairs being checked, to catch a $ref that loops on the same value
+  }
+
+  /**
+   * Validate a document
+   *
+   * @param {*} data - Document to check
+   * @param {Array} [pathArray=['$']] - Path of data, when it's part of a larger document (['$', 'response', 'body'])
+   * @returns {Array<{path: string, pathArray: Array, keyword: string, message: string, schemaPath: string}>}
+   *   Violations in document order (empty when valid)
+   * @throws {SchemaError} If the schema turns out to be unusable while checking
+   */
+  validate(data, pathArray = ['$']) {
+    const violations = [];
+    this.check(this.root, data, pathArray, '#', violations);
+    return violations;
+  }
+
+  /**
+   * Check a value against a (sub)schema, adding violations to the list
+   *
+   * @param {Object|boolean} schema - Schema to apply
+   * @param {*} value - Value being checked
+   * @param {Array} pathArray - Path of the value (['$', 'users', 0, ...])
+   * @param {string} schemaPath - JSON Pointer of the schema, for error messages
+   * @param {Array<Object>} violations - Collected violations
+   * @returns {void}
+   */
+  check(schema, value, pathArray, schemaPath, violations) {
+    this.active.push({ schema, value });
+    try {
+      this.applySchema(schema, value, pathArray, schemaPath, violations);
+    } finally {
+      this.active.pop();
+    }
+  }
+
+  applySchema(schema, value, pathArray, schemaPath, violations) {
+    if (schema === true) return;
+    if (schema === false) {
+      this.report(violations, pathArray, 'false', 'No value is allowed here', schemaPath);
+      return;
+    }
+    if (!isObject(schema)) {
+      throw new SchemaError('Expected a schema (object or boolean)', schemaPath);
+    }
+
+    const report = (keyword, message, at = pathArray) => this.report(violations, at, keyword, message, `${schemaPath}/${keyword}`);
+
+    if (schema.$ref !== undefined) {
+      const target = this.resolveRef(schema.$ref, schemaPath);
+      // Recursive schemas are fine as long as each round checks a deeper value - coming back to a schema
+      // already applied to this same value would recurse forever
+      if (this.active.some(entry => entry.schema === target && Object.is(entry.value, value))) {
+        throw new SchemaError(`Circular $ref "${schema.$ref}" (it leads back here without checking a nested value)`, `${schemaPath}/$ref`);
+      }
+      this.check(target, value, pathArray, `${schemaPath}/$ref`, violations);
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        report('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(allowed => isEqual(allowed, value))) {
+      report('enum', `Expected one of ${truncate(schema.enum.map(allowed => JSON.stringify(allowed)).join(', '), 80)}`);
+    }
+    if (schema.const !== undefined && !isEqual(schema.const, value)) {
+      report('const', `Expected ${truncate(JSON.stringify(schema.const), 80)}`);
+    }
+
+    if (typeof value === 'number') {
+      this.checkNumber(schema, value, report);
+    } else if (typeof value === 'string') {
+      this.checkString(schema, value, schemaPath, report);
+    } else if (Array.isArray(value)) {
+      this.checkArray(schema, value, pathArray, schemaPath, violations, report);
+    } else if (isObject(value)) {
+      this.checkObject(schema, value, pathArray, schemaPath, violations, report);
+    }
+
+    this.checkCombinators(schema, value, pathArray, schemaPath, violations, report);
+  }
+
+  checkNumber(schema, value, report) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report('minimum', `Expected >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report('maximum', `Expected <= ${schema.maximum}, got ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      report('exclusiveMinimum', `Expected > ${schema.exclusiveMinimum}, got ${value}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      report('exclusiveMaximum', `Expected < ${schema.exclusiveMaximum}, got ${value}`);
+    }
+    if (schema.multipleOf !== undefined) {
+      // Tolerate float noise (0.3 is a multiple of 0.1)
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        report('multipleOf', `Expected a multiple of ${schema.multipleOf}, got ${value}`);
+      }
+    }
+  }
+
+  checkString(schema, value, schemaPath, report) {
+    const length = Array.from(value).length; // Code points, not UTF-16 units
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      report('minLength', `Expected at least ${schema.minLength} characters, got ${length}`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      report('maxLength', `Expected at most ${schema.maxLength} characters, got ${length}`);
+    }
+    if (schema.pattern !== undefined && !this.getPattern(schema.pattern, `${schemaPath}/pattern`).test(value)) {
+      report('pattern', `Doesn't match /${schema.pattern}/`);
+    }
+    if (schema.format !== undefined) {
+      const format = FORMAT_CHECKS.find(candidate => candidate.name === schema.format);
+      if (format && !format.pattern.test(value)) {
+        report('format', `Not a valid ${schema.format}: ${truncate(JSON.stringify(value), 60)}`);
+      }
+    }
+  }
+
+  checkArray(schema, value, pathArray, schemaPath, violations, report) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `Expected at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report('maxItems', `Expected at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.uniqueItems === true) {
+      const seen = new Map();
+      for (let index = 0; index < value.length; index++) {
+        const key = canonicalJSON(value[index]);
+        if (seen.has(key)) {
+          report('uniqueItems', `Items [${seen.get(key)}] and [${index}] are equal`);
+          break;
+        }
+        seen.set(key, index);
+      }
+    }
+
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    value.forEach((element, index) => {
+      if (index < prefixItems.length) {
+        this.check(prefixItems[index], element, [...pathArray, index], `${schemaPath}/prefixItems/${index}`, violations);
+      } else if (schema.items !== undefined) {
+        this.check(schema.items, element, [...pathArray, index], `${schemaPath}/items`, violations);
+      }
+    });
+
+    if (schema.contains !== undefined) {
+      const matches = value.filter((element, index) => this.isValid(schema.contains, element, [...pathArray, index], `${schemaPath}/contains`)).length;
+      const min = schema.minContains !== undefined ? schema.minContains : 1;
+      if (matches < min) {
+        report('contains', `Expected at least ${min} item${min === 1 ? '' : 's'} matching "contains", found ${matches}`);
+      }
+      if (schema.maxContains !== undefined && matches > schema.maxContains) {
+        report('maxContains', `Expected at most ${schema.maxContains} items matching "contains", found ${matches}`);
+      }
+    }
+  }
+
+  checkObject(schema, value, pathArray, schemaPath, violations, report) {
+    const keys = Object.keys(value);
+
+    if (Array.isArray(schema.required)) {
+      schema.required
+        .filter(key => !hasOwn(value, key))
+        .forEach(key => report('required', `Missing required property "${key}"`));
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      report('minProperties', `Expected at least ${schema.minProperties} properties, got ${keys.length}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      report('maxProperties', `Expected at most ${schema.maxProperties} properties, got ${keys.length}`);
+    }
+    if (isObject(schema.dependentRequired)) {
+      Object.keys(schema.dependentRequired)
+        .filter(key => hasOwn(value, key))
+        .forEach(key => schema.dependentRequired[key]
+          .filter(dependency => !hasOwn(value, dependency))
+          .forEach(dependency => report('dependentRequired', `Property "${key}" requires "${dependency}"`)));
+    }
+    if (isObject(schema.dependentSchemas)) {
+      Object.keys(schema.dependentSchemas)
+        .filter(key => hasOwn(value, key))
+        .forEach(key => this.check(schema.dependentSchemas[key], value, pathArray, `${schemaPath}/dependentSchemas/${escapePointer(key)}`, violations));
+    }
+
+    const properties = isObject(schema.properties) ? schema.properties : {};
+    const patternProperties = isObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+
+    for (const key of keys) {
+      const keyPath = [...pathArray, key];
+
+      if (schema.propertyNames !== undefined && !this.isValid(schema.propertyNames, key, keyPath, `${schemaPath}/propertyNames`)) {
+        report('propertyNames', `Property name "${key}" is not allowed`, keyPath);
+      }
+
+      let evaluated = false;
+      if (hasOwn(properties, key)) {
+        evaluated = true;
+        this.check(properties[key], value[key], keyPath, `${schemaPath}/properties/${escapePointer(key)}`, violations);
+      }
+      for (const pattern of patternProperties) {
+        const patternPath = `${schemaPath}/patternProperties/${escapePointer(pattern)}`;
+        if (this.getPattern(pattern, patternPath).test(key)) {
+          evaluated = true;
+          this.check(schema.patternProperties[pattern], value[key], keyPath, patternPath, violations);
+        }
+      }
+
+      if (!evaluated && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          report('additionalProperties', `Property "${key}" is not allowed`, keyPath);
+        } else {
+          this.check(schema.additionalProperties, value[key], keyPath, `${schemaPath}/additionalProperties`, violations);
+        }
+      }
+    }
+  }
+
+  checkCombinators(schema, value, pathArray, schemaPath, violations, report) {
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((subschema, index) => this.check(subschema, value, pathArray, `${schemaPath}/allOf/${index}`, violations));
+    }
+
+    if (Array.isArray(schema.anyOf) || Array.isArray(schema.oneOf)) {
+      const keyword = Array.isArray(schema.anyOf) ? 'anyOf' : 'oneOf';
+      this.checkAlternatives(schema, keyword, value, pathArray, schemaPath, report);
+      if (keyword === 'anyOf' && Array.isArray(schema.oneOf)) {
+        this.checkAlternatives(schema, 'oneOf', value, pathArray, schemaPath, report);
+      }
+    }
+
+    if (schema.not !== undefined && this.isValid(schema.not, value, pathArray, `${schemaPath}/not`)) {
+      report('not', 'Matches a schema it must not match');
+    }
+
+    if (schema.if !== undefined) {
+      if (this.isValid(schema.if, value, pathArray, `${schemaPath}/if`)) {
+        if (schema.then !== undefined) this.check(schema.then, value, pathArray, `${schemaPath}/then`, violations);
+      } else if (schema.else !== undefined) {
+        this.check(schema.else, value, pathArray, `${schemaPath}/else`, violations);
+      }
+    }
+  }
+
+  /**
+   * anyOf / oneOf - when nothing matches, the branch with the fewest violations explains why
+   */
+  checkAlternatives(schema, keyword, value, pathArray, schemaPath, report) {
+    const results = schema[keyword].map((subschema, index) => {
+      const branchViolations = [];
+      this.check(subschema, value, pathArray, `${schemaPath}/${keyword}/${index}`, branchViolations);
+      return branchViolations;
+    });
+    const matching = results.filter(branchViolations => branchViolations.length === 0).length;
+
+    if (matching === 0) {
+      const closest = results.reduce((best, branchViolations) => (branchViolations.length < best.length ? branchViolations : best));
+      const reason = closest.length > 0 ? ` (closest: ${closest[0].message}${closest[0].path !== this.pathToString(pathArray) ? ` at ${closest[0].path}` : ''})` : '';
+      report(keyword, `Doesn't match any of the ${results.length} allowed schemas${reason}`);
+    } else if (keyword === 'oneOf' && matching > 1) {
+      report(keyword, `Matches ${matching} of the ${results.length} schemas, expected exactly one`);
+    }
+  }
+
+  isValid(schema, value, pathArray, schemaPath) {
+    const violations = [];
+    this.check(schema, value, pathArray, schemaPath, violations);
+    return violations.length === 0;
+  }
+
+  /**
+   * Resolve a local reference: "#", "#/$defs/name" (JSON Pointer) or "#anchor"
+   *
+   * @param {string} ref - Value of $ref
+   * @param {string} schemaPath - Where the reference is, for error messages
+   * @returns {Object|boolean} Referenced schema
+   * @throws {SchemaError} If the reference points outside the schema or at nothing
+   */
+  resolveRef(ref, schemaPath) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+      throw new SchemaError(`Only references inside the schema are supported, got "${ref}"`, schemaPath);
+    }
+
+    if (ref !== '#' && !ref.startsWith('#/')) {
+      const anchor = this.getAnchors().get(ref.substring(1));
+      if (anchor === undefined) {
+        throw new SchemaError(`Unknown anchor in $ref "${ref}"`, schemaPath);
+      }
+      return anchor;
+    }
+
+    let target = this.root;
+    const tokens = ref === '#' ? [] : ref.substring(2).split('/');
+    for (const token of tokens) {
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (target === null || typeof target !== 'object' || !hasOwn(target, key)) {
+        throw new SchemaError(`Cannot resolve $ref "${ref}"`, schemaPath);
+      }
+      target = target[key];
+    }
+    return target;
+  }
+
+  getAnchors() {
+    if (!this.anchors) {
+      this.anchors = new Map();
+      const visit = (node) => {
+        if (node === null || typeof node !== 'object') return;
+        if (!Array.isArray(node) && typeof node.$anchor === 'string') {
+          this.anchors.set(node.$anchor, node);
+        }
+        Object.values(node).forEach(visit);
+      };
+      visit(this.root);
+    }
+    return this.anchors;
+  }
+
+  getPattern(pattern, schemaPath) {
+    if (!this.patterns.has(pattern)) {
+      try {
+        this.patterns.set(pattern, new RegExp(pattern, 'u'));
+      } catch (error) {
+        throw new SchemaError(`Invalid pattern /${pattern}/: ${error.message}`, schemaPath);
+      }
+    }
+    return this.patterns.get(pattern);
+  }
+
+  report(violations, pathArray, keyword, message, schemaPath) {
+    violations.push({ path: this.pathToString(pathArray), pathArray, keyword, message, schemaPath });
+  }
+
+  /**
+   * JSONPath of a path array, in the notation used for suggestions ($.a['b-c'][0])
+   */
+  pathToString(pathArray) {
+    return pathArray.slice(1).reduce((path, part) => PathExtractor.buildPath(path, part), '$');
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number';
+  return typeOf(value) === type;
+}
+
+function isEqual(a, b) {
+  return canonicalJSON(a) === canonicalJSON(b);
+}
+
+/**
+ * JSON with sorted object keys, so equal values give equal strings
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (isObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+module.exports = { SchemaValidator, SchemaError };
@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+const { PathExtractor } = require('./path');
+
+// ============= WHERE FILTER PARSER =============
+
+/**
+ * Comparison operators, longest first so ">=" wins over ">"
+ */
+const SYMBOL_OPERATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+const WORD_OPERATORS = ['contains', 'matches', 'startswith', 'endswith', 'in', 'exists', 'missing', 'is'];
+const UNARY_OPERATORS = ['exists', 'missing'];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Types accepted by "is"
+ */
+const VALUE_TYPES = ['string', 'number', 'boolean', 'array', 'object', 'null'];
+
+/**
+ * WhereSyntaxError - A malformed @where filter
+ *
+ * @class
+ * @extends SyntaxError
+ * @description Carries the position of the problem so it can be pointed at
+ */
+class WhereSyntaxError extends SyntaxError {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} source - The whole filter
+   * @param {number} position - Index of the problem in the filter
+   */
+  constructor(message, source, position) {
+    super(`${message} at position ${position + 1}`);
+    this.name = 'WhereSyntaxError';
+    this.source = source;
+    this.position = position;
+  }
+
+  /**
+   * Show the filter with a caret under the bad position
+   *
+   * @param {string} [indent='  '] - Prefix for both lines
+   * @returns {string} Two lines: the filter and the caret
+   */
+  pointer(indent = '  ') {
+    return `${indent}${this.source}\n${indent}${' '.repeat(this.position)}^`;
+  }
+}
+
+/**
+ * WhereLexer - Splits a filter into tokens on demand
+ *
+ * @class
+ * @description The parser asks for each token and says what it expects next:
+ * - 'default': fields, operators, keywords and parentheses
+ * - 'value': a bare value runs to the next space or ")" so it may contain operator characters (url=a>b)
+ * - 'type': like 'value', but "|" separates the types of a union (string|number)
+ * - 'regex': a /pattern/flags literal (or a quoted/bare pattern)
+ * - 'list': the brackets, commas and items of an "in [a, b]" list
+ */
+class WhereLexer {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  /**
+   * Read the next token
+   *
+   * @param {string} [mode='default'] - What the parser expects: 'default', 'value', 'regex' or 'list'
+   * @returns {{type: string, value: string, start: number, end: number}} Token
+   *   (type: LPAREN, RPAREN, LBRACKET, RBRACKET, COMMA, AND, OR, NOT, OP, STRING, REGEX, WORD or EOF)
+   */
+  next(mode = 'default') {
+    const src = this.source;
+    while (this.pos < src.length && /\s/.test(src[this.pos])) this.pos++;
+
+    const start = this.pos;
+    if (start >= src.length) {
+      return { type: 'EOF', value: '', start, end: start };
+    }
+
+    const ch = src[start];
+
+    if (mode === 'list') {
+      if (ch === '[') return this.token('LBRACKET', start, start + 1);
+      if (ch === ']') return this.token('RBRACKET', start, start + 1);
+      if (ch === ',') return this.token('COMMA', start, start + 1);
+      if (ch === '"' || ch === "'") return this.readString(start);
+      let end = start;
+      while (end < src.length && !/[\s,\]]/.test(src[end])) end++;
+      return this.token('WORD', start, end);
+    }
+
+    if (mode === 'regex' && ch === '/') return this.readRegex(start);
+
+    if (ch === '(' && mode === 'default') return this.token('LPAREN', start, start + 1);
+    if (ch === ')') return this.token('RPAREN', start, start + 1);
+    if (ch === '"' || ch === "'") return this.readString(start);
+
+    if (mode !== 'default') {
+      const stop = mode === 'type' ? /[\s)|]/ : /[\s)]/;
+      let end = start;
+      while (end < src.length && !stop.test(src[end])) end++;
+      return this.token('WORD', start, end);
+    }
+
+    const op = SYMBOL_OPERATORS.find(symbol => src.startsWith(symbol, start));
+    if (op) return this.token('OP', start, start + op.length);
+    if (ch === '!') return this.token('NOT', start, start + 1);
+
+    // Bare word: field path, relative path, keyword or word operator
+    const end = this.scanField(start);
+    const token = this.token('WORD', start, end);
+
+    const upper = token.value.toUpperCase();
+    if (KEYWORDS.includes(upper)) {
+      token.type = upper;
+    } else if (WORD_OPERATORS.includes(token.value.toLowerCase())) {
+      token.type = 'OP';
+      token.word = token.value; // Still usable as a field name
+      token.value = token.value.toLowerCase();
+    }
+    return token;
+  }
+
+  /**
+   * Find the end of a field path - brackets are kept whole so ['content-type'] or ["a b"] is one word
+   */
+  scanField(start) {
+    const src = this.source;
+    let end = start;
+
+    while (end < src.length && !/[\s()"'=!<>]/.test(src[end])) {
+      if (src[end] === '[') {
+        let quote = null;
+        end++;
+        while (end < src.length && (quote || src[end] !== ']')) {
+          if (quote && src[end] === '\\') end++;
+          else if (src[end] === quote) quote = null;
+          else if (!quote && (src[end] === '"' || src[end] === "'")) quote = src[end];
+          end++;
+        }
+      }
+      end++;
+    }
+
+    return Math.min(end, src.length);
+  }
+
+  readRegex(start) {
+    const src = this.source;
+    let i = start + 1;
+
+    while (i < src.length && src[i] !== '/') {
+      if (src[i] === '\\') i++; // Skip escaped characters (\/ is an escaped delimiter)
+      i++;
+    }
+
+    if (i >= src.length) {
+      throw new WhereSyntaxError('Unterminated regular expression', src, start);
+    }
+
+    let end = i + 1;
+    while (end < src.length && /[a-z]/i.test(src[end])) end++;
+
+    this.pos = end;
+    return {
+      type: 'REGEX',
+      value: src.slice(start + 1, i).replace(/\\\//g, '/'),
+      flags: src.slice(i + 1, end),
+      start,
+      end
+    };
+  }
+
+  readString(start) {
+    const src = this.source;
+    const quote = src[start];
+    let value = '';
+    let i = start + 1;
+
+    while (i < src.length && src[i] !== quote) {
+      if (src[i] === '\\' && i + 1 < src.length) i++;
+      value += src[i];
+      i++;
+    }
+
+    if (i >= src.length) {
+      throw new WhereSyntaxError('Unterminated string', src, start);
+    }
+
+    this.pos = i + 1;
+    return { type: 'STRING', value, start, end: i + 1 };
+  }
+
+  token(type, start, end) {
+    this.pos = end;
+    return { type, value: this.source.slice(start, end), start, end };
+  }
+}
+
+/**
+ * WhereParser - Parses @where filters into an expression tree
+ *
+ * @class
+ * @description Grammar (lowest to highest precedence):
+ *   or         := and (OR and)*
+ *   and        := not (AND not)*
+ *   not        := (NOT | !) not | primary
+ *   primary    := "(" or ")" | comparison
+ *   comparison := field operator value             (field: name, a.b, ['key'], tags[0] or ../name)
+ *               | field matches /regex/flags
+ *               | field in [value, ...]
+ *               | field is type ("|" type)*
+ *               | field (exists | missing)
+ * Operators: = == != > < >= <= contains startswith endswith. Values with spaces (or keywords)
+ * must be quoted. Keywords and word operators are case-insensitive.
+ */
+class WhereParser {
+  /**
+   * Parse a filter
+   *
+   * @static
+   * @param {string} source - The filter (everything after @where=)
+   * @returns {Object} Expression tree of {type: 'or'|'and', left, right},
+   *   {type: 'not', operand} and {type: 'compare', field, path, operator, value, isString, position} nodes.
+   *   path is the field split into keys/indexes (null for ../ relative fields).
+   *   value is a RegExp for matches, an array of {value, isString} for in, an array of type names
+   *   for is (several for a union) and null for exists/missing
+   * @throws {WhereSyntaxError} If the filter is malformed
+   */
+  static parse(source) {
+    const parser = new WhereParser(source);
+    const tree = parser.parseOr();
+
+    if (parser.current.type !== 'EOF') {
+      parser.fail(parser.current.type === 'RPAREN'
+        ? "Unmatched ')'"
+        : `Unexpected '${parser.current.value}' (quote values that contain spaces)`);
+    }
+    return tree;
+  }
+
+  /**
+   * List the fields a filter compares, in order
+   *
+   * @static
+   * @param {Object} node - Expression tree from parse()
+   * @returns {string[]} Field names/paths
+   */
+  static getFields(node) {
+    if (node.type === 'compare') return [node.field];
+    if (node.type === 'not') return WhereParser.getFields(node.operand);
+    return [...WhereParser.getFields(node.left), ...WhereParser.getFields(node.right)];
+  }
+
+  constructor(source) {
+    this.source = source;
+    this.lexer = new WhereLexer(source);
+    this.current = this.lexer.next();
+  }
+
+  advance(mode = 'default') {
+    const token = this.current;
+    this.current = this.lexer.next(mode);
+    return token;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.current.type === 'OR') {
+      this.advance();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.current.type === 'AND') {
+      this.advance();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.current.type === 'NOT') {
+      this.advance();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    if (this.current.type === 'LPAREN') {
+      const open = this.advance();
+      const inner = this.parseOr();
+      if (this.current.type !== 'RPAREN') {
+        throw new WhereSyntaxError("Unclosed '('", this.source, open.start);
+      }
+      this.advance();
+      return inner;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const fieldToken = this.current;
+    const isWordOperator = fieldToken.type === 'OP' && fieldToken.word;
+    if (fieldToken.type !== 'WORD' && fieldToken.type !== 'STRING' && !isWordOperator) {
+      this.fail(fieldToken.type === 'EOF' ? 'Expected a condition' : `Expected a field name, found '${fieldToken.value}'`);
+    }
+    const field = isWordOperator ? fieldToken.word : fieldToken.value;
+
+    // Quoted fields are a single key; otherwise a path relative to the item (../ paths go through JSONPath)
+    let path = null;
+    if (fieldToken.type === 'STRING') {
+      path = [field];
+    } else if (!field.startsWith('../')) {
+      path = PathExtractor.parseFieldPath(field);
+      if (!path) {
+        this.fail(`Invalid field path '${field}' (use a.b, ['key'] or items[0])`);
+      }
+    }
+    this.advance();
+
+    if (this.current.type !== 'OP') {
+      this.fail(this.current.type === 'EOF'
+        ? `Expected an operator after '${field}'`
+        : `Expected an operator (= != > < >= <= contains matches startswith endswith in is exists missing), found '${this.current.value}'`);
+    }
+    const operator = this.current.value === '==' ? '=' : this.current.value;
+    const node = { type: 'compare', field, path, operator, value: null, isString: false, position: fieldToken.start };
+
+    if (UNARY_OPERATORS.includes(operator)) {
+      this.advance();
+    } else if (operator === 'matches') {
+      this.advance('regex');
+      node.value = this.parseRegex();
+    } else if (operator === 'in') {
+      this.advance('list');
+      node.value = this.parseList();
+    } else if (operator === 'is') {
+      this.advance('type');
+      node.value = this.parseTypes();
+    } else {
+      // The value is lexed in value mode, so it can contain operator characters
+      this.advance('value');
+      const valueToken = this.current;
+      if ((valueToken.type !== 'WORD' && valueToken.type !== 'STRING') || valueToken.value === '') {
+        this.fail(`Expected a value after '${operator}'`);
+      }
+      this.advance();
+      node.value = valueToken.value;
+      node.isString = valueToken.type === 'STRING';
+    }
+
+    return node;
+  }
+
+  parseRegex() {
+    const token = this.current;
+    if ((token.type !== 'REGEX' && token.type !== 'WORD' && token.type !== 'STRING') || token.value === '') {
+      this.fail("Expected a regular expression after 'matches', e.g. /^abc/i");
+    }
+
+    let regex;
+    try {
+      regex = new RegExp(token.value, token.flags || '');
+    } catch (e) {
+      this.fail(`Invalid regular expression: ${e.message.replace(/^Invalid (regular expression|flags supplied to RegExp constructor): /, '')}`);
+    }
+    this.advance();
+    return regex;
+  }
+
+  parseList() {
+    if (this.current.type !== 'LBRACKET') {
+      this.fail("Expected a list after 'in', e.g. [a, b, c]");
+    }
+    this.advance('list');
+
+    const items = [];
+    while (this.current.type !== 'RBRACKET') {
+      const item = this.current;
+      if ((item.type !== 'WORD' && item.type !== 'STRING') || (item.type === 'WORD' && item.value === '')) {
+        this.fail(item.type === 'EOF' ? "Unclosed '['" : `Expected a list item, found '${item.value}'`);
+      }
+      items.push({ value: item.value, isString: item.type === 'STRING' });
+      this.advance('list');
+
+      if (this.current.type === 'COMMA') {
+        this.advance('list');
+      } else if (this.current.type !== 'RBRACKET') {
+        this.fail(this.current.type === 'EOF' ? "Unclosed '['" : "Expected ',' or ']'");
+      }
+    }
+
+    if (items.length === 0) {
+      this.fail("Empty list after 'in'");
+    }
+    this.advance();
+    return items;
+  }
+
+  parseTypes() {
+    const types = [];
+    for (;;) {
+      const token = this.current;
+      const type = token.value.toLowerCase();
+      if (token.type !== 'WORD' || !VALUE_TYPES.includes(type)) {
+        this.fail(`Expected a type after '${types.length > 0 ? '|' : 'is'}' (${VALUE_TYPES.join(', ')})`);
+      }
+      types.push(type);
+
+      // Another type follows a "|"
+      const separator = /^\s*\|/.exec(this.source.slice(this.lexer.pos));
+      if (!separator) break;
+      this.lexer.pos += separator[0].length;
+      this.advance('type');
+    }
+    this.advance();
+    return types;
+  }
+
+  fail(message) {
+    throw new WhereSyntaxError(message, this.source, this.current.start);
+  }
+}
+
+module.exports = { WhereParser, WhereLexer, WhereSyntaxError, VALUE_TYPES };
@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+
+const { InputSyntaxError } = require('./syntax');
+
+// ============= YAML PARSER =============
+
+/**
+ * YAMLParser - Read YAML 1.2 documents (Kubernetes manifests, CI configs, ...)
+ *
+ * @class
+ * @description Covers what config files use: block mappings and sequences, flow collections,
+ * plain/quoted/block (| and >) scalars, comments, multiple documents, anchors, aliases and
+ * << merge keys. Scalars resolve with the core schema (true, 12, 1.5, null, ~); tags are skipped,
+ * except that !!str keeps a scalar as a string. Complex (?) keys aren't supported
+ */
+class YAMLParser {
+  /**
+   * Parse a YAML stream
+   *
+   * @static
+   * @param {string} text - Input
+   * @returns {Array} One value per document (empty documents are left out)
+   * @throws {InputSyntaxError} With the line and column of the problem
+   */
+  static parse(text) {
+    return new YAMLParser(text.replace(/\r\n?/g, '\n')).parseStream();
+  }
+
+  /**
+   * Parse a YAML stream, also reporting values JSON can't hold
+   *
+   * @static
+   * @param {string} text - Input
+   * @returns {{data: Array, warnings: string[]}} One value per document, and where .inf/.nan were read
+   * @throws {InputSyntaxError} With the line and column of the problem
+   */
+  static parseWithWarnings(text) {
+    const parser = new YAMLParser(text.replace(/\r\n?/g, '\n'));
+    const data = parser.parseStream();
+    const warnings = parser.nonFinite
+      ? [`.inf/.nan (written back as null) ${InputSyntaxError.describePosition(parser.text, parser.nonFinite.position, parser.nonFinite.count)}`]
+      : [];
+    return { data, warnings };
+  }
+
+  constructor(text) {
+    this.text = text;
+    this.lines = [];
+    this.index = 0;
+    this.anchors = {};
+    this.nonFinite = null; // { count, position } of the .inf/.nan scalars read (JSON has no such numbers)
+
+    let offset = 0;
+    for (const raw of text.split('\n')) {
+      const indent = /^ */.exec(raw)[0].length;
+      this.lines.push({ indent, text: raw.substring(indent), offset: offset + indent, number: this.lines.length });
+      offset += raw.length + 1;
+    }
+  }
+
+  fail(message, position) {
+    const line = this.lines[Math.min(this.index, this.lines.length - 1)];
+    throw new InputSyntaxError(message, this.text, position !== undefined ? position : line.offset);
+  }
+
+  parseStream() {
+    const documents = [];
+
+    for (;;) {
+      // Directives (%YAML, %TAG) only matter for tags, which aren't resolved
+      while (this.peek() && this.peek().indent === 0 && this.peek().text.startsWith('%')) this.index++;
+      const first = this.peek();
+      if (!first) break;
+
+      if (YAMLParser.isMarker(first, '---')) {
+        const rest = first.text.substring(3).trimStart();
+        if (rest === '' || rest.startsWith('#')) {
+          this.index++;
+        } else {
+          this.replaceLine(first, first.offset + first.text.length - rest.length, rest);
+        }
+      }
+
+      const value = this.parseNode(-1);
+      const next = this.peek();
+      if (next && YAMLParser.isMarker(next, '...')) {
+        this.index++;
+      } else if (next && !YAMLParser.isMarker(next, '---')) {
+        this.fail(next.indent === 0 ? 'Unexpected content after the document' : 'Bad indentation', next.offset);
+      }
+
+      documents.push(value);
+    }
+
+    // A trailing "---" or a file of comments shouldn't add null documents
+    return documents.filter(document => document !== null);
+  }
+
+  /**
+   * Next line with content (skipping blank and comment lines)
+   */
+  peek() {
+    while (this.index < this.lines.length && YAMLParser.isEmpty(this.lines[this.index])) this.index++;
+    return this.lines[this.index] || null;
+  }
+
+  /**
+   * Replace the current line with the rest of it, starting at an absolute offset:
+   * "- name: x" continues as a line "name: x" indented to where "name" starts
+   */
+  replaceLine(line, offset, text) {
+    const lineStart = line.offset - line.indent;
+    this.lines[this.index] = { indent: offset - lineStart, text, offset, number: line.number, virtual: true };
+  }
+
+  /**
+   * Parse the node starting at the current line, if it's indented more than parentIndent
+   *
+   * @param {number} parentIndent - Indentation of the parent collection (-1 at the top)
+   * @param {Object} [options] - Context
+   * @param {boolean} [options.sequenceAtParent=false] - A "- " sequence may start at parentIndent (key:\n- a)
+   * @param {boolean} [options.inline=false] - Value after "key: " - block collections can't start here
+   * @param {boolean} [options.keepString=false] - A !!str tag applies - don't resolve a scalar's type
+   * @returns {*} Parsed value (null for an empty node)
+   */
+  parseNode(parentIndent, options = {}) {
+    const line = this.peek();
+    if (!line || YAMLParser.isMarker(line)) return null;
+
+    const isSequence = YAMLParser.isSequenceEntry(line.text);
+    if (line.indent <= parentIndent && !(options.sequenceAtParent && isSequence && line.indent === parentIndent)) {
+      return null;
+    }
+
+    // Anchor and tag properties
+    const properties = /^((?:&[^\s,[\]{}]+|![^\s,[\]{}]*)[ \t]*)+/.exec(line.text);
+    if (properties) {
+      const anchor = /&([^\s,[\]{}]+)/.exec(properties[0]);
+      const rest = line.text.substring(properties[0].length);
+      const keepString = /(^|\s)!!str(\s|$)/.test(properties[0]);
+
+      if (rest === '' || rest.startsWith('#')) {
+        this.index++;
+        // The node itself is on the next lines
+        const value = this.parseNode(parentIndent, { ...options, inline: false, keepString });
+        if (anchor) this.anchors[anchor[1]] = value;
+        return value;
+      }
+      this.replaceLine(line, line.offset + properties[0].length, rest);
+      const value = this.parseNode(parentIndent, { ...options, keepString });
+      if (anchor) this.anchors[anchor[1]] = value;
+      return value;
+    }
+
+    if (!options.inline) {
+      if (isSequence) return this.parseSequence(line.indent);
+      if (/^\?(\s|$)/.test(line.text)) this.fail('Complex mapping keys (?) are not supported', line.offset);
+      if (YAMLParser.matchKey(line.text)) return this.parseMapping(line.indent);
+    }
+
+    return this.parseScalar(parentIndent, options.keepString);
+  }
+
+  parseSequence(indent) {
+    const sequence = [];
+
+    for (;;) {
+      const line = this.peek();
+      if (!line || line.indent !== indent || YAMLParser.isMarker(line)) break;
+      if (!YAMLParser.isSequenceEntry(line.text)) {
+        if (YAMLParser.matchKey(line.text)) break; // Sequence as a value at its key's indentation
+        this.fail('Expected a "- " sequence entry', line.offset);
+      }
+
+      const rest = line.text.substring(1).replace(/^[ \t]+/, '');
+      if (rest === '' || rest.startsWith('#')) {
+        this.index++;
+      } else {
+        this.replaceLine(line, line.offset + line.text.length - rest.length, rest);
+      }
+      sequence.push(this.parseNode(indent));
+      this.checkIndentation(indent);
+    }
+    return sequence;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+    const merges = [];
+
+    for (;;) {
+      const line = this.peek();
+      if (!line || line.indent !== indent || YAMLParser.isMarker(line)) break;
+      const match = YAMLParser.matchKey(line.text);
+      if (!match) {
+        this.fail(YAMLParser.isSequenceEntry(line.text) ? 'Unexpected sequence entry in a mapping' : 'Expected a "key: value" entry', line.offset);
+      }
+
+      const rest = line.text.substring(match.length).replace(/^[ \t]+/, '');
+      let value;
+      if (rest === '' || rest.startsWith('#')) {
+        this.index++;
+        value = this.parseNode(indent, { sequenceAtParent: true });
+      } else {
+        this.replaceLine(line, line.offset + line.text.length - rest.length, rest);
+        value = this.parseNode(indent, { inline: true });
+      }
+
+      if (match.key === '<<' && !match.quoted) {
+        merges.push(...(Array.isArray(value) ? value : [value]));
+      } else {
+        mapping[match.key] = value;
+      }
+      this.checkIndentation(indent);
+    }
+
+    if (merges.length === 0) return mapping;
+
+    // << merge: keys from the merged mappings, the first one winning, then the mapping's own keys
+    const merged = {};
+    for (const source of merges) {
+      if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+        this.fail('"<<" needs a mapping or a list of mappings');
+      }
+      Object.keys(source).forEach(key => {
+        if (!(key in merged)) merged[key] = source[key];
+      });
+    }
+    return Object.assign(merged, mapping);
+  }
+
+  /**
+   * After an entry, the next line must be back at the collection's indentation (or further out)
+   */
+  checkIndentation(indent) {
+    const next = this.peek();
+    if (next && next.indent > indent && !YAMLParser.isMarker(next)) {
+      this.fail('Bad indentation', next.offset);
+    }
+  }
+
+  /**
+   * Scalar, alias, block scalar or flow collection starting at the current line
+   */
+  parseScalar(parentIndent, keepString = false) {
+    const line = this.peek();
+    const text = line.text;
+
+    if (text.startsWith('*')) {
+      const alias = /^\*([^\s,[\]{}]+)[ \t]*(#.*)?$/.exec(text);
+      if (!alias) this.fail('Invalid alias', line.offset);
+      if (!Object.prototype.hasOwnProperty.call(this.anchors, alias[1])) this.fail(`Unknown anchor "${alias[1]}"`, line.offset);
+      this.index++;
+      return this.anchors[alias[1]];
+    }
+
+    if (text.startsWith('|') || text.startsWith('>')) {
+      return this.parseBlockScalar(parentIndent);
+    }
+
+    if (/^["'[{]/.test(text)) {
+      const flow = new FlowParser(this, line.offset);
+      const value = flow.parseValue();
+      this.finishFlow(flow.pos);
+      return value;
+    }
+
+    // Plain scalar, possibly folded over several more-indented lines
+    const parts = [YAMLParser.stripComment(text)];
+    let endsWithComment = YAMLParser.stripComment(text) !== text.trimEnd();
+    this.index++;
+    while (!endsWithComment && this.index < this.lines.length) {
+      const next = this.lines[this.index];
+      if (next.text === '') {
+        parts.push('');
+        this.index++;
+        continue;
+      }
+      if (next.indent <= parentIndent || next.text.startsWith('#') || YAMLParser.isMarker(next)) break;
+      if (YAMLParser.matchKey(next.text)) this.fail('Bad indentation (a "key:" can\'t continue a value)', next.offset);
+      const content = YAMLParser.stripComment(next.text);
+      endsWithComment = content !== next.text.trimEnd();
+      parts.push(content);
+      this.index++;
+    }
+    // Blank lines at the end belong to no one
+    while (parts.length > 1 && parts[parts.length - 1] === '') {
+      parts.pop();
+      this.index--;
+    }
+
+    const value = YAMLParser.fold(parts);
+    return keepString || parts.length > 1 ? value : this.resolveAt(value, line.offset);
+  }
+
+  /**
+   * Resolve a plain scalar read at a position, noting .inf and .nan
+   */
+  resolveAt(text, position) {
+    const value = YAMLParser.resolve(text);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      if (this.nonFinite) {
+        this.nonFinite.count++;
+      } else {
+        this.nonFinite = { count: 1, position };
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Consume the lines a flow value spanned; only a comment may follow it
+   */
+  finishFlow(position) {
+    while (this.index + 1 < this.lines.length && this.lines[this.index + 1].offset - this.lines[this.index + 1].indent <= position) {
+      this.index++;
+    }
+    const line = this.lines[this.index];
+    const rest = this.text.substring(position, line.offset + line.text.length).trim();
+    if (rest !== '' && !rest.startsWith('#')) {
+      this.fail(`Unexpected ${JSON.stringify(rest[0])} after a flow value`, line.offset + line.text.indexOf(rest));
+    }
+    this.index++;
+  }
+
+  /**
+   * | (literal) or > (folded) block scalar with optional chomping (+/-) and indentation indicators
+   */
+  parseBlockScalar(parentIndent) {
+    const line = this.peek();
+    const header = /^([|>])([-+]?)([1-9]?)([-+]?)[ \t]*(#.*)?$/.exec(line.text);
+    if (!header || (header[2] && header[4])) this.fail('Invalid block scalar header', line.offset);
+    const folded = header[1] === '>';
+    const chomping = header[2] || header[4];
+    this.index++;
+
+    let indent = header[3] ? Math.max(parentIndent, 0) + Number(header[3]) : null;
+    const contentLines = [];
+    while (this.index < this.lines.length) {
+      const next = this.lines[this.index];
+      if (next.text === '') {
+        contentLines.push('');
+        this.index++;
+        continue;
+      }
+      if (indent === null) {
+        if (next.indent <= parentIndent) break;
+        indent = next.indent;
+      }
+      if (next.indent < indent || YAMLParser.isMarker(next)) break;
+      contentLines.push(' '.repeat(next.indent - indent) + next.text);
+      this.index++;
+    }
+
+    // Trailing blank lines only count for "keep" chomping
+    let trailing = 0;
+    while (contentLines.length > 0 && contentLines[contentLines.length - 1].trim() === '') {
+      contentLines.pop();
+      trailing++;
+    }
+
+    let value = '';
+    if (folded) {
+      // A line break between two text lines becomes a space (empty lines in between stay newlines);
+      // breaks around more-indented lines are kept
+      let previousIndented = null;
+      let empty = 0;
+      for (const content of contentLines) {
+        if (content === '') {
+          empty++;
+          continue;
+        }
+        const indented = /^\s/.test(content);
+        if (previousIndented === null) {
+          value += '\n'.repeat(empty);
+        } else if (!previousIndented && !indented) {
+          value += empty > 0 ? '\n'.repeat(empty) : ' ';
+        } else {
+          value += '\n'.repeat(empty + 1);
+        }
+        value += content;
+        previousIndented = indented;
+        empty = 0;
+      }
+    } else {
+      value = contentLines.join('\n');
+    }
+
+    if (contentLines.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+    if (chomping === '-') return value;
+    if (chomping === '+') return `${value}\n${'\n'.repeat(trailing)}`;
+    return `${value}\n`;
+  }
+
+  static isEmpty(line) {
+    return line.text === '' || (line.text.startsWith('#') && !line.virtual);
+  }
+
+  /**
+   * "---" (document start) or "..." (document end) at the start of a line
+   */
+  static isMarker(line, marker = null) {
+    if (line.indent !== 0 || line.virtual) return false;
+    const match = /^(---|\.\.\.)(\s|$)/.exec(line.text);
+    return Boolean(match) && (marker === null || match[1] === marker);
+  }
+
+  static isSequenceEntry(text) {
+    return /^-(\s|$)/.test(text);
+  }
+
+  /**
+   * Match "key:" at the start of a line
+   *
+   * @static
+   * @param {string} text - Line content
+   * @returns {{key: string, length: number, quoted: boolean}|null} Key and the length of "key:"
+   */
+  static matchKey(text) {
+    const doubleQuoted = /^"((?:[^"\\]|\\.)*)"[ \t]*:(?=\s|$)/.exec(text);
+    if (doubleQuoted) {
+      return { key: FlowParser.unescape(doubleQuoted[1]), length: doubleQuoted[0].length, quoted: true };
+    }
+    const singleQuoted = /^'((?:[^']|'')*)'[ \t]*:(?=\s|$)/.exec(text);
+    if (singleQuoted) {
+      return { key: singleQuoted[1].replace(/''/g, "'"), length: singleQuoted[0].length, quoted: true };
+    }
+
+    if (/^[-?:](\s|$)/.test(text) || /^[[\]{},#&*!|>'"%@`]/.test(text)) return null;
+    const plain = /^(.*?)[ \t]*:(?=\s|$)/.exec(text);
+    if (!plain || plain[1] === '' || /\s#/.test(plain[1])) return null;
+    return { key: plain[1], length: plain[0].length, quoted: false };
+  }
+
+  static stripComment(text) {
+    return text.replace(/(^|[ \t])#.*$/, '').trimEnd();
+  }
+
+  /**
+   * Join the lines of a multi-line scalar: single line breaks become spaces, empty lines newlines
+   */
+  static fold(parts) {
+    let value = '';
+    let newlines = 0;
+    parts.forEach((part, index) => {
+      if (part === '') {
+        newlines++;
+        return;
+      }
+      if (index > 0) value += newlines > 0 ? '\n'.repeat(newlines) : ' ';
+      value += part.trim();
+      newlines = 0;
+    });
+    return value;
+  }
+
+  /**
+   * Type of a plain scalar (YAML 1.2 core schema)
+   *
+   * @static
+   * @param {string} text - Scalar as written
+   * @returns {*} null, boolean, number or the string itself
+   */
+  static resolve(text) {
+    if (/^(~|null|Null|NULL|)$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?\d+$/.test(text)) return Number(text);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.substring(2), 8);
+    if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.substring(2), 16);
+    if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+    return text;
+  }
+}
+
+/**
+ * FlowParser - [a, b], {a: 1} and quoted scalars, which may span lines
+ *
+ * @class
+ * @description Reads from the document text at an absolute position; the YAMLParser then skips the
+ * lines it covered
+ */
+class FlowParser {
+  constructor(yaml, position) {
+    this.yaml = yaml;
+    this.text = yaml.text;
+    this.pos = position;
+  }
+
+  fail(message, position = this.pos) {
+    throw new InputSyntaxError(message, this.text, position);
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (char === ' ' || char === '\t' || char === '\n') {
+        this.pos++;
+      } else if (char === '#' && /\s/.test(this.text[this.pos - 1] || ' ')) {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parseValue() {
+    this.skipSpace();
+    const char = this.text[this.pos];
+
+    if (char === '&' || char === '!') {
+      const property = /^[&!][^\s,[\]{}]*/.exec(this.text.substring(this.pos, this.pos + 256))[0];
+      this.pos += property.length;
+      const value = this.parseValue();
+      if (char === '&') this.yaml.anchors[property.substring(1)] = value;
+      return value;
+    }
+    if (char === '*') {
+      const alias = /^\*([^\s,[\]{}]+)/.exec(this.text.substring(this.pos, this.pos + 256));
+      if (!alias || !Object.prototype.hasOwnProperty.call(this.yaml.anchors, alias[1])) {
+        this.fail(`Unknown anchor "${alias ? alias[1] : ''}"`);
+      }
+      this.pos += alias[0].length;
+      return this.yaml.anchors[alias[1]];
+    }
+    if (char === '[') return this.parseSequence();
+    if (char === '{') return this.parseMapping();
+    if (char === '"') return this.parseDoubleQuoted();
+    if (char === "'") return this.parseSingleQuoted();
+    return this.parsePlain();
+  }
+
+  parseSequence() {
+    const start = this.pos;
+    const sequence = [];
+    this.pos++; // [
+
+    for (;;) {
+      this.skipSpace();
+      if (this.text[this.pos] === ']') break;
+      if (this.pos >= this.text.length) this.fail('Unclosed "["', start);
+
+      const item = this.parseValue();
+      this.skipSpace();
+      // Single-pair mapping inside a sequence: [a: 1, b: 2]
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        sequence.push({ [String(item)]: this.parseValue() });
+        this.skipSpace();
+      } else {
+        sequence.push(item);
+      }
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== ']') {
+        this.fail(this.pos >= this.text.length ? 'Unclosed "["' : 'Expected "," or "]"', this.pos >= this.text.length ? start : this.pos);
+      }
+    }
+
+    this.pos++; // ]
+    return sequence;
+  }
+
+  parseMapping() {
+    const start = this.pos;
+    const mapping = {};
+    this.pos++; // {
+
+    for (;;) {
+      this.skipSpace();
+      if (this.text[this.pos] === '}') break;
+      if (this.pos >= this.text.length) this.fail('Unclosed "{"', start);
+
+      const key = this.parseValue();
+      this.skipSpace();
+      let value = null;
+      if (this.text[this.pos] === ':') {
+        this.pos++;
+        this.skipSpace();
+        value = /[,}]/.test(this.text[this.pos]) ? null : this.parseValue();
+        this.skipSpace();
+      }
+      mapping[key === null ? 'null' : String(key)] = value;
+
+      if (this.text[this.pos] === ',') {
+        this.pos++;
+      } else if (this.text[this.pos] !== '}') {
+        this.fail(this.pos >= this.text.length ? 'Unclosed "{"' : 'Expected "," or "}"', this.pos >= this.text.length ? start : this.pos);
+      }
+    }
+
+    this.pos++; // }
+    return mapping;
+  }
+
+  /**
+   * Plain scalar inside a flow collection - ends at , ] } or ": "
+   */
+  parsePlain() {
+    const start = this.pos;
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos];
+      if (/[,[\]{}]/.test(char)) break;
+      if (char === ':' && /[\s,[\]{}]/.test(this.text[this.pos + 1] || ' ')) break;
+      if (char === '#' && /\s/.test(this.text[this.pos - 1])) break;
+      this.pos++;
+    }
+    const text = this.text.substring(start, this.pos);
+    if (text.trim() === '') this.fail(`Unexpected ${JSON.stringify(this.text[this.pos] || 'end of input')}`);
+    return this.yaml.resolveAt(YAMLParser.fold(text.split('\n').map(part => part.trim())), start);
+  }
+
+  parseSingleQuoted() {
+    const start = this.pos;
+    let raw = '';
+    this.pos++;
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail('Unterminated string', start);
+      if (this.text[this.pos] === "'") {
+        if (this.text[this.pos + 1] !== "'") break;
+        raw += "'";
+        this.pos += 2;
+        continue;
+      }
+      raw += this.text[this.pos++];
+    }
+    this.pos++;
+    return FlowParser.foldQuoted(raw);
+  }
+
+  parseDoubleQuoted() {
+    const start = this.pos;
+    this.pos++;
+    while (this.text[this.pos] !== '"') {
+      if (this.pos >= this.text.length) this.fail('Unterminated string', start);
+      this.pos += this.text[this.pos] === '\\' ? 2 : 1;
+    }
+    const raw = this.text.substring(start + 1, this.pos);
+    this.pos++;
+
+    // Escaped line breaks join lines without a space; fold the rest, then unescape
+    const joined = raw.replace(/\\\n[ \t]*/g, '');
+    return FlowParser.unescape(FlowParser.foldQuoted(joined));
+  }
+
+  /**
+   * Line folding inside quotes: a line break becomes a space, empty lines become newlines
+   */
+  static foldQuoted(raw) {
+    if (!raw.includes('\n')) return raw;
+    return raw.replace(/[ \t]*\n([ \t]*\n)*[ \t]*/g, (match) => {
+      const breaks = match.split('\n').length - 1;
+      return breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+    });
+  }
+
+  /**
+   * Resolve the escapes of a double-quoted scalar
+   *
+   * @static
+   * @param {string} raw - Text between the quotes
+   * @returns {string}
+   */
+  static unescape(raw) {
+    const simple = {
+      0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+      ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+    };
+    return raw.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+      if (escape.length > 1) return String.fromCodePoint(parseInt(escape.substring(1), 16));
+      return Object.prototype.hasOwnProperty.call(simple, escape) ? simple[escape] : match;
+    });
+  }
+}
+
+module.exports = { YAMLParser };
@@ -13,7 +13,7 @@ echo ""
 echo "To use 'jojq' globally, run:"
 echo "  npm link"
 echo ""
-echo "Or use directly with: cat file.json | node index.js"
+echo "Or use directly with: node index.js file.json"
 echo ""
 echo "✅ Setup complete!"
 echo ""
@@ -0,0 +1,732 @@
+#!/usr/bin/env node
+
+/**
+ * Behaviour checks for the query grammar and the input parsers - run with npm test.
+ * Plain node:assert, no test framework: each check is a named function, failures are listed at the end
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const pathModule = require('path');
+const { HeadlessRunner, EXIT_CODES } = require('./lib/headless');
+const { WhereParser, WhereSyntaxError } = require('./lib/where');
+const { InputParser } = require('./lib/input');
+const { YAMLParser } = require('./lib/yaml');
+const { TOMLParser } = require('./lib/toml');
+const { JSON5Parser } = require('./lib/json5');
+const { InputSyntaxError } = require('./lib/syntax');
+const { StreamingJSONParser } = require('./lib/stream');
+const { SchemaValidator, SchemaError } = require('./lib/validate');
+const { PathExtractor } = require('./lib/path');
+const { JSONDiff } = require('./lib/diff');
+const { SchemaInference, SCHEMA_DIALECT } = require('./lib/schema');
+const { TypeGenerator } = require('./lib/types');
+const { AccessorCode } = require('./lib/accessor');
+const { Exporter } = require('./lib/export');
+const { FileManager } = require('./lib/file');
+
+const failures = [];
+let passed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+  } catch (error) {
+    failures.push({ name, error });
+  }
+}
+
+// ============= @WHERE FILTERS =============
+
+const people = {
+  users: [
+    { name: 'Ada', age: 36, role: 'admin', tags: ['ops', 'dev'], address: { city: 'Oslo' }, 'first-name': 'Ada' },
+    { name: 'Bob', age: 20, role: 'user', email: null, title: 'a | b' },
+    { name: 'Cy', age: 52, role: 'user', email: 'cy@example.com', address: { city: 'Rome' } }
+  ]
+};
+
+/**
+ * Names of the users a query keeps
+ */
+function names(query) {
+  const result = new HeadlessRunner(people).run(query, 'json');
+  assert.strictEqual(result.error, null, `${query}: ${result.error}`);
+  return JSON.parse(result.output).map(user => user.name);
+}
+
+function runError(query) {
+  const result = new HeadlessRunner(people).run(query, 'json');
+  assert.strictEqual(result.exitCode, EXIT_CODES.BAD_QUERY, `${query} should be rejected`);
+  return result.error;
+}
+
+test('@where compares numbers and strings', () => {
+  assert.deepStrictEqual(names('$.users[*] | @where=age>30'), ['Ada', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=role=user'), ['Bob', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=age!=20'), ['Ada', 'Cy']);
+});
+
+test('@where: AND binds tighter than OR, parentheses and NOT group', () => {
+  assert.deepStrictEqual(names('$.users[*] | @where=role=admin OR role=user AND age>40'), ['Ada', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=(role=admin OR role=user) AND age>40'), ['Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=NOT (age<30 OR name=Cy)'), ['Ada']);
+});
+
+test('@where string operators, lists and regexes', () => {
+  assert.deepStrictEqual(names('$.users[*] | @where=name in [Ada, Cy]'), ['Ada', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=tags contains ops'), ['Ada']);
+  assert.deepStrictEqual(names('$.users[*] | @where=email endswith example.com'), ['Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=name matches /^b/i'), ['Bob']);
+});
+
+test('@where existence and type predicates, including unions', () => {
+  assert.deepStrictEqual(names('$.users[*] | @where=email exists'), ['Bob', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=address missing'), ['Bob']);
+  assert.deepStrictEqual(names('$.users[*] | @where=email is null'), ['Bob']);
+  assert.deepStrictEqual(names('$.users[*] | @where=email is null|string'), ['Bob', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=email is null | string'), ['Bob', 'Cy']);
+  assert.deepStrictEqual(names('$.users[*] | @where=email is null|string | @limit=1'), ['Bob']);
+});
+
+test('@where nested and bracketed fields', () => {
+  assert.deepStrictEqual(names('$.users[*] | @where=address.city=Rome'), ['Cy']);
+  assert.deepStrictEqual(names("$.users[*] | @where=['first-name']=Ada"), ['Ada']);
+  assert.deepStrictEqual(names('$.users[*] | @where=tags[0]=ops'), ['Ada']);
+});
+
+test('@where: a quoted value may contain a pipe', () => {
+  assert.deepStrictEqual(names('$.users[*] | @where=title="a | b"'), ['Bob']);
+});
+
+test('@where syntax errors point at the problem', () => {
+  assert.throws(() => WhereParser.parse('age>'), error => error instanceof WhereSyntaxError && error.position === 4);
+  assert.throws(() => WhereParser.parse('(age>1'), WhereSyntaxError);
+  assert.throws(() => WhereParser.parse('age>1)'), /Unmatched '\)'/);
+  assert.throws(() => WhereParser.parse('email is'), /Expected a type after 'is'/);
+  assert.throws(() => WhereParser.parse('email is string|'), /Expected a type after '\|'/);
+  assert.match(runError('$.users[*] | @where=age>'), /Expected a value after '>'/);
+});
+
+test('Unknown and empty pipe stages are rejected', () => {
+  assert.match(runError('$.users[*] | @bogus'), /Unknown pipe operator: @bogus/);
+  assert.match(runError('$.users[*] | @where=age>1 | name'), /Unknown pipe operator: name/);
+  assert.match(runError('$.users[*] | @where=email is number |'), /Empty pipe stage/);
+});
+
+/**
+ * Assert that parsing throws an InputSyntaxError at a line and column
+ */
+function throwsAt(fn, line, column, message) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof InputSyntaxError, `expected an InputSyntaxError, got ${error}`);
+    assert.deepStrictEqual([error.line, error.column], [line, column], error.message);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+// ============= SORTING AND PAGING =============
+
+const products = {
+  products: [
+    { name: 'lamp', price: 5 },
+    { name: 'desk', price: null },
+    { name: 'chair', price: 9 },
+    { name: 'rug' },
+    { name: 'vase', price: '12' }
+  ]
+};
+
+function productNames(query) {
+  const result = new HeadlessRunner(products).run(query, 'json');
+  assert.strictEqual(result.error, null, `${query}: ${result.error}`);
+  return JSON.parse(result.output).map(product => product.name);
+}
+
+test('@sort orders numbers (and numeric strings) first, then null, then missing fields', () => {
+  assert.deepStrictEqual(productNames('$.products[*] | @sort=price'), ['lamp', 'chair', 'vase', 'desk', 'rug']);
+  assert.deepStrictEqual(productNames('$.products[*] | @sort=price desc'), ['vase', 'chair', 'lamp', 'desk', 'rug']);
+  assert.deepStrictEqual(productNames('$.products[*] | @sort=price desc | @limit=2'), ['vase', 'chair']);
+});
+
+const orders = {
+  orders: [
+    { id: 1, total: 30, customer: { name: 'Ada', city: 'Oslo' } },
+    { id: 2, total: 12.5, customer: { name: 'Bob', city: 'Rome' } },
+    { id: 3, total: 40, customer: { name: 'Cy', city: 'Oslo' } },
+    { id: 4, customer: { name: 'Di', city: 'Rome' } }
+  ]
+};
+
+/**
+ * Parsed JSON output of a query on the orders
+ */
+function orderQuery(query) {
+  const result = new HeadlessRunner(orders).run(query, 'json');
+  assert.strictEqual(result.error, null, `${query}: ${result.error}`);
+  return JSON.parse(result.output);
+}
+
+test('@sort by a nested field, then @offset and @limit page through the results', () => {
+  const ids = query => orderQuery(query).map(order => order.id);
+  assert.deepStrictEqual(ids('$.orders[*] | @sort=customer.name desc'), [4, 3, 2, 1]);
+  assert.deepStrictEqual(ids('$.orders[*] | @sort=customer.name desc | @offset=1 | @limit=2'), [3, 2]);
+  assert.deepStrictEqual(ids('$.orders[*] | @limit=2 | @where=customer.city=Rome'), [2, 4]);
+  assert.deepStrictEqual(ids('$.orders[*] | @offset=10'), []);
+});
+
+// ============= PROJECTION =============
+
+test('@select keeps the listed fields, renames with "as" and fills missing ones with null', () => {
+  assert.deepStrictEqual(orderQuery('$.orders[*] | @select=id,customer.name as name,total | @offset=2'), [
+    { id: 3, name: 'Cy', total: 40 },
+    { id: 4, name: 'Di', total: null }
+  ]);
+  assert.deepStrictEqual(orderQuery('$.orders[*] | @select=id,customer.city | @limit=1'), [{ id: 1, 'customer.city': 'Oslo' }]);
+});
+
+test('@select reads parent fields and feeds aggregates', () => {
+  assert.deepStrictEqual(orderQuery('$.orders[*].customer | @select=name,../id | @limit=2'), [
+    { name: 'Ada', id: 1 },
+    { name: 'Bob', id: 2 }
+  ]);
+  assert.deepStrictEqual(orderQuery('$.orders[*] | @select=customer.city as c | @distinct=c'), ['Oslo', 'Rome']);
+});
+
+// ============= AGGREGATES =============
+
+test('@count, @sum, @avg, @min and @max over a field, skipping items without it', () => {
+  assert.strictEqual(orderQuery('$.orders[*] | @count'), 4);
+  assert.strictEqual(orderQuery('$.orders[*] | @count=total'), 3);
+  assert.strictEqual(orderQuery('$.orders[*] | @sum=total'), 82.5);
+  assert.strictEqual(orderQuery('$.orders[*] | @avg=total'), 27.5);
+  assert.strictEqual(orderQuery('$.orders[*] | @min=total'), 12.5);
+  assert.strictEqual(orderQuery('$.orders[*] | @max=customer.name'), 'Di');
+  assert.strictEqual(orderQuery('$.orders[*] | @avg=missing'), null);
+  assert.strictEqual(orderQuery('$.orders[*].total | @sum'), 82.5);
+});
+
+test('@distinct and @group, alone and with another aggregate', () => {
+  assert.deepStrictEqual(orderQuery('$.orders[*] | @distinct=customer.city'), ['Oslo', 'Rome']);
+  assert.deepStrictEqual(orderQuery('$.orders[*] | @group=customer.city'), { Oslo: 2, Rome: 2 });
+  assert.deepStrictEqual(orderQuery('$.orders[*] | @group=customer.city | @sum=total'), { Oslo: 70, Rome: 12.5 });
+  assert.strictEqual(orderQuery('$.orders[*] | @where=customer.city=Oslo | @count'), 2);
+});
+
+test('Only one aggregate per query', () => {
+  const result = new HeadlessRunner(orders).run('$.orders[*] | @min=total | @max=total', 'json');
+  assert.strictEqual(result.exitCode, EXIT_CODES.BAD_QUERY);
+  assert.match(result.error, /Only one aggregate per query/);
+});
+
+// ============= PATHS =============
+
+test('Extracted paths for keys with quotes, brackets and commas resolve to their values', () => {
+  const data = { "it's": 1, "a']b": { 'c\\d': 2 }, 'a,b': 3, a: 9, b: 8, list: [{ 'x]': 4 }] };
+  const paths = PathExtractor.extractPaths(data);
+  assert.ok(paths.includes("$['it\\'s']"), paths.join(' '));
+  assert.ok(paths.includes("$['a\\']b']['c\\\\d']"), paths.join(' '));
+
+  const values = ["$['it\\'s']", "$['a\\']b']['c\\\\d']", "$['a,b']", "$.list[0]['x]']"].map(path => {
+    const result = new HeadlessRunner(data).run(path, 'json');
+    assert.strictEqual(result.error, null, `${path}: ${result.error}`);
+    return JSON.parse(result.output);
+  });
+  assert.deepStrictEqual(values, [1, 2, 3, 4]);
+});
+
+// ============= YAML =============
+
+test('YAML block mappings, sequences, flow collections and scalars', () => {
+  const text = [
+    'a: 1',
+    'b:',
+    '  - x',
+    '  - y: 2',
+    '    z: [1, two, {k: v}]',
+    'e: ~',
+    'f: true',
+    'g: "q\\tq"',
+    "h: 'it''s'",
+    '# comment',
+    'i: 1.5 # trailing'
+  ].join('\n');
+  assert.deepStrictEqual(InputParser.parse(text, { format: 'yaml' }).data, {
+    a: 1, b: ['x', { y: 2, z: [1, 'two', { k: 'v' }] }], e: null, f: true, g: 'q\tq', h: "it's", i: 1.5
+  });
+});
+
+test('YAML block scalars, anchors and core schema numbers', () => {
+  const [doc] = YAMLParser.parse('c: |\n  line1\n  line2\nd: >\n  folded\n  text\nkey: &x 1\nother: *x\nhex: 0x1F\nexp: 1e3\nword: yes\n');
+  assert.deepStrictEqual(doc, { c: 'line1\nline2\n', d: 'folded text\n', key: 1, other: 1, hex: 31, exp: 1000, word: 'yes' });
+});
+
+test('YAML with several documents loads as a stream', () => {
+  const result = InputParser.parse('---\na: 1\n---\nb: 2\n', { format: 'yaml' });
+  assert.strictEqual(result.format, 'yaml-stream');
+  assert.deepStrictEqual(result.data, [{ a: 1 }, { b: 2 }]);
+});
+
+test('YAML errors carry line and column', () => {
+  throwsAt(() => YAMLParser.parse('a: 1\n b: 2\n'), 2, 2, /Bad indentation/);
+  throwsAt(() => YAMLParser.parse('a: [1, 2\n'), 1, 4, /Unclosed "\["/);
+});
+
+// ============= TOML =============
+
+test('TOML tables, arrays of tables, inline tables and value types', () => {
+  const text = [
+    'title = "x"',
+    '[owner]',
+    'dob = 1979-05-27T07:32:00Z',
+    '[[products]]',
+    'name = "a"',
+    '[[products]]',
+    'name = "b"',
+    '[db]',
+    'ports = [8001, 8002]',
+    'inline = { x = 1, y.z = 2 }',
+    '"quoted key" = true',
+    'big = 1_000',
+    'hex = 0xff',
+    "literal = 'no\\nescape'",
+    'multi = """',
+    'hello',
+    'world"""'
+  ].join('\n');
+  assert.deepStrictEqual(TOMLParser.parse(text), {
+    title: 'x',
+    owner: { dob: '1979-05-27T07:32:00Z' },
+    products: [{ name: 'a' }, { name: 'b' }],
+    db: { ports: [8001, 8002], inline: { x: 1, y: { z: 2 } }, 'quoted key': true, big: 1000, hex: 255, literal: 'no\\nescape', multi: 'hello\nworld' }
+  });
+});
+
+test('TOML rejects redefinitions and missing values', () => {
+  throwsAt(() => TOMLParser.parse('a = 1\na = 2\n'), 2, 1, /Key "a" is defined twice/);
+  throwsAt(() => TOMLParser.parse('[t]\nx = 1\n[t]\ny = 2\n'), 3, 1, /Table \[t\] is defined twice/);
+  throwsAt(() => TOMLParser.parse('a = \n'), 1, 5, /Expected a value/);
+});
+
+// ============= JSON5 / JSONC =============
+
+test('JSON5 syntax', () => {
+  const text = "// comment\n{unquoted: 'single', hex: 0xFF, lead: .5, trail: 5., plus: +1, inf: -Infinity, arr: [1, 2,], s: \"a\\\nb\",}";
+  assert.deepStrictEqual(JSON5Parser.parse(text), {
+    unquoted: 'single', hex: 255, lead: 0.5, trail: 5, plus: 1, inf: -Infinity, arr: [1, 2], s: 'ab'
+  });
+});
+
+test('JSONC allows comments and trailing commas only', () => {
+  assert.deepStrictEqual(JSON5Parser.parse('{"a": 1, /* c */ "b": [1,],}', { dialect: 'jsonc' }), { a: 1, b: [1] });
+  throwsAt(() => JSON5Parser.parse("{\"a\": 'x'}", { dialect: 'jsonc' }), 1, 7);
+});
+
+test('Format detection and strict JSON error positions', () => {
+  assert.strictEqual(InputParser.parse('a: 1\n').format, 'yaml');
+  assert.strictEqual(InputParser.parse('x = 1\n[t]\ny = 2\n').format, 'toml');
+  assert.strictEqual(InputParser.parse('{a: 1, // c\n}').format, 'json5');
+  throwsAt(() => InputParser.parse('{\n  "a": 1,\n  "b": 2,\n}', { format: 'json' }), 3, 9, /Trailing comma/);
+});
+
+test('NaN and infinities in YAML, TOML and JSON5 are reported where they were read', () => {
+  const cases = [
+    ['a: 1\nb: [.inf, -.Inf]\nc: .nan\n', 'yaml', '.inf/.nan (written back as null) at line 2, column 5 (3 times)'],
+    ['x = 1\ny = [nan, 2]\n', 'toml', 'inf/nan (written back as null) at line 2, column 6'],
+    ['{a: 1, b: -Infinity, c: NaN}', 'json5', 'NaN/Infinity (written back as null) at line 1, column 11 (2 times)']
+  ];
+  for (const [text, format, warning] of cases) {
+    assert.deepStrictEqual(InputParser.parse(text, { format }).warnings, [warning], format);
+  }
+  assert.deepStrictEqual(InputParser.parse('a: 1.5\n', { format: 'yaml' }).warnings, []);
+  assert.deepStrictEqual(InputParser.parse('x = "inf"\n').warnings, []);
+});
+
+test('Lenient mode repairs bad tokens and keeps parsing', () => {
+  const cases = [
+    ['{"a":1,,"b":2}', { a: 1, b: 2 }, /Extra comma at line 1, column 8/],
+    ['{"a" 1}', { a: 1 }, /Missing colon/],
+    ['{"a":tru}', { a: true }, /Incomplete true\/false\/null/],
+    ['{"a": 1 "b": 2}', { a: 1, b: 2 }, /Missing comma/],
+    ['{"a":[1,2}, "b": 3}', { a: [1, 2], b: 3 }, /Mismatched closing bracket/],
+    ['[1 @ 2, 3]', [1, 2, 3], /Unexpected character skipped/],
+    ['{"a": }', {}, /Missing value/]
+  ];
+  for (const [text, data, warning] of cases) {
+    const result = InputParser.parse(text, { lenient: true });
+    assert.deepStrictEqual(result.data, data, text);
+    assert.ok(result.warnings.some(line => warning.test(line)), `${text}: ${result.warnings.join('; ')}`);
+  }
+});
+
+test('Lenient mode only reports brackets that are really left open', () => {
+  const closed = JSON5Parser.recover('{"a": [1, 2}');
+  assert.deepStrictEqual(closed.data, { a: [1, 2] });
+  assert.deepStrictEqual(closed.warnings, ['Unclosed bracket, closed along with the one around it at line 1, column 7']);
+
+  const truncated = JSON5Parser.recover('[1, {"x": "y');
+  assert.deepStrictEqual(truncated.data, [1, { x: 'y' }]);
+  assert.ok(truncated.warnings.some(line => /Unclosed bracket, closed at the end of the input at line 1, column 5 \(2 times\)/.test(line)));
+
+  assert.deepStrictEqual(JSON5Parser.recover('{"a": 1}').warnings, []);
+  assert.throws(() => JSON5Parser.recover('<html>'), InputSyntaxError);
+});
+
+// ============= CSV / TSV =============
+
+test('CSV rows become records with inferred types', () => {
+  const result = InputParser.parse('name,age,ok\nAda,36,true\n"B, b",,"x""y"\n');
+  assert.strictEqual(result.format, 'csv');
+  assert.deepStrictEqual(result.data, [
+    { name: 'Ada', age: 36, ok: true },
+    { name: 'B, b', age: null, ok: 'x"y' }
+  ]);
+});
+
+test('CSV keeps leading zeros and can skip type inference', () => {
+  assert.deepStrictEqual(InputParser.parse('zip,n\n00123,1.50\n', { format: 'csv' }).data, [{ zip: '00123', n: 1.5 }]);
+  assert.deepStrictEqual(InputParser.parse('zip,n\n00123,1.50\n', { format: 'csv', inferTypes: false }).data, [{ zip: '00123', n: '1.50' }]);
+});
+
+test('CSV delimiters, duplicate headers and extra cells', () => {
+  assert.deepStrictEqual(InputParser.parse('a\tb\n1\t2\n', { format: 'tsv' }).data, [{ a: 1, b: 2 }]);
+  assert.deepStrictEqual(InputParser.parse('a;b\n1;2\n').data, [{ a: 1, b: 2 }]);
+  assert.deepStrictEqual(InputParser.parse('id,id,name\n1,2,x,extra\n', { format: 'csv' }).data, [{ id: 1, id_2: 2, name: 'x', column4: 'extra' }]);
+});
+
+test('CSV reports an unterminated quoted field', () => {
+  throwsAt(() => InputParser.parse('a,b\n"open,1\n', { format: 'csv' }), 2, 1, /Unterminated quoted field/);
+});
+
+// ============= STREAMING JSON =============
+
+/**
+ * Feed text to a streaming parser in chunks of a given size
+ */
+function parseInChunks(text, size, options) {
+  const parser = new StreamingJSONParser(options);
+  for (let index = 0; index < text.length; index += size) {
+    parser.write(text.slice(index, index + size));
+  }
+  return { data: parser.end(), parser };
+}
+
+test('Streaming parser matches JSON.parse however the input is split', () => {
+  const text = JSON.stringify({ a: [1, 2.5e3, -0.5, 'xé"\n\\', true, null, { b: {} }], 'k-y': { z: [[]] }, u: '😀 \u2028' });
+  for (const size of [1, 2, 7, text.length]) {
+    assert.deepStrictEqual(parseInChunks(text, size).data, JSON.parse(text), `chunks of ${size}`);
+  }
+});
+
+test('Streaming parser indexes paths, a few items per array', () => {
+  const { parser } = parseInChunks(JSON.stringify({ items: [{ id: 1 }, { id: 2 }, { id: 3 }], 'a b': 1 }), 5, { maxArrayItems: 2 });
+  assert.deepStrictEqual(parser.takePaths(), [
+    '$', '$.items', '$.items[0]', '$.items[0].id', '$.items[1]', '$.items[1].id', '$.items[*]', "$['a b']"
+  ]);
+  assert.deepStrictEqual(parser.takePaths(), []);
+});
+
+test('Streaming parser rejects what JSON.parse rejects', () => {
+  for (const text of ['{"a": "x\ty"}', '[1,]', '{"a" 1}', '[1] 2', '{"a": 1']) {
+    let expected;
+    try {
+      JSON.parse(text);
+    } catch (error) {
+      expected = error;
+    }
+    assert.throws(() => parseInChunks(text, 3), SyntaxError, text);
+    if (/control character/.test(expected.message)) {
+      assert.throws(() => parseInChunks(text, 3), { message: expected.message });
+    }
+  }
+});
+
+// ============= JSON SCHEMA INFERENCE =============
+
+const accounts = {
+  users: [
+    { id: 1, email: 'ada@example.com', created: '2024-01-02T03:04:05Z', nick: null, tags: ['ops'] },
+    { id: 2.5, email: 'bob@example.com', created: '2024-02-02T00:00:00Z', nick: 'b', site: 'https://b.example' }
+  ],
+  empty: []
+};
+
+test('SchemaInference: one items schema per array, required only when every object has the key', () => {
+  const schema = SchemaInference.infer(accounts);
+  assert.strictEqual(schema.$schema, SCHEMA_DIALECT);
+  assert.deepStrictEqual(schema.required, ['users', 'empty']);
+  assert.deepStrictEqual(schema.properties.empty, { type: 'array' });
+
+  const user = schema.properties.users.items;
+  assert.deepStrictEqual(Object.keys(user.properties), ['id', 'email', 'created', 'nick', 'tags', 'site']);
+  assert.deepStrictEqual(user.required, ['id', 'email', 'created', 'nick']);
+  assert.deepStrictEqual(user.properties.id, { type: 'number' });
+  assert.deepStrictEqual(user.properties.tags, { type: 'array', items: { type: 'string' } });
+});
+
+test('SchemaInference: nullable types and string formats', () => {
+  const user = SchemaInference.infer(accounts).properties.users.items;
+  assert.deepStrictEqual(user.properties.nick, { type: ['string', 'null'] });
+  assert.deepStrictEqual(user.properties.email, { type: 'string', format: 'email' });
+  assert.deepStrictEqual(user.properties.created, { type: 'string', format: 'date-time' });
+  assert.deepStrictEqual(user.properties.site, { type: 'string', format: 'uri' });
+  assert.deepStrictEqual(SchemaInference.infer(['a@b.co', 'not an email']), {
+    $schema: SCHEMA_DIALECT,
+    type: 'array',
+    items: { type: 'string' }
+  });
+});
+
+test('An inferred schema accepts the document it came from', () => {
+  assert.deepStrictEqual(new SchemaValidator(SchemaInference.infer(accounts)).validate(accounts), []);
+});
+
+// ============= JSON SCHEMA VALIDATION =============
+
+test('A $ref that loops on the same value is a SchemaError', () => {
+  const loops = [
+    [{ $ref: '#' }, 1],
+    [{ properties: { a: { $ref: '#/properties/a' } } }, { a: 1 }],
+    [{ allOf: [{ $ref: '#' }] }, {}],
+    [{ $defs: { x: { $ref: '#/$defs/y' }, y: { $ref: '#/$defs/x' } }, $ref: '#/$defs/x' }, 2]
+  ];
+  for (const [schema, data] of loops) {
+    assert.throws(() => new SchemaValidator(schema).validate(data), error => error instanceof SchemaError && /Circular \$ref/.test(error.message), JSON.stringify(schema));
+  }
+});
+
+test('A recursive schema still checks nested values', () => {
+  const tree = {
+    type: 'object',
+    properties: { name: { type: 'string' }, children: { type: 'array', items: { $ref: '#' } } }
+  };
+  const violations = new SchemaValidator(tree).validate({ name: 'a', children: [{ name: 'b', children: [{ name: 3 }] }] });
+  assert.deepStrictEqual(violations.map(violation => violation.path), ['$.children[0].children[0].name']);
+});
+
+// ============= STRUCTURAL DIFF =============
+
+const before = {
+  name: 'shop',
+  'content-type': 'json',
+  items: [{ id: 1, price: 5 }, { id: 2, price: 7 }]
+};
+const after = {
+  name: 'shop',
+  'content-type': 'yaml',
+  owner: 'Ada',
+  items: [{ id: 3, price: 1 }, { id: 1, price: 5 }, { id: 2, price: 8 }]
+};
+
+test('JSONDiff pairs array elements by index without a key', () => {
+  assert.deepStrictEqual(JSONDiff.compare(before, after), [
+    { type: 'changed', path: "$['content-type']", oldValue: 'json', newValue: 'yaml' },
+    { type: 'changed', path: '$.items[0].id', oldValue: 1, newValue: 3 },
+    { type: 'changed', path: '$.items[0].price', oldValue: 5, newValue: 1 },
+    { type: 'changed', path: '$.items[1].id', oldValue: 2, newValue: 1 },
+    { type: 'changed', path: '$.items[1].price', oldValue: 7, newValue: 5 },
+    { type: 'added', path: '$.items[2]', newValue: { id: 2, price: 8 } },
+    { type: 'added', path: '$.owner', newValue: 'Ada' }
+  ]);
+  assert.deepStrictEqual(JSONDiff.compare(before, before), []);
+});
+
+test('JSONDiff with a key pairs array elements by that field', () => {
+  const changes = JSONDiff.compare(before, after, { arrayKey: 'id' });
+  assert.deepStrictEqual(changes.map(change => `${change.type} ${change.path}`), [
+    "changed $['content-type']",
+    'added $.items[0]',
+    'changed $.items[2].price',
+    'added $.owner'
+  ]);
+  assert.strictEqual(JSONDiff.describe(changes), '2 added, 0 removed, 2 changed');
+});
+
+test('JSONDiff falls back to index pairing when the key is missing or repeated', () => {
+  const changes = JSONDiff.compare([{ id: 1 }, { id: 1 }], [{ id: 1 }], { arrayKey: 'id' });
+  assert.deepStrictEqual(changes, [{ type: 'removed', path: '$[1]', oldValue: { id: 1 } }]);
+  assert.deepStrictEqual(JSONDiff.compare({ a: [1] }, { a: { 0: 1 } }), [
+    { type: 'changed', path: '$.a', oldValue: [1], newValue: { 0: 1 } }
+  ]);
+});
+
+// ============= TYPE GENERATION =============
+
+const account = {
+  users: [
+    { id: 1, 'first-name': 'Ada', nick: null, address: { city: 'Oslo' } },
+    { id: 2, 'first-name': 'Bob', nick: 'b', admin: true }
+  ]
+};
+
+test('TypeGenerator: TypeScript interfaces with optional, nullable and quoted keys', () => {
+  assert.strictEqual(TypeGenerator.generate(account, 'ts', 'Account'), [
+    'export interface Account {',
+    '  users: User[];',
+    '}',
+    '',
+    'export interface User {',
+    '  id: number;',
+    '  "first-name": string;',
+    '  nick: string | null;',
+    '  address?: Address;',
+    '  admin?: boolean;',
+    '}',
+    '',
+    'export interface Address {',
+    '  city: string;',
+    '}'
+  ].join('\n'));
+  assert.strictEqual(TypeGenerator.generate([1, 2], 'ts'), 'export type Root = number[];');
+});
+
+test('TypeGenerator: JSDoc typedefs', () => {
+  const jsdoc = TypeGenerator.generate(account, 'jsdoc', 'Account');
+  assert.match(jsdoc, /^\/\*\*\n \* @typedef \{Object\} Account\n \* @property \{User\[\]\} users\n \*\//);
+  assert.match(jsdoc, / \* @property \{string\|null\} nick\n \* @property \{Address\} \[address\]\n/);
+});
+
+test('TypeGenerator: Python TypedDicts, defined before use', () => {
+  assert.strictEqual(TypeGenerator.generate(account, 'python', 'Account'), [
+    'from typing import List, NotRequired, Optional, TypedDict',
+    '',
+    '',
+    'class Address(TypedDict):',
+    '    city: str',
+    '',
+    '',
+    "User = TypedDict('User', {",
+    '    "id": int,',
+    '    "first-name": str,',
+    '    "nick": Optional[str],',
+    '    "address": NotRequired[Address],',
+    '    "admin": NotRequired[bool],',
+    '})',
+    '',
+    '',
+    'class Account(TypedDict):',
+    '    users: List[User]'
+  ].join('\n'));
+  assert.strictEqual(TypeGenerator.generate('x', 'python'), 'Root = str');
+});
+
+// ============= ACCESSOR CODE =============
+
+test('AccessorCode for a path string in each language', () => {
+  const path = "$.users[0]['first-name']";
+  assert.strictEqual(AccessorCode.generate(path, 'js'), 'data.users?.[0]?.["first-name"]');
+  assert.strictEqual(AccessorCode.generate(path, 'python'), 'data["users"][0]["first-name"]');
+  assert.strictEqual(AccessorCode.generate(path, 'jq'), '.users[0]["first-name"]');
+  assert.strictEqual(AccessorCode.generate(path, 'pointer'), '/users/0/first-name');
+  assert.strictEqual(AccessorCode.generate('$.a', 'js', 'doc'), 'doc.a');
+});
+
+test('AccessorCode takes path arrays as is and reads escaped quotes in path strings', () => {
+  const path = ['$', "a']b", 3, 'ok', 'a~/b'];
+  assert.strictEqual(AccessorCode.generate(path, 'js'), 'data["a\']b"]?.[3]?.ok?.["a~/b"]');
+  assert.strictEqual(AccessorCode.generate(path, 'jq'), '.["a\']b"][3].ok["a~/b"]');
+  assert.strictEqual(AccessorCode.generate(path, 'pointer'), "/a']b/3/ok/a~0~1b");
+  assert.strictEqual(AccessorCode.generate("$['it\\'s']", 'python'), 'data["it\'s"]');
+});
+
+test('AccessorCode for the root, and no code for wildcards or recursive descent', () => {
+  assert.strictEqual(AccessorCode.generate('$', 'js'), 'data');
+  assert.strictEqual(AccessorCode.generate('$', 'jq'), '.');
+  assert.strictEqual(AccessorCode.generate('$', 'pointer'), '');
+  assert.strictEqual(AccessorCode.generate('$.users[*].name', 'js'), null);
+  assert.strictEqual(AccessorCode.generate('$..name', 'python'), null);
+});
+
+// ============= EXPORT =============
+
+const exportRows = [
+  { id: 1, name: 'Ada, Jr.', note: 'say "hi"', customer: { address: { city: 'Oslo' } }, tags: ['a', 'b'], empty: null },
+  { id: 2, name: 'Bob\nline', extra: true, customer: {} }
+];
+
+test('CSV export flattens nested keys into columns and quotes per RFC 4180', () => {
+  assert.strictEqual(Exporter.serialize('csv', exportRows), [
+    'id,name,note,customer.address.city,tags,empty,extra,customer',
+    '1,"Ada, Jr.","say ""hi""",Oslo,"[""a"",""b""]",,,',
+    '2,"Bob\nline",,,,,true,{}',
+    ''
+  ].join('\n'));
+  assert.strictEqual(Exporter.serialize('csv', { a: 1, b: { c: 2 } }), 'a,b.c\n1,2\n');
+});
+
+test('TSV and Markdown export escape tabs, newlines and pipes', () => {
+  const tsv = Exporter.serialize('tsv', exportRows).split('\n');
+  assert.strictEqual(tsv[2], '2\tBob\\nline\t\t\t\t\ttrue\t{}');
+  assert.strictEqual(Exporter.serialize('tsv', [{ a: 'x\ty' }]), 'a\nx\\ty\n');
+  assert.strictEqual(Exporter.serialize('markdown', [{ a: 'x|y' }]), '| a |\n| --- |\n| x\\|y |\n');
+  assert.match(Exporter.serialize('markdown', exportRows), /\| 2 \| Bob<br>line \|/);
+});
+
+test('Export labels go in the first column, and YAML keeps the structure', () => {
+  assert.strictEqual(
+    Exporter.serialize('csv', [1, 'x'], { labels: ['$[0]', '$[1]'], labelColumn: 'path' }),
+    'path,value\n$[0],1\n$[1],x\n'
+  );
+  assert.strictEqual(Exporter.serialize('yaml', exportRows[1]), 'id: 2\nname: "Bob\\nline"\nextra: true\ncustomer: {}\n');
+  assert.strictEqual(Exporter.formatForFile('report.YML'), 'yaml');
+  assert.strictEqual(Exporter.formatForFile('report.json'), null);
+});
+
+// ============= SAVING FILES =============
+
+test('resolveSavePath: absolute, ~ and ./ paths as given, plain names in the save directory', () => {
+  const absolute = pathModule.join(os.tmpdir(), 'out.json');
+  assert.strictEqual(FileManager.resolveSavePath(absolute), absolute);
+  assert.strictEqual(FileManager.resolveSavePath('~/out.json'), pathModule.join(os.homedir(), 'out.json'));
+  assert.strictEqual(FileManager.resolveSavePath('./out.json'), pathModule.join(process.cwd(), 'out.json'));
+  assert.strictEqual(FileManager.resolveSavePath('../out.json'), pathModule.resolve(process.cwd(), '..', 'out.json'));
+  assert.strictEqual(
+    FileManager.resolveSavePath('exports/out.csv'),
+    pathModule.join(FileManager.getSaveDirectory(), 'exports', 'out.csv')
+  );
+});
+
+/**
+ * Run fn with a fresh temporary directory, removed afterwards
+ */
+function withTempDir(fn) {
+  const dir = fs.mkdtempSync(pathModule.join(os.tmpdir(), 'jojq-test-'));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('Saving never overwrites: later files get numbered names', () => withTempDir(dir => {
+  const target = pathModule.join(dir, 'nested', 'out.csv');
+  const written = ['a', 'b', 'c'].map(content => FileManager.saveTextToFile(content, target));
+  assert.deepStrictEqual(written.map(file => pathModule.relative(dir, file)), [
+    pathModule.join('nested', 'out.csv'),
+    pathModule.join('nested', 'out-2.csv'),
+    pathModule.join('nested', 'out-3.csv')
+  ]);
+  assert.strictEqual(fs.readFileSync(written[0], 'utf8'), 'a');
+  assert.throws(() => FileManager.saveTextToFile('x', pathModule.join(dir, 'nested')), /is a directory/);
+}));
+
+test(':save names: .json added only without an extension, other formats refused', () => withTempDir(dir => {
+  const save = name => pathModule.basename(FileManager.saveToFile({ a: 1 }, pathModule.join(dir, name)));
+  assert.strictEqual(save('out'), 'out.json');
+  assert.strictEqual(save('out.json'), 'out-2.json');
+  assert.strictEqual(save('notes.txt'), 'notes.txt');
+  assert.strictEqual(save('settings.jsonc'), 'settings.jsonc');
+  assert.throws(() => save('out.yaml'), /out\.yaml is a YAML file name, but this saves JSON/);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(pathModule.join(dir, 'notes.txt'), 'utf8')), { a: 1 });
+}));
+
+// ============= SUMMARY =============
+
+for (const { name, error } of failures) {
+  console.error(`✗ ${name}\n  ${error.message.split('\n').join('\n  ')}\n`);
+}
+console.log(`${passed} passed, ${failures.length} failed`);
+process.exitCode = failures.length > 0 ? 1 : 0;